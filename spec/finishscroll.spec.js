@@ -0,0 +1,247 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'finishScroll().', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#finishPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#finishContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="finishPanel"><div id="finishContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            $container.stopScroll();
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Position.', function () {
+
+            it( 'It jumps to the final target of the queue', function ( done ) {
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 300, { append: true } )
+                    .scrollTo( "+=200", { append: true } );
+
+                inMidScroll( function () {
+                    $container.finishScroll();
+                    expect( $container.scrollTop() ).toEqual( 500 );
+                    done();
+                } );
+            } );
+
+            it( 'It jumps to the final target if the scroll movements are queued, but nothing is in progress', function () {
+                $container
+                    .pauseScroll()
+                    .scrollTo( 1200, { append: true } )
+                    .scrollTo( 800, { append: true } )
+                    .finishScroll();
+
+                expect( $container.scrollTop() ).toEqual( 800 );
+            } );
+
+            it( 'It jumps to the target of a scroll movement which is waiting for a promise', function () {
+                var deferred = $.Deferred();
+
+                $container.scrollTo( 1200, { waitFor: deferred } ).finishScroll();
+
+                expect( $container.scrollTop() ).toEqual( 1200 );
+            } );
+
+            it( 'It applies the offset function of a queued scroll movement', function ( done ) {
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 800, { append: true, offset: function () { return 60; } } );
+
+                inMidScroll( function () {
+                    $container.finishScroll();
+                    expect( $container.scrollTop() ).toEqual( 740 );
+                    done();
+                } );
+            } );
+
+            it( 'It applies the offset function to a position function which is resolved when the scroll finishes', function () {
+                var deferred = $.Deferred();
+
+                $container
+                    .scrollTo( function () { return 500; }, { waitFor: deferred, offset: function () { return 60; } } )
+                    .finishScroll();
+
+                expect( $container.scrollTop() ).toEqual( 440 );
+            } );
+
+            it( 'It empties the queue, and does not interfere with a subsequent scroll movement', function ( done ) {
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 300, { append: true } );
+
+                inMidScroll( function () {
+                    $container.finishScroll().scrollTo( 100, {
+                        done: function () {
+                            expect( $container.scrollTop() ).toEqual( 100 );
+                            done();
+                        }
+                    } );
+                } );
+            } );
+
+            it( 'It ends a pause', function ( done ) {
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 300, { append: true } );
+
+                inMidScroll( function () {
+                    $container.pauseScroll().finishScroll();
+                    expect( $container.scrollTop() ).toEqual( 300 );
+
+                    $container.scrollTo( 100, {
+                        append: true,
+                        done: function () {
+                            expect( $container.scrollTop() ).toEqual( 100 );
+                            done();
+                        }
+                    } );
+                } );
+            } );
+
+        } );
+
+        describe( 'Callbacks.', function () {
+
+            it( 'It calls the done, complete and always callbacks of each scroll movement, in the order of the queue', function ( done ) {
+                var calls = [],
+                    record = function ( name ) {
+                        return {
+                            done: function () { calls.push( name + ":done:" + $container.scrollTop() ); },
+                            complete: function () { calls.push( name + ":complete" ); },
+                            always: function () { calls.push( name + ":always" ); },
+                            fail: function () { calls.push( name + ":fail" ); }
+                        };
+                    };
+
+                $container
+                    .scrollTo( 1200, record( "A" ) )
+                    .scrollTo( 300, $.extend( { append: true }, record( "B" ) ) )
+                    .scrollTo( 600, $.extend( { append: true }, record( "C" ) ) );
+
+                inMidScroll( function () {
+                    $container.finishScroll();
+
+                    expect( calls ).toEqual( [
+                        "A:done:1200", "A:complete", "A:always",
+                        "B:done:300", "B:complete", "B:always",
+                        "C:done:600", "C:complete", "C:always"
+                    ] );
+                    done();
+                } );
+            } );
+
+            it( 'It passes a finished message, and the jumpedToEnd flag, to the callbacks', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container ),
+                    queuedCallbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200, callbacks )
+                    .scrollTo( 300, $.extend( { append: true }, queuedCallbacks ) );
+
+                inMidScroll( function () {
+                    $container.finishScroll();
+
+                    _.each( [ callbacks, queuedCallbacks ], function ( observed ) {
+                        expect( observed.done ).toHaveBeenCalledWith( observed.done.calls.argsFor( 0 )[0], true, { finished: true } );
+                        expect( observed.complete ).toHaveBeenCalledWith( { finished: true } );
+                        expect( observed.always ).toHaveBeenCalledWith( observed.always.calls.argsFor( 0 )[0], true, { finished: true } );
+                        expect( observed.fail ).not.toHaveBeenCalled();
+                    } );
+
+                    done();
+                } );
+            } );
+
+            it( 'It does not call the start, step and progress callbacks of queued scroll movements', function ( done ) {
+                var queuedCallbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 300, $.extend( { append: true }, queuedCallbacks ) );
+
+                inMidScroll( function () {
+                    $container.finishScroll();
+
+                    expect( queuedCallbacks.start ).not.toHaveBeenCalled();
+                    expect( queuedCallbacks.step ).not.toHaveBeenCalled();
+                    expect( queuedCallbacks.progress ).not.toHaveBeenCalled();
+                    expect( queuedCallbacks.done.calls.argsFor( 0 )[0] ).toBeUndefined();
+                    done();
+                } );
+            } );
+
+            it( 'It works with the requestAnimationFrame engine, too', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200, { engine: "raf" } )
+                    .scrollTo( 300, $.extend( { engine: "raf", append: true }, callbacks ) );
+
+                inMidScroll( function () {
+                    $container.finishScroll();
+
+                    expect( $container.scrollTop() ).toEqual( 300 );
+                    expect( callbacks.done.calls.count() ).toEqual( 1 );
+                    expect( callbacks.always.calls.count() ).toEqual( 1 );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Errors.', function () {
+
+            it( 'It throws an error for animations which bypass the queue', function () {
+                expect( function () {
+                    $container.finishScroll( { queue: false } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,279 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'pauseScroll() and resumeScroll().', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#pausePanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#pauseContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="pausePanel"><div id="pauseContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            $container.stopScroll();
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Pausing.', function () {
+
+            it( 'It freezes the scroll movement, without calling any callbacks', function ( done ) {
+                var pausedAt,
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 1200, callbacks );
+
+                inMidScroll( function () {
+                    $container.pauseScroll();
+                    pausedAt = $container.scrollTop();
+                    callbacks.step.calls.reset();
+                } );
+
+                _.delay( function () {
+                    expect( $container.scrollTop() ).toEqual( pausedAt );
+                    expect( pausedAt ).toBeGreaterThan( 0 );
+                    expect( pausedAt ).toBeLessThan( 1200 );
+                    expect( callbacks.step ).not.toHaveBeenCalled();
+                    expect( callbacks.done ).not.toHaveBeenCalled();
+                    expect( callbacks.fail ).not.toHaveBeenCalled();
+                    expect( callbacks.always ).not.toHaveBeenCalled();
+                    done();
+                }, 500 );
+            } );
+
+            it( 'It holds a scroll movement which is queued behind the paused one', function ( done ) {
+                var start = jasmine.createSpy( "start" );
+
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 0, { append: true, start: start } );
+
+                inMidScroll( function () {
+                    $container.pauseScroll();
+                } );
+
+                _.delay( function () {
+                    expect( start ).not.toHaveBeenCalled();
+                    done();
+                }, 500 );
+            } );
+
+            it( 'It holds a scroll movement which is appended during the pause, even if nothing is in progress', function ( done ) {
+                var start = jasmine.createSpy( "start" );
+
+                $container.pauseScroll().scrollTo( 1200, { append: true, start: start } );
+
+                _.delay( function () {
+                    expect( start ).not.toHaveBeenCalled();
+                    expect( $container.scrollTop() ).toEqual( 0 );
+                    done();
+                }, 400 );
+            } );
+
+            it( 'It throws an error for animations which bypass the queue', function () {
+                expect( function () {
+                    $container.pauseScroll( { queue: false } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'Resuming.', function () {
+
+            it( 'It continues the scroll movement with the time which remains, and calls the callbacks once', function ( done ) {
+                var resumedAt,
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 1200, $.extend( {}, callbacks, {
+                    duration: 400,
+                    always: function () {
+                        callbacks.always.apply( this, arguments );
+
+                        expect( $.now() - resumedAt ).toBeLessThan( 350 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        expect( callbacks.start.calls.count() ).toEqual( 1 );
+                        expect( callbacks.done.calls.count() ).toEqual( 1 );
+                        expect( callbacks.fail ).not.toHaveBeenCalled();
+                        done();
+                    }
+                } ) );
+
+                _.delay( function () {
+                    $container.pauseScroll();
+                }, 200 );
+
+                _.delay( function () {
+                    resumedAt = $.now();
+                    $container.resumeScroll();
+                }, 500 );
+            } );
+
+            it( 'It releases the queued scroll movements', function ( done ) {
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 600, {
+                        append: true,
+                        done: function () {
+                            expect( $container.scrollTop() ).toEqual( 600 );
+                            done();
+                        }
+                    } );
+
+                inMidScroll( function () {
+                    $container.pauseScroll();
+                    _.delay( function () { $container.resumeScroll(); }, 200 );
+                } );
+            } );
+
+            it( 'It starts a scroll movement which has been appended during the pause', function ( done ) {
+                $container.pauseScroll().scrollTo( 1200, {
+                    append: true,
+                    done: function () {
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+
+                _.delay( function () {
+                    $container.resumeScroll();
+                }, 200 );
+            } );
+
+            it( 'It does not mistake a user scroll during the pause for an interruption', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 1200, $.extend( {}, callbacks, {
+                    always: function () {
+                        callbacks.always.apply( this, arguments );
+
+                        expect( callbacks.done.calls.count() ).toEqual( 1 );
+                        expect( callbacks.fail ).not.toHaveBeenCalled();
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } ) );
+
+                inMidScroll( function () {
+                    $container.pauseScroll();
+
+                    _.delay( function () {
+                        $container.scrollTop( $container.scrollTop() + 100 );
+                    }, 100 );
+
+                    _.delay( function () {
+                        $container.resumeScroll();
+                    }, 250 );
+                } );
+            } );
+
+            it( 'It works with the requestAnimationFrame engine, too', function ( done ) {
+                var pausedAt;
+
+                $container.scrollTo( 1200, {
+                    engine: "raf",
+                    done: function () {
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+
+                inMidScroll( function () {
+                    $container.pauseScroll();
+                    pausedAt = $container.scrollTop();
+
+                    _.delay( function () {
+                        expect( $container.scrollTop() ).toEqual( pausedAt );
+                        $container.resumeScroll();
+                    }, 300 );
+                } );
+            } );
+
+        } );
+
+        describe( 'Ending the pause.', function () {
+
+            it( 'stopScroll() stops a paused scroll movement, and removes the queued ones', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container ),
+                    start = jasmine.createSpy( "start" );
+
+                $container
+                    .scrollTo( 1200, callbacks )
+                    .scrollTo( 0, { append: true, start: start } );
+
+                inMidScroll( function () {
+                    $container.pauseScroll().stopScroll();
+                } );
+
+                afterScroll( function () {
+                    expect( callbacks.fail.calls.count() ).toEqual( 1 );
+                    expect( callbacks.always.calls.count() ).toEqual( 1 );
+                    expect( start ).not.toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'stopScroll() can make a paused scroll movement jump to its target', function ( done ) {
+                $container.scrollTo( 1200 );
+
+                inMidScroll( function () {
+                    $container.pauseScroll().stopScroll( { jumpToTargetPosition: true } );
+                    expect( $container.scrollTop() ).toEqual( 1200 );
+                    done();
+                } );
+            } );
+
+            it( 'A new scroll movement replaces the paused one, and runs', function ( done ) {
+                $container.scrollTo( 1200 );
+
+                inMidScroll( function () {
+                    $container.pauseScroll().scrollTo( 600, {
+                        done: function () {
+                            expect( $container.scrollTop() ).toEqual( 600 );
+                            done();
+                        }
+                    } );
+                } );
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,165 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollIntoViewChain().', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $outer, $inner, $target;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "body { width: 3000px; height: 3000px; position: relative; }",
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#outerPanel { position: absolute; top: 1000px; left: 0; width: 150px; height: 150px; overflow: auto; margin: 0; padding: 0; border: none; }",
+                "#outerContent { position: relative; width: 100px; height: 1000px; margin: 0; padding: 0; border: none; }",
+                "#innerPanel { position: absolute; top: 600px; left: 0; width: 100px; height: 100px; overflow: auto; margin: 0; padding: 0; border: none; }",
+                "#innerContent { position: relative; width: 50px; height: 1000px; margin: 0; padding: 0; border: none; }",
+                "#scrollTarget { position: absolute; top: 500px; left: 0; width: 20px; height: 20px; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $outer = $( '<div id="outerPanel"><div id="outerContent"><div id="innerPanel"><div id="innerContent"><div id="scrollTarget"/></div></div></div></div>' ).appendTo( "body" );
+            $inner = $outer.find( "#innerPanel" );
+            $target = $outer.find( "#scrollTarget" );
+            f.addToCleanup( $outer );
+
+            afterScreenUpdate( function () {
+
+                $window.scrollTop( 0 ).scrollLeft( 0 );
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            $window.scrollTop( 0 ).scrollLeft( 0 );
+            f.shutdown();
+        } );
+
+
+        describe( 'Movement.', function () {
+
+            it( 'It scrolls the inner container, the outer container and the window to reveal the element', function ( done ) {
+                $target.scrollIntoViewChain( { axis: "vertical" } );
+
+                afterScroll( function () {
+                    expect( $inner.scrollTop() ).toFuzzyEqual( 500 );
+                    expect( $outer.scrollTop() ).toFuzzyEqual( 600 );
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1000 );
+                    done();
+                } );
+            } );
+
+            it( 'It leaves the containers alone which already show the element', function ( done ) {
+                $inner.scrollTop( 500 );
+                $outer.scrollTop( 600 );
+
+                $target.scrollIntoViewChain( { axis: "vertical" } );
+
+                afterScroll( function () {
+                    expect( $inner.scrollTop() ).toEqual( 500 );
+                    expect( $outer.scrollTop() ).toEqual( 600 );
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1000 );
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error when called on an empty jQuery set', function () {
+                expect( function () {
+                    $().scrollIntoViewChain();
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'Callbacks.', function () {
+
+            it( 'It calls the start, done, complete and always callbacks once, in the context of the target element', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $window );
+
+                $target.scrollIntoViewChain( $.extend( { axis: "vertical" }, callbacks ) );
+
+                afterScroll( function () {
+                    expect( callbacks.start.calls.count() ).toEqual( 1 );
+                    expect( callbacks.done.calls.count() ).toEqual( 1 );
+                    expect( callbacks.complete.calls.count() ).toEqual( 1 );
+                    expect( callbacks.always.calls.count() ).toEqual( 1 );
+                    expect( callbacks.fail ).not.toHaveBeenCalled();
+
+                    expect( callbacks.done.calls.mostRecent().object ).toBe( $target[0] );
+                    done();
+                } );
+            } );
+
+            it( 'It calls the done, complete and always callbacks right away if the element is in view already', function () {
+                var callbacks = createObservedCallbacks( {}, $window );
+
+                $inner.scrollTop( 500 );
+                $outer.scrollTop( 600 );
+                $window.scrollTop( 1000 );
+
+                $target.scrollIntoViewChain( $.extend( { axis: "vertical" }, callbacks ) );
+
+                expect( callbacks.start ).not.toHaveBeenCalled();
+                expect( callbacks.done.calls.count() ).toEqual( 1 );
+                expect( callbacks.complete.calls.count() ).toEqual( 1 );
+                expect( callbacks.always.calls.count() ).toEqual( 1 );
+                expect( callbacks.fail ).not.toHaveBeenCalled();
+
+                expect( callbacks.done.calls.argsFor( 0 )[2].cancelledContainers ).toEqual( [] );
+            } );
+
+            it( 'It calls the fail and always callbacks once, reporting the cancelled container, if one of the animations is stopped', function ( done ) {
+                var failMessage,
+                    always = jasmine.createSpy( "always" ),
+                    doneCb = jasmine.createSpy( "done" );
+
+                $target.scrollIntoViewChain( {
+                    axis: "vertical",
+                    done: doneCb,
+                    fail: function ( animation, jumpedToEnd, message ) { failMessage = message; },
+                    always: always
+                } );
+
+                inMidScroll( function () {
+                    $outer.stopScroll( { notifyCancelled: { cancelled: "test" } } );
+                } );
+
+                afterScroll( function () {
+                    expect( doneCb ).not.toHaveBeenCalled();
+                    expect( always.calls.count() ).toEqual( 1 );
+
+                    expect( failMessage.cancelled ).toEqual( "test" );
+                    expect( failMessage.cancelledContainers ).toEqual( [ $outer[0] ] );
+                    done();
+                } );
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,227 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Speed and duration limits.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container,
+
+            /** @type {Object}  the global defaults, saved before each test */
+            cachedDefaults;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#durationPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#durationContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="durationPanel"><div id="durationContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            cachedDefaults = _.pick( $.scrollable, "speed", "minDuration", "maxDuration" );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            $.extend( $.scrollable, cachedDefaults );
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'The speed option.', function () {
+
+            it( 'It derives the duration from the distance and the speed', function ( done ) {
+                $container.scrollTo( 1200, {
+                    speed: 3000,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toFuzzyEqual( 400 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It takes precedence over the duration option', function ( done ) {
+                $container.scrollTo( 600, {
+                    speed: 3000,
+                    duration: 1000,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toFuzzyEqual( 200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It uses the global default speed if neither a speed nor a duration is specified', function ( done ) {
+                $.scrollable.speed = 6000;
+
+                $container.scrollTo( 1200, {
+                    done: function ( animation ) {
+                        expect( animation.duration ).toFuzzyEqual( 200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It ignores the global default speed if a duration is specified', function ( done ) {
+                $.scrollable.speed = 6000;
+
+                $container.scrollTo( 1200, {
+                    duration: 250,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 250 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It overrides the minimum speed', function ( done ) {
+                $container.scrollTo( 100, {
+                    speed: 500,
+                    lockSpeedBelow: 400,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toFuzzyEqual( 200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It throws an error if the speed is not a positive number', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { speed: "fast" } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollTo( 1200, { speed: -1000 } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'The minDuration and maxDuration options.', function () {
+
+            it( 'It extends a short duration to the minDuration', function ( done ) {
+                $container.scrollTo( 1200, {
+                    duration: 100,
+                    minDuration: 250,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 250 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It limits a duration derived from the speed to the maxDuration', function ( done ) {
+                $container.scrollTo( 2400, {
+                    speed: 1000,
+                    maxDuration: 300,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 300 );
+                        expect( $container.scrollTop() ).toEqual( 2400 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It applies the minDuration to a duration shortened by the minimum speed', function ( done ) {
+                $container.scrollTo( 50, {
+                    lockSpeedBelow: 400,
+                    minDuration: 150,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 150 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It uses the global defaults', function ( done ) {
+                $.scrollable.speed = 1000;
+                $.scrollable.maxDuration = 200;
+
+                $container.scrollTo( 1200, {
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It throws an error if a limit is not a number of 0 or greater', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { minDuration: "short" } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollTo( 1200, { maxDuration: -100 } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'A duration function.', function () {
+
+            it( 'It is called with the distance and the container when the scroll starts, in the context of the container', function ( done ) {
+                var durationFunc = jasmine.createSpy( "duration" ).and.returnValue( 250 );
+
+                $container
+                    .scrollTo( 300 )
+                    .scrollTo( 1200, {
+                        append: true,
+                        duration: durationFunc,
+                        done: function ( animation ) {
+                            expect( durationFunc ).toHaveBeenCalledWith( 900, jasmine.any( $ ) );
+                            expect( durationFunc.calls.count() ).toEqual( 1 );
+                            expect( durationFunc.calls.mostRecent().object ).toBe( $container[0] );
+                            expect( animation.duration ).toEqual( 250 );
+                            done();
+                        }
+                    } );
+
+                expect( durationFunc ).not.toHaveBeenCalled();
+            } );
+
+            it( 'It is subject to the minDuration and maxDuration options', function ( done ) {
+                $container.scrollTo( 1200, {
+                    duration: function ( distance ) { return distance; },
+                    maxDuration: 300,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 300 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+    } );
+
+})();
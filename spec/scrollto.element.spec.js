@@ -0,0 +1,419 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Target elements.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $target,
+
+            /** @type {number} */
+            maxScrollWidth, maxScrollHeight;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "body { width: 3000px; height: 3000px; position: relative; }",
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#scrollTarget { position: absolute; top: 1200px; left: 800px; width: 50px; height: 50px; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+            $target = $( '<div id="scrollTarget"/>' ).appendTo( "body" );
+            f.addToCleanup( $target );
+
+            afterScreenUpdate( function () {
+
+                maxScrollWidth = 3000 - $.windowWidth();
+                maxScrollHeight = 3000 - $.windowHeight();
+
+                $window.scrollTop( 0 ).scrollLeft( 0 );
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                //
+                // ATTN To make it work, scroll movements during tests must be larger than 20px (by a fair margin,
+                // ideally).
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            $window.scrollTop( 0 ).scrollLeft( 0 );
+            f.shutdown();
+        } );
+
+
+        describe( 'Target formats.', function () {
+
+            it( 'It scrolls to the element on both axes when the target is a jQuery set', function ( done ) {
+                $window.scrollTo( $target );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the element on both axes when the target is a DOM element', function ( done ) {
+                $window.scrollTo( $target[0] );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the element on both axes when the target is a selector', function ( done ) {
+                $window.scrollTo( "#scrollTarget" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the element when the target is a class selector', function ( done ) {
+                $target.addClass( "section-4" );
+                $window.scrollTo( ".section-4" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the element when the target is a selector which begins with a position keyword and a hyphen', function ( done ) {
+                var $topBar = $( '<top-bar/>' ).css( { position: "absolute", top: "1200px", left: "800px", width: "50px", height: "50px" } ).appendTo( "body" );
+                f.addToCleanup( $topBar );
+
+                $window.scrollTo( "top-bar" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the element when the target is an id selector with a hyphenated name', function ( done ) {
+                var $endMarker = $( '<div id="end-marker"/>' ).css( { position: "absolute", top: "1200px", left: "800px", width: "50px", height: "50px" } ).appendTo( "body" );
+                f.addToCleanup( $endMarker );
+
+                $window.scrollTo( "#end-marker" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the selector does not match an element', function () {
+                expect( function () {
+                    $window.scrollTo( "#doesNotExist" );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error if the target is an empty jQuery set', function () {
+                expect( function () {
+                    $window.scrollTo( $() );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'Axes.', function () {
+
+            it( 'It scrolls vertically only if the axis option is set to "vertical"', function ( done ) {
+                $window.scrollTo( $target, { axis: "vertical" } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls horizontally only if the target element is assigned to the horizontal axis in a position hash', function ( done ) {
+                $window.scrollTo( { x: $target } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toEqual( 0 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It accepts a mix of a target element and a position value in a position hash', function ( done ) {
+                $window.scrollTo( { y: "#scrollTarget", x: 100 } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 100 );
+                    done();
+                } );
+            } );
+
+            it( 'It limits the target position to the scroll range', function ( done ) {
+                $target.css( { top: "2990px", left: "2990px" } );
+                $window.scrollTo( $target );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( maxScrollHeight );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( maxScrollWidth );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Alignment.', function () {
+
+            it( 'It aligns the element with the bottom right corner of the container with align: "end"', function ( done ) {
+                $window.scrollTo( $target, { align: "end" } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1250 - $.windowHeight() );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 850 - $.windowWidth() );
+                    done();
+                } );
+            } );
+
+            it( 'It centers the element in the container with align: "center"', function ( done ) {
+                $window.scrollTo( $target, { align: "center" } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( Math.round( 1225 - $.windowHeight() / 2 ) );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( Math.round( 825 - $.windowWidth() / 2 ) );
+                    done();
+                } );
+            } );
+
+            it( 'It aligns the element differently per axis when the align option is a hash', function ( done ) {
+                $window.scrollTo( $target, { align: { y: "center", x: "start" } } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( Math.round( 1225 - $.windowHeight() / 2 ) );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls as little as possible with align: "nearest" when the element is outside of the visible area', function ( done ) {
+                $window.scrollTo( $target, { align: "nearest", axis: "vertical" } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1250 - $.windowHeight() );
+                    done();
+                } );
+            } );
+
+            it( 'It does not scroll with align: "nearest" when the element is fully visible', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $window );
+
+                $window.scrollTop( 1100 ).scrollTo( $target, $.extend( { align: "nearest", axis: "vertical" }, callbacks ) );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toEqual( 1100 );
+                    expect( callbacks.start ).not.toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the align option is not recognized', function () {
+                expect( function () {
+                    $window.scrollTo( $target, { align: "middle" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'Offsets.', function () {
+
+            it( 'It subtracts a numeric offset from the target position on both axes', function ( done ) {
+                $window.scrollTo( $target, { offset: 60 } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1140 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 740 );
+                    done();
+                } );
+            } );
+
+            it( 'It subtracts an offset per axis when the offset is a hash', function ( done ) {
+                $window.scrollTo( $target, { offset: { y: 60 } } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1140 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It applies the offset to a numeric target position', function ( done ) {
+                $window.scrollTo( 1000, { offset: 60 } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 940 );
+                    done();
+                } );
+            } );
+
+            it( 'It does not apply the offset to a relative target position', function ( done ) {
+                $window.scrollTop( 100 ).scrollTo( "+=200", { offset: 60 } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 300 );
+                    done();
+                } );
+            } );
+
+            it( 'It does not scroll with align: "nearest" when the element is fully visible below the offset', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $window );
+
+                $window.scrollTop( 1100 ).scrollTo( $target, $.extend( { align: "nearest", axis: "vertical", offset: 60 }, callbacks ) );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toEqual( 1100 );
+                    expect( callbacks.start ).not.toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'It moves the element out from under the offset with align: "nearest"', function ( done ) {
+                $window.scrollTop( 1170 ).scrollTo( $target, { align: "nearest", axis: "vertical", offset: 60 } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1140 );
+                    done();
+                } );
+            } );
+
+            it( 'It evaluates an offset function when the animation starts', function ( done ) {
+                var offsetFunc = jasmine.createSpy( "offset" ).and.returnValue( { y: 60 } );
+
+                $window
+                    .scrollTo( 300 )
+                    .scrollTo( $target, { offset: offsetFunc, append: true } );
+
+                expect( offsetFunc ).not.toHaveBeenCalled();
+
+                afterScrolls( 2, function () {
+                    expect( offsetFunc ).toHaveBeenCalled();
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1140 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It does not apply an offset function to a relative target position', function ( done ) {
+                var offsetFunc = jasmine.createSpy( "offset" ).and.returnValue( 60 );
+
+                $window.scrollTop( 100 ).scrollTo( "+=200", { offset: offsetFunc } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 300 );
+                    done();
+                } );
+            } );
+
+            it( 'It honours the scroll-padding of the container and the scroll-margin of the element with cssOffsets: true', function ( done ) {
+                $( "html" ).css( { scrollPaddingTop: "40px" } );
+                $target.css( { scrollMarginTop: "20px" } );
+
+                $window.scrollTo( $target, { cssOffsets: true, axis: "vertical" } );
+
+                afterScroll( function () {
+                    var expected = supportsScrollPadding() ? 1140 : 1200;
+                    $( "html" ).css( { scrollPaddingTop: "" } );
+
+                    expect( $window.scrollTop() ).toFuzzyEqual( expected );
+                    done();
+                } );
+            } );
+
+            it( 'It ignores the scroll-padding of the container and the scroll-margin of the element by default', function ( done ) {
+                $( "html" ).css( { scrollPaddingTop: "40px" } );
+                $target.css( { scrollMarginTop: "20px" } );
+
+                $window.scrollTo( $target, { axis: "vertical" } );
+
+                afterScroll( function () {
+                    $( "html" ).css( { scrollPaddingTop: "" } );
+
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Scroll modes.', function () {
+
+            it( 'It scrolls to the element, rather than relative to the current position, when starting from a scrolled position', function ( done ) {
+                $window.scrollTop( 300 ).scrollLeft( 200 ).scrollTo( $target );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the element in append mode, and a subsequent relative scroll is based on the element position', function ( done ) {
+                $window
+                    .scrollTo( 300 )
+                    .scrollTo( $target, { append: true } )
+                    .scrollTo( "+=100", { append: true } );
+
+                afterScrolls( 3, function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1300 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the element in merge mode', function ( done ) {
+                $window
+                    .scrollTo( { x: 300 } )
+                    .scrollTo( $target, { merge: true, axis: "vertical" } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 300 );
+                    done();
+                } );
+            } );
+
+        } );
+
+    } );
+
+    function supportsScrollPadding () {
+        return "scrollPaddingTop" in document.documentElement.style;
+    }
+
+})();
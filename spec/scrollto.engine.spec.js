@@ -0,0 +1,404 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Scroll engines.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container,
+
+            /** @type {string} */
+            defaultEngine;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#enginePanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: auto; margin: 0; padding: 0; border: none; }",
+                "#engineContent { width: 100px; height: 1500px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            // The scroll range is 1200px.
+            $container = $( '<div id="enginePanel"><div id="engineContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            defaultEngine = $.scrollable.engine;
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            $.scrollable.engine = defaultEngine;
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Native engine.', function () {
+
+            it( 'It scrolls to the target and calls the start, done, complete and always callbacks', function ( done ) {
+                if ( !supportsSmoothScroll() ) return done();
+
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 600, $.extend( {}, callbacks, {
+                    engine: "native",
+                    always: function () {
+                        expect( $container.scrollTop() ).toFuzzyEqual( 600 );
+                        expect( callbacks.start ).toHaveBeenCalled();
+                        expect( callbacks.done ).toHaveBeenCalled();
+                        expect( callbacks.complete ).toHaveBeenCalled();
+                        expect( callbacks.fail ).not.toHaveBeenCalled();
+                        done();
+                    }
+                } ) );
+            } );
+
+            it( 'It passes a message container to the callbacks', function ( done ) {
+                if ( !supportsSmoothScroll() ) return done();
+
+                $container.scrollTo( 600, {
+                    engine: "native",
+                    always: function ( animation, jumpedToEnd, message ) {
+                        expect( message ).toEqual( {} );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It runs queued scroll movements in sequence in append mode', function ( done ) {
+                if ( !supportsSmoothScroll() ) return done();
+
+                $container
+                    .scrollTo( 300, { engine: "native" } )
+                    .scrollTo( "+=400", {
+                        engine: "native",
+                        append: true,
+                        done: function () {
+                            expect( $container.scrollTop() ).toFuzzyEqual( 700 );
+                            done();
+                        }
+                    } );
+            } );
+
+            it( 'It stops where it is, and calls the fail callback, when it is stopped', function ( done ) {
+                if ( !supportsSmoothScroll() ) return done();
+
+                var doneCb = jasmine.createSpy( "done" );
+
+                $container.scrollTo( 1200, {
+                    engine: "native",
+                    done: doneCb,
+                    fail: function ( animation, jumpedToEnd, message ) {
+                        var position = $container.scrollTop();
+
+                        expect( message.cancelled ).toEqual( "test" );
+                        expect( position ).toBeLessThan( 1200 );
+
+                        _.delay( function () {
+                            expect( $container.scrollTop() ).toEqual( position );
+                            expect( doneCb ).not.toHaveBeenCalled();
+                            done();
+                        }, 100 );
+                    }
+                } );
+
+                earlyInMidScroll( function () {
+                    $container.stopScroll( { notifyCancelled: { cancelled: "test" } } );
+                } );
+            } );
+
+            it( 'It jumps to the target when it is stopped with jumpToTargetPosition', function ( done ) {
+                if ( !supportsSmoothScroll() ) return done();
+
+                $container.scrollTo( 1200, {
+                    engine: "native",
+                    done: function ( animation, jumpedToEnd ) {
+                        expect( jumpedToEnd ).toBe( true );
+                        expect( $container.scrollTop() ).toFuzzyEqual( 1200 );
+                        done();
+                    }
+                } );
+
+                earlyInMidScroll( function () {
+                    $container.stopScroll( { jumpToTargetPosition: true } );
+                } );
+            } );
+
+            it( 'It reports a cancelled: "scroll" message when the user scrolls away', function ( done ) {
+                if ( !supportsSmoothScroll() ) return done();
+
+                $container.scrollTo( 1200, {
+                    engine: "native",
+                    fail: function ( animation, jumpedToEnd, message ) {
+                        expect( message.cancelled ).toEqual( "scroll" );
+                        done();
+                    }
+                } );
+
+                // Simulate the user, interrupting the smooth scroll with an instant scroll of their own.
+                earlyInMidScroll( function () {
+                    $container[0].scrollTo( { top: 100, behavior: "instant" } );
+                } );
+            } );
+
+            it( 'It throws an error when used with queue: false', function () {
+                expect( function () {
+                    $container.scrollTo( 600, { engine: "native", queue: false } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'requestAnimationFrame engine.', function () {
+
+            it( 'It scrolls to the target and calls the start, step, progress, done, complete and always callbacks', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 600, $.extend( {}, callbacks, { engine: "raf" } ) );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 600 );
+                    expect( callbacks.start ).toHaveBeenCalled();
+                    expect( callbacks.step ).toHaveBeenCalled();
+                    expect( callbacks.progress ).toHaveBeenCalled();
+                    expect( callbacks.done ).toHaveBeenCalled();
+                    expect( callbacks.complete ).toHaveBeenCalled();
+                    expect( callbacks.always ).toHaveBeenCalled();
+                    expect( callbacks.fail ).not.toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'It passes the message container to the complete callback as the only argument', function ( done ) {
+                $container.scrollTo( 600, {
+                    engine: "raf",
+                    complete: function () {
+                        expect( arguments.length ).toEqual( 1 );
+                        expect( arguments[0] ).toEqual( {} );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It takes the duration into account', function ( done ) {
+                var doneCb = jasmine.createSpy( "done" );
+
+                $container.scrollTo( 600, { engine: "raf", duration: $.scrollable.defaultDuration * 2, lockSpeedBelow: 0, done: doneCb } );
+
+                afterScroll( function () {
+                    expect( doneCb ).not.toHaveBeenCalled();
+                    expect( $container.scrollTop() ).toBeGreaterThan( 0 );
+                    expect( $container.scrollTop() ).toBeLessThan( 600 );
+                } );
+
+                afterScrolls( 2, function () {
+                    expect( doneCb ).toHaveBeenCalled();
+                    expect( $container.scrollTop() ).toFuzzyEqual( 600 );
+                    done();
+                } );
+            } );
+
+            it( 'It passes the position to the step callback, and moves linearly with easing: "linear"', function ( done ) {
+                var positions = [];
+
+                $container.scrollTo( 600, {
+                    engine: "raf",
+                    easing: "linear",
+                    lockSpeedBelow: 0,
+                    step: function ( now, tween ) { positions.push( { now: now, pos: tween.pos } ); }
+                } );
+
+                afterScroll( function () {
+                    expect( positions.length ).toBeGreaterThan( 0 );
+                    _.each( positions, function ( position ) {
+                        expect( position.now ).toFuzzyEqual( 600 * position.pos );
+                    } );
+                    expect( _.last( positions ).now ).toEqual( 600 );
+                    done();
+                } );
+            } );
+
+            it( 'It runs queued scroll movements in sequence in append mode', function ( done ) {
+                $container
+                    .scrollTo( 300, { engine: "raf" } )
+                    .scrollTo( "+=400", { engine: "raf", append: true } );
+
+                afterScrolls( 2, function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 700 );
+                    done();
+                } );
+            } );
+
+            it( 'It stops where it is, and calls the fail callback, when it is stopped', function ( done ) {
+                var failMessage,
+                    doneCb = jasmine.createSpy( "done" );
+
+                $container.scrollTo( 1200, {
+                    engine: "raf",
+                    done: doneCb,
+                    fail: function ( animation, jumpedToEnd, message ) { failMessage = message; }
+                } );
+
+                inMidScroll( function () {
+                    $container.stopScroll( { notifyCancelled: { cancelled: "test" } } );
+                } );
+
+                afterScroll( function () {
+                    expect( doneCb ).not.toHaveBeenCalled();
+                    expect( failMessage.cancelled ).toEqual( "test" );
+                    expect( $container.scrollTop() ).toBeGreaterThan( 0 );
+                    expect( $container.scrollTop() ).toBeLessThan( 1200 );
+                    done();
+                } );
+            } );
+
+            it( 'It jumps to the target when it is stopped with jumpToTargetPosition', function ( done ) {
+                var doneCb = jasmine.createSpy( "done" );
+
+                $container.scrollTo( 1200, { engine: "raf", done: doneCb } );
+
+                inMidScroll( function () {
+                    $container.stopScroll( { jumpToTargetPosition: true } );
+                    expect( $container.scrollTop() ).toEqual( 1200 );
+                    expect( doneCb ).toHaveBeenCalled();
+                    expect( doneCb.calls.mostRecent().args[1] ).toBe( true );
+                    done();
+                } );
+            } );
+
+            it( 'It can be stopped when running outside of a queue, with queue: false', function ( done ) {
+                var fail = jasmine.createSpy( "fail" );
+
+                $container.scrollTo( 1200, { engine: "raf", queue: false, fail: fail } );
+
+                inMidScroll( function () {
+                    $container.stopScroll( { queue: false } );
+                } );
+
+                afterScroll( function () {
+                    expect( fail ).toHaveBeenCalled();
+                    expect( $container.scrollTop() ).toBeLessThan( 1200 );
+                    done();
+                } );
+            } );
+
+            it( 'It is not affected by jQuery.fx.off', function ( done ) {
+                var step = jasmine.createSpy( "step" );
+
+                $.fx.off = true;
+                $container.scrollTo( 600, { engine: "raf", step: step } );
+
+                inMidScroll( function () {
+                    $.fx.off = false;
+                    expect( $container.scrollTop() ).toBeLessThan( 600 );
+                } );
+
+                afterScroll( function () {
+                    expect( step.calls.count() ).toBeGreaterThan( 1 );
+                    expect( $container.scrollTop() ).toFuzzyEqual( 600 );
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the easing is unknown', function () {
+                expect( function () {
+                    $container.scrollTo( 600, { engine: "raf", easing: "doesNotExist" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'Engine selection.', function () {
+
+            it( 'It uses jQuery by default', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 600, callbacks );
+
+                afterScroll( function () {
+                    expect( callbacks.step ).toHaveBeenCalled();
+                    expect( $container.scrollTop() ).toFuzzyEqual( 600 );
+                    done();
+                } );
+            } );
+
+            it( 'It falls back to jQuery with the "auto" engine if a step callback is set', function ( done ) {
+                var step = jasmine.createSpy( "step" );
+
+                $container.scrollTo( 600, { engine: "auto", step: step } );
+
+                afterScroll( function () {
+                    expect( step ).toHaveBeenCalled();
+                    expect( $container.scrollTop() ).toFuzzyEqual( 600 );
+                    done();
+                } );
+            } );
+
+            it( 'It uses the default engine in $.scrollable.engine', function ( done ) {
+                if ( !supportsSmoothScroll() ) return done();
+
+                var start = jasmine.createSpy( "start" );
+
+                $.scrollable.engine = "native";
+
+                $container.scrollTo( 600, {
+                    start: start,
+                    done: function () {
+                        expect( start.calls.mostRecent().args[0].tweens ).toEqual( [] );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It falls back to jQuery with queue: false if the default engine is native', function ( done ) {
+                var step = jasmine.createSpy( "step" );
+
+                $.scrollable.engine = "native";
+                $container.scrollTo( 600, { queue: false, step: step } );
+
+                afterScroll( function () {
+                    expect( step ).toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the engine option is invalid', function () {
+                expect( function () {
+                    $container.scrollTo( 600, { engine: "css" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+    function supportsSmoothScroll () {
+        return "scrollBehavior" in document.documentElement.style;
+    }
+
+})();
@@ -0,0 +1,216 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Position expressions and CSS units.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $target,
+
+            /** @type {number} */
+            maxScrollWidth, maxScrollHeight;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "body { width: 3000px; height: 3000px; position: relative; }",
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#scrollTarget { position: absolute; top: 1200px; left: 800px; width: 50px; height: 50px; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+            $target = $( '<div id="scrollTarget"/>' ).appendTo( "body" );
+            f.addToCleanup( $target );
+
+            afterScreenUpdate( function () {
+
+                maxScrollWidth = 3000 - $.windowWidth();
+                maxScrollHeight = 3000 - $.windowHeight();
+
+                $window.scrollTop( 0 ).scrollLeft( 0 );
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                //
+                // ATTN To make it work, scroll movements during tests must be larger than 20px (by a fair margin,
+                // ideally).
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            $window.scrollTop( 0 ).scrollLeft( 0 );
+            f.shutdown();
+        } );
+
+
+        describe( 'CSS units.', function () {
+
+            it( 'It converts rem to px, based on the font size of the root element', function ( done ) {
+                $( "html" ).css( { fontSize: "10px" } );
+                $window.scrollTo( "50rem" );
+
+                afterScroll( function () {
+                    $( "html" ).css( { fontSize: "" } );
+                    expect( $window.scrollTop() ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+            it( 'It converts vh to px, based on the window height', function ( done ) {
+                $window.scrollTo( "50vh" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( Math.round( window.innerHeight / 2 ) );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Page units.', function () {
+
+            it( 'It scrolls down by the height of the window for "+=1page"', function ( done ) {
+                $window.scrollTop( 100 ).scrollTo( "+=1page" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 100 + $.windowHeight() );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls up by half a page for "-=0.5page"', function ( done ) {
+                $window.scrollTop( 1000 ).scrollTo( "-=0.5page" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( Math.round( 1000 - $.windowHeight() / 2 ) );
+                    done();
+                } );
+            } );
+
+            it( 'It subtracts the pageOverlap option from each page', function ( done ) {
+                $window.scrollTo( "+=2page", { pageOverlap: 40 } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 2 * ( $.windowHeight() - 40 ) );
+                    done();
+                } );
+            } );
+
+            it( 'It bases each page on the target of the preceding scroll in append mode', function ( done ) {
+                $window
+                    .scrollTo( "+=1page" )
+                    .scrollTo( "+=1page", { append: true } );
+
+                afterScrolls( 2, function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 2 * $.windowHeight() );
+                    done();
+                } );
+            } );
+
+            it( 'It bases the page on the target of the ongoing scroll in merge mode', function ( done ) {
+                $window.scrollTo( "+=1page" );
+
+                inMidScroll( function () {
+                    $window.scrollTo( "+=1page", { merge: true } );
+                } );
+
+                afterScrolls( 2, function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 2 * $.windowHeight() );
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the pageOverlap option is not numeric', function () {
+                expect( function () {
+                    $window.scrollTo( "+=1page", { pageOverlap: "a bit" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'Expressions.', function () {
+
+            it( 'It subtracts a length from a keyword', function ( done ) {
+                $window.scrollTo( "bottom - 200px" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( maxScrollHeight - 200 );
+                    done();
+                } );
+            } );
+
+            it( 'It adds lengths in different units', function ( done ) {
+                $( "html" ).css( { fontSize: "10px" } );
+                $window.scrollTo( "10% + 20rem" );
+
+                afterScroll( function () {
+                    $( "html" ).css( { fontSize: "" } );
+                    expect( $window.scrollTop() ).toFuzzyEqual( Math.round( maxScrollHeight / 10 + 200 ) );
+                    done();
+                } );
+            } );
+
+            it( 'It accepts an expression wrapped in calc()', function ( done ) {
+                $window.scrollTo( "calc(1000px - 100px)" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 900 );
+                    done();
+                } );
+            } );
+
+            it( 'It accepts an expression as a relative shift', function ( done ) {
+                $window.scrollTop( 100 ).scrollTo( "+= 500px - 100px" );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+            it( 'It derives the axis from a keyword in the expression', function ( done ) {
+                $window.scrollTo( "right - 100px" );
+
+                afterScroll( function () {
+                    expect( $window.scrollLeft() ).toFuzzyEqual( maxScrollWidth - 100 );
+                    expect( $window.scrollTop() ).toEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the expression is malformed', function () {
+                expect( function () {
+                    $window.scrollTo( "bottom -" );
+                } ).toThrowError( /Invalid position/ );
+            } );
+
+            it( 'It throws an error if a keyword in the expression does not match the axis', function () {
+                expect( function () {
+                    $window.scrollTo( "bottom - 100px", { axis: "horizontal" } );
+                } ).toThrowError( /inconsistent/ );
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,196 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Easings and feel presets.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container,
+
+            /** @type {Object}  the global defaults, saved before each test */
+            cachedFeels;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#feelPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#feelContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="feelPanel"><div id="feelContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            cachedFeels = $.extend( {}, $.scrollable.feels );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            $.scrollable.feels = cachedFeels;
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Bundled easings.', function () {
+
+            it( 'They are registered in jQuery.easing, and run from 0 to 1', function () {
+                _.each( [ "easeOutCubic", "easeInOutCubic", "easeOutQuint", "easeInOutQuint", "easeOutExpo", "easeInOutExpo" ], function ( name ) {
+                    expect( $.easing[name] ).toEqual( jasmine.any( Function ) );
+                    expect( $.easing[name]( 0 ) ).toEqual( 0 );
+                    expect( $.easing[name]( 1 ) ).toEqual( 1 );
+                } );
+            } );
+
+            it( 'An ease-out easing is ahead of linear progress all the way', function () {
+                _.each( [ 0.1, 0.3, 0.5, 0.7, 0.9 ], function ( p ) {
+                    expect( $.easing.easeOutQuint( p ) ).toBeGreaterThan( p );
+                } );
+            } );
+
+            it( 'They can be used as the easing option', function ( done ) {
+                var easings = [];
+
+                $container.scrollTo( 1200, {
+                    easing: "easeOutExpo",
+                    step: function ( now, tween ) { easings.push( tween.easing ); },
+                    done: function () {
+                        expect( _.uniq( easings ) ).toEqual( [ "easeOutExpo" ] );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( '$.scrollable.cubicBezier().', function () {
+
+            it( 'It registers an easing and returns its name', function () {
+                var name = $.scrollable.cubicBezier( 0.25, 0.1, 0.25, 1 );
+
+                expect( name ).toEqual( "cubic-bezier(0.25, 0.1, 0.25, 1)" );
+                expect( $.easing[name] ).toEqual( jasmine.any( Function ) );
+            } );
+
+            it( 'The easing follows the curve', function () {
+                var linear = $.easing[$.scrollable.cubicBezier( 0, 0, 1, 1 )],
+                    ease = $.easing[$.scrollable.cubicBezier( 0.25, 0.1, 0.25, 1 )];
+
+                expect( linear( 0.3 ) ).toBeCloseTo( 0.3, 4 );
+                expect( ease( 0 ) ).toEqual( 0 );
+                expect( ease( 0.5 ) ).toBeCloseTo( 0.8024, 3 );
+                expect( ease( 1 ) ).toEqual( 1 );
+            } );
+
+            it( 'The easing can be used as the easing option', function ( done ) {
+                $container.scrollTo( 1200, {
+                    easing: $.scrollable.cubicBezier( 0.2, 0, 0, 1 ),
+                    done: function () {
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It throws an error for invalid control points', function () {
+                expect( function () {
+                    $.scrollable.cubicBezier( 1.5, 0, 0, 1 );
+                } ).toThrow();
+
+                expect( function () {
+                    $.scrollable.cubicBezier( 0.5, 0, 0.5 );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'The feel option.', function () {
+
+            it( 'It applies the easing and duration of a preset', function ( done ) {
+                var easing;
+
+                $container.scrollTo( 1200, {
+                    feel: "snappy",
+                    step: function ( now, tween ) { easing = tween.easing; },
+                    done: function ( animation ) {
+                        expect( easing ).toEqual( "easeOutQuint" );
+                        expect( animation.duration ).toEqual( 250 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It applies the speed of a preset', function ( done ) {
+                $container.scrollTo( 1200, {
+                    feel: "platform",
+                    done: function ( animation ) {
+                        expect( animation.duration ).toFuzzyEqual( 400 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It gives precedence to options which are set explicitly', function ( done ) {
+                var easing;
+
+                $container.scrollTo( 1200, {
+                    feel: "gentle",
+                    duration: 200,
+                    step: function ( now, tween ) { easing = tween.easing; },
+                    done: function ( animation ) {
+                        expect( easing ).toEqual( "easeInOutCubic" );
+                        expect( animation.duration ).toEqual( 200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It accepts a custom preset', function ( done ) {
+                $.scrollable.feels.custom = { easing: "linear", duration: 150 };
+
+                $container.scrollTo( 1200, {
+                    feel: "custom",
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 150 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It throws an error for an unknown preset', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { feel: "bouncy" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,183 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Position functions.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $target,
+
+            /** @type {number} */
+            maxScrollWidth, maxScrollHeight;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "body { width: 3000px; height: 3000px; position: relative; }",
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#scrollTarget { position: absolute; top: 1200px; left: 800px; width: 50px; height: 50px; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+            $target = $( '<div id="scrollTarget"/>' ).appendTo( "body" );
+            f.addToCleanup( $target );
+
+            afterScreenUpdate( function () {
+
+                maxScrollWidth = 3000 - $.windowWidth();
+                maxScrollHeight = 3000 - $.windowHeight();
+
+                $window.scrollTop( 0 ).scrollLeft( 0 );
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                //
+                // ATTN To make it work, scroll movements during tests must be larger than 20px (by a fair margin,
+                // ideally).
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            $window.scrollTop( 0 ).scrollLeft( 0 );
+            f.shutdown();
+        } );
+
+
+        describe( 'Evaluation.', function () {
+
+            it( 'It scrolls to the position returned by the function', function ( done ) {
+                $window.scrollTo( function () { return 1000; } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1000 );
+                    expect( $window.scrollLeft() ).toEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It calls the function with the start position, the scroll range and the container, in the context of the container', function ( done ) {
+                var positionFunc = jasmine.createSpy( "position" ).and.returnValue( 1000 );
+
+                $window.scrollTop( 100 ).scrollTo( positionFunc );
+
+                afterScroll( function () {
+                    var call = positionFunc.calls.mostRecent();
+
+                    expect( call.object ).toBe( window );
+                    expect( call.args[0] ).toEqual( { horizontal: 0, vertical: 100 } );
+                    expect( call.args[1] ).toEqual( { horizontal: maxScrollWidth, vertical: maxScrollHeight } );
+                    expect( call.args[2][0] ).toBe( window );
+                    done();
+                } );
+            } );
+
+            it( 'It accepts a target element as the return value, and scrolls on both axes', function ( done ) {
+                $window.scrollTo( function () { return $target; } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1200 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It derives the axis from a returned position hash', function ( done ) {
+                $window.scrollTo( function () { return { x: 500 }; } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toEqual( 0 );
+                    expect( $window.scrollLeft() ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+            it( 'It respects an explicit axis option', function ( done ) {
+                $window.scrollTo( function () { return { x: 500, y: 500 }; }, { axis: "vertical" } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 500 );
+                    expect( $window.scrollLeft() ).toEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the function returns a function', function () {
+                expect( function () {
+                    $window.scrollTo( function () { return function () {}; } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'Append mode.', function () {
+
+            it( 'It calls the function when the preceding scroll has ended, not when scrollTo is called', function ( done ) {
+                var targetTop = 500,
+                    positionFunc = jasmine.createSpy( "position" ).and.callFake( function () { return targetTop; } );
+
+                $window
+                    .scrollTo( 300 )
+                    .scrollTo( positionFunc, { append: true } );
+
+                expect( positionFunc ).not.toHaveBeenCalled();
+                targetTop = 1000;
+
+                afterScrolls( 2, function () {
+                    expect( positionFunc.calls.count() ).toEqual( 1 );
+                    expect( positionFunc.calls.mostRecent().args[0] ).toEqual( { horizontal: 0, vertical: 300 } );
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1000 );
+                    done();
+                } );
+            } );
+
+            it( 'It bases a relative scroll, queued behind the function, on the position returned by the function', function ( done ) {
+                $window
+                    .scrollTo( 300 )
+                    .scrollTo( function () { return 1000; }, { append: true } )
+                    .scrollTo( "+=100", { append: true } );
+
+                afterScrolls( 3, function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1100 );
+                    done();
+                } );
+            } );
+
+            it( 'It calls the callbacks of a queued function scroll', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $window );
+
+                $window
+                    .scrollTo( 300 )
+                    .scrollTo( function () { return 1000; }, $.extend( { append: true }, callbacks ) );
+
+                afterScrolls( 2, function () {
+                    expect( callbacks.start ).toHaveBeenCalled();
+                    expect( callbacks.done ).toHaveBeenCalled();
+                    expect( callbacks.fail ).not.toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,216 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Easing and duration per axis.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#perAxisPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#perAxisContent { position: relative; width: 3000px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="perAxisPanel"><div id="perAxisContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Easing per axis.', function () {
+
+            it( 'It animates each axis with its own easing', function ( done ) {
+                var easings = {};
+
+                $container.scrollTo( { x: 1000, y: 1000 }, {
+                    easing: { vertical: "swing", horizontal: "linear" },
+                    step: function ( now, tween ) { easings[tween.prop] = tween.easing; }
+                } );
+
+                afterScroll( function () {
+                    expect( easings ).toEqual( { scrollLeft: "linear", scrollTop: "swing" } );
+                    expect( $container.scrollLeft() ).toEqual( 1000 );
+                    expect( $container.scrollTop() ).toEqual( 1000 );
+                    done();
+                } );
+            } );
+
+            it( 'It uses "swing" for an axis which is left out', function ( done ) {
+                var easings = {};
+
+                $container.scrollTo( { x: 1000, y: 1000 }, {
+                    easing: { x: "linear" },
+                    step: function ( now, tween ) { easings[tween.prop] = tween.easing; }
+                } );
+
+                afterScroll( function () {
+                    expect( easings ).toEqual( { scrollLeft: "linear", scrollTop: "swing" } );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Duration per axis.', function () {
+
+            it( 'It lets each axis arrive after its own duration', function ( done ) {
+                $container.scrollTo( { x: 1000, y: 1000 }, {
+                    duration: { vertical: 600, horizontal: 200 }
+                } );
+
+                _.delay( function () {
+                    expect( $container.scrollLeft() ).toEqual( 1000 );
+                    expect( $container.scrollTop() ).toBeLessThan( 1000 );
+                }, 400 );
+
+                _.delay( function () {
+                    expect( $container.scrollLeft() ).toEqual( 1000 );
+                    expect( $container.scrollTop() ).toEqual( 1000 );
+                    done();
+                }, 700 );
+            } );
+
+            it( 'It combines the duration with an easing per axis', function ( done ) {
+                var positions = [];
+
+                $container.scrollTo( { x: 1000, y: 1000 }, {
+                    easing: { vertical: "swing", horizontal: "linear" },
+                    duration: { vertical: 600, horizontal: 300 },
+                    step: function ( now, tween ) { if ( tween.prop === "scrollLeft" ) positions.push( now ); },
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 600 );
+                        expect( _.last( positions ) ).toEqual( 1000 );
+                        expect( $container.scrollTop() ).toEqual( 1000 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It uses the default duration for an axis which is left out', function ( done ) {
+                $container.scrollTo( { x: 1000, y: 1000 }, {
+                    duration: { y: 100 },
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( $.scrollable.defaultDuration );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It runs on the requestAnimationFrame engine, too', function ( done ) {
+                $container.scrollTo( { x: 1000, y: 1000 }, {
+                    engine: "raf",
+                    duration: { vertical: 600, horizontal: 200 }
+                } );
+
+                _.delay( function () {
+                    expect( $container.scrollLeft() ).toEqual( 1000 );
+                    expect( $container.scrollTop() ).toBeLessThan( 1000 );
+                }, 400 );
+
+                _.delay( function () {
+                    expect( $container.scrollTop() ).toEqual( 1000 );
+                    done();
+                }, 700 );
+            } );
+
+        } );
+
+        describe( 'Callbacks.', function () {
+
+            it( 'It calls the start, done, complete and always callbacks once, when both axes have arrived', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( { x: 1000, y: 1000 }, $.extend( { duration: { vertical: 400, horizontal: 100 } }, callbacks ) );
+
+                _.delay( function () {
+                    expect( callbacks.done ).not.toHaveBeenCalled();
+                }, 250 );
+
+                _.delay( function () {
+                    expect( callbacks.start.calls.count() ).toEqual( 1 );
+                    expect( callbacks.done.calls.count() ).toEqual( 1 );
+                    expect( callbacks.complete.calls.count() ).toEqual( 1 );
+                    expect( callbacks.always.calls.count() ).toEqual( 1 );
+                    expect( callbacks.fail ).not.toHaveBeenCalled();
+                    done();
+                }, 500 );
+            } );
+
+            it( 'It calls the fail callback once if the scroll is stopped after one of the axes has arrived', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( { x: 1000, y: 1000 }, $.extend( { duration: { vertical: 400, horizontal: 100 } }, callbacks ) );
+
+                _.delay( function () {
+                    $container.stopScroll();
+                }, 200 );
+
+                _.delay( function () {
+                    expect( callbacks.fail.calls.count() ).toEqual( 1 );
+                    expect( callbacks.always.calls.count() ).toEqual( 1 );
+                    expect( callbacks.done ).not.toHaveBeenCalled();
+                    expect( $container.scrollLeft() ).toEqual( 1000 );
+                    expect( $container.scrollTop() ).toBeLessThan( 1000 );
+                    done();
+                }, 500 );
+            } );
+
+        } );
+
+        describe( 'Errors.', function () {
+
+            it( 'It throws an error for an unknown axis name', function () {
+                expect( function () {
+                    $container.scrollTo( { x: 1000, y: 1000 }, { duration: { diagonal: 300 } } );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error for an invalid duration or easing', function () {
+                expect( function () {
+                    $container.scrollTo( { x: 1000, y: 1000 }, { duration: { x: -300 } } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollTo( { x: 1000, y: 1000 }, { easing: { x: "doesNotExist" } } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,299 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Physics-based scroll movements.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container,
+
+            /** @type {number} */
+            maxScrollTop;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#physicsPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#physicsContent { position: relative; width: 1000px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="physicsPanel"><div id="physicsContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                maxScrollTop = 2700;
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Spring.', function () {
+
+            it( 'It ends the movement exactly at the target, with a duration derived from the spring', function ( done ) {
+                $container.scrollTo( 1200, {
+                    physics: { type: "spring" },
+                    done: function ( animation ) {
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        expect( animation.duration ).not.toEqual( $.scrollable.defaultDuration );
+                        expect( animation.duration ).toBeGreaterThan( 0 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It takes longer with a softer spring', function ( done ) {
+                var durations = [];
+
+                $container
+                    .scrollTo( 1200, {
+                        physics: { type: "spring", stiffness: 400, damping: 40 },
+                        done: function ( animation ) { durations.push( animation.duration ); }
+                    } )
+                    .scrollTo( 0, {
+                        append: true,
+                        physics: { type: "spring", stiffness: 50, damping: 14 },
+                        done: function ( animation ) {
+                            durations.push( animation.duration );
+                            expect( durations[1] ).toBeGreaterThan( durations[0] );
+                            done();
+                        }
+                    } );
+            } );
+
+            it( 'It overshoots the target with low damping, and swings back', function ( done ) {
+                var positions = [];
+
+                $container.scrollTo( 1200, {
+                    physics: { type: "spring", stiffness: 200, damping: 8 },
+                    step: function ( now ) { positions.push( now ); },
+                    done: function () {
+                        expect( _.max( positions ) ).toBeGreaterThan( 1200 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It does not swing past the edge of the scroll range', function ( done ) {
+                var positions = [];
+
+                $container.scrollTop( 2000 ).scrollTo( "bottom", {
+                    physics: { type: "spring", stiffness: 200, damping: 8 },
+                    step: function ( now ) { positions.push( now ); },
+                    done: function () {
+                        expect( _.max( positions ) ).not.toBeGreaterThan( maxScrollTop );
+                        expect( $container.scrollTop() ).toEqual( maxScrollTop );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It runs on the requestAnimationFrame engine, too', function ( done ) {
+                var positions = [];
+
+                $container.scrollTo( 1200, {
+                    engine: "raf",
+                    physics: { type: "spring", stiffness: 200, damping: 8 },
+                    step: function ( now ) { positions.push( now ); },
+                    done: function () {
+                        expect( _.max( positions ) ).toBeGreaterThan( 1200 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'Inertial deceleration.', function () {
+
+            it( 'It ends the movement exactly at the target, slowing down all the way', function ( done ) {
+                var positions = [];
+
+                $container.scrollTo( 1200, {
+                    physics: { type: "decay" },
+                    step: function ( now ) { positions.push( now ); },
+                    done: function () {
+                        var deltas = _.map( _.rest( positions ), function ( position, index ) { return position - positions[index]; } );
+
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        expect( _.min( deltas ) ).not.toBeLessThan( 0 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It gets there sooner with a higher initial velocity', function ( done ) {
+                var durations = [];
+
+                $container
+                    .scrollTo( 600, {
+                        physics: { type: "decay", velocity: 3000 },
+                        done: function ( animation ) { durations.push( animation.duration ); }
+                    } )
+                    .scrollTo( 0, {
+                        append: true,
+                        physics: { type: "decay", velocity: { y: -9000 } },
+                        done: function ( animation ) {
+                            durations.push( animation.duration );
+                            expect( durations[1] ).toBeLessThan( durations[0] );
+                            expect( $container.scrollTop() ).toEqual( 0 );
+                            done();
+                        }
+                    } );
+            } );
+
+        } );
+
+        describe( 'Callbacks and user interaction.', function () {
+
+            it( 'It calls the start, done, complete and always callbacks once', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 1200, $.extend( { physics: { type: "spring" } }, callbacks, {
+                    always: function () {
+                        callbacks.always.apply( this, arguments );
+
+                        expect( callbacks.start.calls.count() ).toEqual( 1 );
+                        expect( callbacks.done.calls.count() ).toEqual( 1 );
+                        expect( callbacks.complete.calls.count() ).toEqual( 1 );
+                        expect( callbacks.always.calls.count() ).toEqual( 1 );
+                        expect( callbacks.fail ).not.toHaveBeenCalled();
+                        done();
+                    }
+                } ) );
+            } );
+
+            it( 'It stops the movement when the user scrolls', function ( done ) {
+                var failMessage;
+
+                $container.scrollTo( 2000, {
+                    physics: { type: "decay" },
+                    fail: function ( animation, jumpedToEnd, message ) { failMessage = message; }
+                } );
+
+                inMidScroll( function () {
+                    $container.scrollTop( 100 );
+                } );
+
+                afterScroll( function () {
+                    expect( failMessage && failMessage.cancelled ).toEqual( "scroll" );
+                    expect( $container.scrollTop() ).toFuzzyEqual( 100 );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'scrollFling().', function () {
+
+            it( 'It moves by velocity / friction, vertically by default', function ( done ) {
+                $container.scrollTop( 100 ).scrollFling( 2000, {
+                    done: function () {
+                        expect( $container.scrollTop() ).toEqual( 500 );
+                        expect( $container.scrollLeft() ).toEqual( 0 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It moves towards the start of the axis with a negative velocity, and uses the friction of the physics option', function ( done ) {
+                $container.scrollTop( 1000 ).scrollFling( -2000, {
+                    physics: { friction: 4 },
+                    done: function () {
+                        expect( $container.scrollTop() ).toEqual( 500 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It moves on the axis given by the axis option, or on the axes of a velocity hash', function ( done ) {
+                $container
+                    .scrollFling( 1000, { axis: "x" } )
+                    .scrollFling( { x: 500, y: 1500 }, {
+                        append: true,
+                        done: function () {
+                            expect( $container.scrollLeft() ).toEqual( 300 );
+                            expect( $container.scrollTop() ).toEqual( 300 );
+                            done();
+                        }
+                    } );
+            } );
+
+            it( 'It stops at the edge of the scroll range', function ( done ) {
+                $container.scrollTop( 2500 ).scrollFling( 5000, {
+                    done: function () {
+                        expect( $container.scrollTop() ).toEqual( maxScrollTop );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'Errors.', function () {
+
+            it( 'It throws an error if the physics type is not recognized', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { physics: { type: "bounce" } } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollTo( 1200, { physics: "spring" } );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error if a parameter of the simulation is invalid', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { physics: { type: "spring", stiffness: -100 } } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollFling( 2000, { physics: { friction: 0 } } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollFling( "fast" );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error if the native engine is requested explicitly', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { engine: "native", physics: { type: "spring" } } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,250 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Reduced motion.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container,
+
+            /** @type {Object}  the global defaults, saved before each test */
+            cachedDefaults;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#reducedMotionPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#reducedMotionContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="reducedMotionPanel"><div id="reducedMotionContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            cachedDefaults = _.pick( $.scrollable, "reducedMotion", "_prefersReducedMotion" );
+
+            // Simulate the prefers-reduced-motion setting of the user.
+            $.scrollable._prefersReducedMotion = true;
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            $.extend( $.scrollable, cachedDefaults );
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'The "jump" policy.', function () {
+
+            it( 'It jumps to the target', function ( done ) {
+                $container.scrollTo( 1200, {
+                    reducedMotion: "jump",
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 0 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It calls the callbacks in the usual order', function ( done ) {
+                var calls = [];
+
+                $container.scrollTo( 1200, {
+                    reducedMotion: "jump",
+                    start: function () { calls.push( "start" ); },
+                    progress: function () { calls.push( "progress" ); },
+                    done: function () { calls.push( "done" ); },
+                    complete: function () { calls.push( "complete" ); },
+                    always: function () {
+                        calls.push( "always" );
+
+                        expect( _.uniq( calls ) ).toEqual( [ "start", "progress", "done", "complete", "always" ] );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It passes messages on to the callbacks', function ( done ) {
+                $container
+                    .scrollTo( 1200, {
+                        reducedMotion: "jump",
+                        start: function () { $container.notifyScrollCallbacks( { sender: "test" } ); },
+                        always: function ( animation, jumpedToEnd, message ) {
+                            expect( message.sender ).toEqual( "test" );
+                            done();
+                        }
+                    } );
+            } );
+
+            it( 'It applies to a physics-based scroll movement', function ( done ) {
+                $container.scrollTo( 1200, {
+                    reducedMotion: "jump",
+                    physics: { type: "spring" },
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 0 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'The "shorten" policy.', function () {
+
+            it( 'It limits the duration to 150ms', function ( done ) {
+                $container.scrollTo( 1200, {
+                    reducedMotion: "shorten",
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 150 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It leaves a shorter duration alone', function ( done ) {
+                $container.scrollTo( 1200, {
+                    reducedMotion: "shorten",
+                    duration: 100,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 100 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It compresses the course of a physics-based scroll movement', function ( done ) {
+                var positions = [];
+
+                $container.scrollTo( 1200, {
+                    reducedMotion: "shorten",
+                    physics: { type: "spring", stiffness: 200, damping: 8 },
+                    step: function ( now ) { positions.push( now ); },
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 150 );
+                        expect( _.max( positions ) ).toBeGreaterThan( 1200 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'The "auto" policy.', function () {
+
+            it( 'It is the default', function () {
+                expect( cachedDefaults.reducedMotion ).toEqual( "auto" );
+            } );
+
+            it( 'It shortens a movement within the visible area of the container', function ( done ) {
+                $container.scrollTo( 250, {
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 150 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It jumps if the movement goes beyond the visible area of the container', function ( done ) {
+                $container.scrollTo( 1200, {
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 0 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'The "ignore" policy, and the global default.', function () {
+
+            it( 'It runs the animation as usual with the "ignore" policy', function ( done ) {
+                $container.scrollTo( 1200, {
+                    reducedMotion: "ignore",
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 300 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It uses the global default policy', function ( done ) {
+                $.scrollable.reducedMotion = "jump";
+
+                $container.scrollTo( 250, {
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 0 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It gives precedence to the reducedMotion option over the global default', function ( done ) {
+                $.scrollable.reducedMotion = "jump";
+
+                $container.scrollTo( 1200, {
+                    reducedMotion: "ignore",
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 300 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It runs the animation as usual if the user does not prefer reduced motion', function ( done ) {
+                $.scrollable._prefersReducedMotion = false;
+
+                $container.scrollTo( 1200, {
+                    reducedMotion: "jump",
+                    done: function ( animation ) {
+                        expect( animation.duration ).toEqual( 300 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'Errors.', function () {
+
+            it( 'It throws an error for an invalid reducedMotion option', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { reducedMotion: "never" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,155 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Retargeting when the layout changes.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $target,
+
+            /** @type {number} */
+            maxScrollWidth, maxScrollHeight;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "body { width: 3000px; height: 3000px; position: relative; }",
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#scrollTarget { position: absolute; top: 1200px; left: 800px; width: 50px; height: 50px; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+            $target = $( '<div id="scrollTarget"/>' ).appendTo( "body" );
+            f.addToCleanup( $target );
+
+            afterScreenUpdate( function () {
+
+                maxScrollWidth = 3000 - $.windowWidth();
+                maxScrollHeight = 3000 - $.windowHeight();
+
+                $window.scrollTop( 0 ).scrollLeft( 0 );
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                //
+                // ATTN To make it work, scroll movements during tests must be larger than 20px (by a fair margin,
+                // ideally).
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            $window.scrollTop( 0 ).scrollLeft( 0 );
+            f.shutdown();
+        } );
+
+
+        describe( 'Symbolic targets.', function () {
+
+            it( 'It scrolls to the new bottom if the content grows during a scroll to "bottom"', function ( done ) {
+                $window.scrollTo( "bottom" );
+
+                inMidScroll( function () {
+                    $( "body" ).css( { height: "4000px" } );
+                } );
+
+                afterScroll( function () {
+                    var expected = supportsResizeObserver() ? 4000 - $.windowHeight() : maxScrollHeight;
+                    expect( $window.scrollTop() ).toFuzzyEqual( expected );
+                    $( "body" ).css( { height: "" } );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the new position of a percentage target if the content grows', function ( done ) {
+                $window.scrollTo( "50%" );
+
+                inMidScroll( function () {
+                    $( "body" ).css( { height: "4000px" } );
+                } );
+
+                afterScroll( function () {
+                    var expected = supportsResizeObserver() ? 4000 - $.windowHeight() : maxScrollHeight;
+                    expect( $window.scrollTop() ).toFuzzyEqual( Math.round( expected / 2 ) );
+                    $( "body" ).css( { height: "" } );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the new position of a target element if the content grows', function ( done ) {
+                $window.scrollTo( $target, { axis: "vertical" } );
+
+                inMidScroll( function () {
+                    $( "body" ).css( { height: "4000px" } );
+                    $target.css( { top: "1500px" } );
+                } );
+
+                afterScroll( function () {
+                    var expected = supportsResizeObserver() ? 1500 : 1200;
+                    expect( $window.scrollTop() ).toFuzzyEqual( expected );
+                    $( "body" ).css( { height: "" } );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Fixed targets.', function () {
+
+            it( 'It does not change a numeric target', function ( done ) {
+                $window.scrollTo( 1000 );
+
+                inMidScroll( function () {
+                    $( "body" ).css( { height: "4000px" } );
+                } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1000 );
+                    $( "body" ).css( { height: "" } );
+                    done();
+                } );
+            } );
+
+            it( 'It does not retarget with retarget: false', function ( done ) {
+                $window.scrollTo( "bottom", { retarget: false } );
+
+                inMidScroll( function () {
+                    $( "body" ).css( { height: "4000px" } );
+                } );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( maxScrollHeight );
+                    $( "body" ).css( { height: "" } );
+                    done();
+                } );
+            } );
+
+        } );
+
+    } );
+
+    // Without a ResizeObserver, changes are only picked up on window resize, so the targets don't change in these
+    // tests.
+    function supportsResizeObserver () {
+        return !!window.ResizeObserver;
+    }
+
+})();
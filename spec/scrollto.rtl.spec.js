@@ -0,0 +1,210 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Right-to-left and vertical writing modes.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container, $content, $target;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#rtlPanel { position: absolute; top: 0; left: 0; width: 200px; height: 200px; overflow: hidden; margin: 0; padding: 0; border: none; direction: rtl; }",
+                "#rtlContent { position: relative; width: 1000px; height: 1000px; margin: 0; padding: 0; border: none; }",
+                "#scrollTarget { position: absolute; top: 0; right: 500px; width: 20px; height: 20px; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="rtlPanel"><div id="rtlContent"><div id="scrollTarget"/></div></div>' ).appendTo( "body" );
+            $content = $container.find( "#rtlContent" );
+            $target = $container.find( "#scrollTarget" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Right-to-left container.', function () {
+
+            it( 'It measures a numeric position from the right edge of the content', function ( done ) {
+                $container.scrollTo( 300, { axis: "x" } );
+
+                afterScroll( function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 300 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls relative to the current position, measured from the right edge', function ( done ) {
+                $container
+                    .scrollTo( 300, { axis: "x" } )
+                    .scrollTo( "+=200", { axis: "x", append: true } );
+
+                afterScrolls( 2, function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the left edge of the content with "end"', function ( done ) {
+                $container.scrollTo( "end", { axis: "x" } );
+
+                afterScroll( function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 800 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls back to the right edge of the content with "start"', function ( done ) {
+                $container
+                    .scrollTo( 600, { axis: "x" } )
+                    .scrollTo( "start", { axis: "x", append: true } );
+
+                afterScrolls( 2, function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It keeps the physical meaning of "left" and "right"', function ( done ) {
+                $container
+                    .scrollTo( "left" )
+                    .scrollTo( "right - 100px", { append: true } );
+
+                afterScroll( function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 800 );
+                } );
+
+                afterScrolls( 2, function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It aligns a target element with the right edge of the container', function ( done ) {
+                $container.scrollTo( $target, { axis: "x" } );
+
+                afterScroll( function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+            it( 'It passes positions measured from the right edge to the step callback', function ( done ) {
+                var positions = [];
+
+                $container.scrollTo( 500, {
+                    axis: "x",
+                    step: function ( now ) { positions.push( now ); }
+                } );
+
+                afterScroll( function () {
+                    expect( positions.length ).toBeGreaterThan( 0 );
+                    expect( _.min( positions ) ).not.toBeLessThan( 0 );
+                    expect( _.last( positions ) ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+            it( 'It reports a scroll range from 0 to the maximum', function () {
+                expect( $container.scrollRange( "x" ) ).toEqual( 800 );
+            } );
+
+        } );
+
+        describe( 'Logical axis names.', function () {
+
+            it( 'It treats "inline" as the horizontal axis in a horizontal writing mode', function ( done ) {
+                $container.scrollTo( { inline: 400 } );
+
+                afterScroll( function () {
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 400 );
+                    expect( $container.scrollTop() ).toEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It treats "block" as the vertical axis in a horizontal writing mode', function ( done ) {
+                $container.scrollTo( 400, { axis: "block" } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 400 );
+                    expect( getDistanceFromStart() ).toFuzzyEqual( 0 );
+                    done();
+                } );
+            } );
+
+            it( 'It treats "inline" as the vertical axis in a vertical writing mode', function ( done ) {
+                if ( !supportsWritingMode() ) return done();
+
+                $container.css( { writingMode: "vertical-rl", direction: "ltr" } );
+                $container.scrollTo( { inline: 400 } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 400 );
+                    done();
+                } );
+            } );
+
+            it( 'It accepts logical axis names in scrollRange()', function () {
+                expect( $container.scrollRange( "inline" ) ).toEqual( 800 );
+                expect( $container.scrollRange( "block" ) ).toEqual( 800 );
+            } );
+
+            it( 'It throws an error for an unknown axis name', function () {
+                expect( function () {
+                    $container.scrollTo( 400, { axis: "diagonal" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        /**
+         * Returns the horizontal scroll position of the container, measured from the right edge of the content. Based on
+         * the rendered layout, so it is independent of the way the browser reports scrollLeft in a right-to-left
+         * container.
+         *
+         * @returns {number}
+         */
+        function getDistanceFromStart () {
+            return $content[0].getBoundingClientRect().right - $container[0].getBoundingClientRect().right;
+        }
+
+    } );
+
+    function supportsWritingMode () {
+        var style = document.documentElement.style;
+        return "writingMode" in style || "webkitWritingMode" in style;
+    }
+
+})();
@@ -0,0 +1,348 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): The signal option.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#signalPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#signalContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="signalPanel"><div id="signalContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            $container.stopScroll();
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+        /**
+         * Returns a minimal stand-in for an AbortController. Its signal has the interface of an AbortSignal which
+         * matters here: the aborted flag, the reason, and the event listener methods. Browsers without AbortController
+         * can run the tests, too. The number of registered listeners is exposed for inspection.
+         *
+         * @returns {{signal: Object, abort: Function, countListeners: Function}}
+         */
+        function createController () {
+            var listeners = [],
+                signal = {
+                    aborted: false,
+                    reason: undefined,
+                    addEventListener: function ( type, listener ) {
+                        if ( type === "abort" ) listeners.push( listener );
+                    },
+                    removeEventListener: function ( type, listener ) {
+                        listeners = _.without( listeners, listener );
+                    }
+                };
+
+            return {
+                signal: signal,
+                abort: function ( reason ) {
+                    if ( signal.aborted ) return;
+
+                    signal.aborted = true;
+                    signal.reason = reason;
+                    _.each( listeners.slice(), function ( listener ) { listener.call( signal, { type: "abort" } ); } );
+                },
+                countListeners: function () {
+                    return listeners.length;
+                }
+            };
+        }
+
+
+        describe( 'A queued scroll movement.', function () {
+
+            it( 'It is removed from the queue when the signal is aborted, and the queue moves on to the next movement', function ( done ) {
+                var controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 600, $.extend( { append: true, signal: controller.signal }, callbacks ) )
+                    .scrollTo( 300, {
+                        append: true,
+                        done: function () {
+                            expect( callbacks.start ).not.toHaveBeenCalled();
+                            expect( $container.scrollTop() ).toEqual( 300 );
+                            done();
+                        }
+                    } );
+
+                inMidScroll( function () {
+                    controller.abort();
+                } );
+            } );
+
+            it( 'Its fail and always callbacks are called with a cancelled: "abort" message, and the reason of the signal', function ( done ) {
+                var controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200 )
+                    .scrollTo( 600, $.extend( { append: true, signal: controller.signal }, callbacks ) );
+
+                inMidScroll( function () {
+                    controller.abort( "no longer needed" );
+
+                    expect( callbacks.fail ).toHaveBeenCalledWith( undefined, false, { cancelled: "abort", reason: "no longer needed" } );
+                    expect( callbacks.always ).toHaveBeenCalledWith( undefined, false, { cancelled: "abort", reason: "no longer needed" } );
+                    expect( callbacks.done ).not.toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'The ongoing scroll movement is not affected', function ( done ) {
+                var controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200, callbacks )
+                    .scrollTo( 600, { append: true, signal: controller.signal } );
+
+                inMidScroll( function () {
+                    controller.abort();
+                } );
+
+                afterScroll( function () {
+                    expect( callbacks.done.calls.count() ).toEqual( 1 );
+                    expect( callbacks.fail ).not.toHaveBeenCalled();
+                    expect( $container.scrollTop() ).toEqual( 1200 );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'A scroll movement in progress.', function () {
+
+            it( 'It stops when the signal is aborted, and the next scroll movement in the queue starts', function ( done ) {
+                var abortedAt,
+                    controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200, $.extend( { signal: controller.signal }, callbacks ) )
+                    .scrollTo( 300, {
+                        append: true,
+                        start: function () {
+                            expect( $container.scrollTop() ).toBeCloseTo( abortedAt, 0 );
+                        },
+                        done: function () {
+                            expect( $container.scrollTop() ).toEqual( 300 );
+                            done();
+                        }
+                    } );
+
+                inMidScroll( function () {
+                    abortedAt = $container.scrollTop();
+                    controller.abort( "stop" );
+
+                    expect( callbacks.fail.calls.count() ).toEqual( 1 );
+                    expect( callbacks.fail.calls.argsFor( 0 )[2] ).toEqual( { cancelled: "abort", reason: "stop" } );
+                    expect( callbacks.always.calls.count() ).toEqual( 1 );
+                    expect( callbacks.done ).not.toHaveBeenCalled();
+                } );
+            } );
+
+            it( 'A pause is over when the paused scroll movement is aborted', function ( done ) {
+                var controller = createController();
+
+                $container.scrollTo( 1200, { signal: controller.signal } );
+
+                inMidScroll( function () {
+                    $container.pauseScroll();
+                    controller.abort();
+
+                    $container.scrollTo( 100, {
+                        append: true,
+                        done: function () {
+                            expect( $container.scrollTop() ).toEqual( 100 );
+                            done();
+                        }
+                    } );
+                } );
+            } );
+
+            it( 'Queued scroll movements with the same signal are removed without being started', function ( done ) {
+                var controller = createController(),
+                    queuedCallbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200, { signal: controller.signal } )
+                    .scrollTo( 600, $.extend( { append: true, signal: controller.signal }, queuedCallbacks ) )
+                    .scrollTo( 300, {
+                        append: true,
+                        done: function () {
+                            expect( queuedCallbacks.start ).not.toHaveBeenCalled();
+                            expect( queuedCallbacks.fail.calls.count() ).toEqual( 1 );
+                            done();
+                        }
+                    } );
+
+                inMidScroll( function () {
+                    controller.abort();
+                } );
+            } );
+
+            it( 'It works with the requestAnimationFrame engine, too', function ( done ) {
+                var controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 1200, $.extend( { engine: "raf", signal: controller.signal }, callbacks ) );
+
+                inMidScroll( function () {
+                    controller.abort();
+
+                    expect( callbacks.fail.calls.count() ).toEqual( 1 );
+                    expect( callbacks.fail.calls.argsFor( 0 )[2] ).toEqual( { cancelled: "abort", reason: undefined } );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Other cases.', function () {
+
+            it( 'A scroll movement with a signal which has been aborted already is dropped right away', function () {
+                var controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                controller.abort( "early" );
+                $container.scrollTo( 1200, $.extend( { signal: controller.signal }, callbacks ) );
+
+                expect( callbacks.start ).not.toHaveBeenCalled();
+                expect( callbacks.fail ).toHaveBeenCalledWith( undefined, false, { cancelled: "abort", reason: "early" } );
+                expect( callbacks.always.calls.count() ).toEqual( 1 );
+                expect( $container.scrollTop() ).toEqual( 0 );
+            } );
+
+            it( 'Aborting the signal after the scroll movement is over does not have an effect', function ( done ) {
+                var controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( 1200, $.extend( { signal: controller.signal }, callbacks ) );
+
+                afterScroll( function () {
+                    controller.abort();
+
+                    expect( callbacks.done.calls.count() ).toEqual( 1 );
+                    expect( callbacks.fail ).not.toHaveBeenCalled();
+                    expect( callbacks.always.calls.count() ).toEqual( 1 );
+                    done();
+                } );
+            } );
+
+            it( 'A signal which is reused for several scroll movements does not keep observing them once they are over', function ( done ) {
+                var controller = createController(),
+                    callbacks = createObservedCallbacks( {}, $container );
+
+                $container
+                    .scrollTo( 1200, { signal: controller.signal } )
+                    .scrollTo( 600, { append: true, signal: controller.signal } )
+                    .scrollTo( 900, { append: true, signal: controller.signal } );
+
+                afterScrolls( 3, function () {
+                    expect( controller.countListeners() ).toEqual( 0 );
+
+                    $container.scrollTo( 300, callbacks );
+
+                    inMidScroll( function () {
+                        controller.abort();
+
+                        expect( callbacks.fail ).not.toHaveBeenCalled();
+                    } );
+
+                    afterScroll( function () {
+                        expect( callbacks.done.calls.count() ).toEqual( 1 );
+                        expect( callbacks.fail ).not.toHaveBeenCalled();
+                        expect( $container.scrollTop() ).toEqual( 300 );
+                        done();
+                    } );
+                } );
+            } );
+
+            it( 'The signal stops observing queued scroll movements which are removed by stopScroll()', function () {
+                var controller = createController();
+
+                $container
+                    .scrollTo( 1200, { signal: controller.signal } )
+                    .scrollTo( 600, { append: true, signal: controller.signal } )
+                    .scrollTo( 900, { append: true, signal: controller.signal } );
+
+                $container.stopScroll();
+
+                expect( controller.countListeners() ).toEqual( 0 );
+            } );
+
+            it( 'scrollToAsync() rejects the promise with cancelled: "abort"', function ( done ) {
+                var controller = createController();
+
+                $container.scrollToAsync( 1200, { signal: controller.signal } ).then( null, function ( reason ) {
+                    expect( reason.cancelled ).toEqual( "abort" );
+                    expect( reason.message ).toEqual( { cancelled: "abort", reason: "stop" } );
+                    done();
+                } );
+
+                inMidScroll( function () {
+                    controller.abort( "stop" );
+                } );
+            } );
+
+        } );
+
+        describe( 'Errors.', function () {
+
+            it( 'An error is thrown if the signal is not an AbortSignal, or an equivalent', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { signal: {} } );
+                } ).toThrow();
+            } );
+
+            it( 'An error is thrown if the signal option is combined with queue: false', function () {
+                expect( function () {
+                    $container.scrollTo( 1200, { signal: createController().signal, queue: false } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+})();
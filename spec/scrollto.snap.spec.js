@@ -0,0 +1,196 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Snap points.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#snapPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: auto; margin: 0; padding: 0; border: none; }",
+                ".snapItem { width: 100px; height: 200px; margin: 0; padding: 0; border: none; scroll-snap-align: start; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            // Five items of 200px each, ie 1000px of content. The scroll range is 700px.
+            $container = $( '<div id="snapPanel"/>' )
+                .append( _.times( 5, function () { return '<div class="snapItem"/>'; } ).join( "" ) )
+                .appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'The snap option.', function () {
+
+            it( 'It moves the target to the nearest CSS snap point with snap: true', function ( done ) {
+                if ( !supportsScrollSnap() ) return done();
+
+                $container.scrollTo( 350, { snap: true } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 400 );
+                    done();
+                } );
+            } );
+
+            it( 'It moves the target to the nearest point of a snap grid', function ( done ) {
+                $container.scrollTo( 500, { snap: 120 } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 480 );
+                    done();
+                } );
+            } );
+
+            it( 'It treats the end of the scroll range as a point of the snap grid', function ( done ) {
+                $container.scrollTo( 690, { snap: 120 } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 700 );
+                    done();
+                } );
+            } );
+
+            it( 'It uses the snap points returned by a snap function', function ( done ) {
+                var snap = jasmine.createSpy( "snap" ).and.returnValue( [ 100, 550 ] );
+
+                $container.scrollTo( 400, { snap: snap } );
+
+                afterScroll( function () {
+                    expect( snap ).toHaveBeenCalledWith( "vertical", jasmine.any( $ ) );
+                    expect( snap.calls.mostRecent().object ).toBe( $container[0] );
+                    expect( $container.scrollTop() ).toFuzzyEqual( 550 );
+                    done();
+                } );
+            } );
+
+            it( 'It applies the offset before snapping', function ( done ) {
+                $container.scrollTo( 530, { snap: 120, offset: 60 } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 480 );
+                    done();
+                } );
+            } );
+
+            it( 'It throws an error if the snap option is invalid', function () {
+                expect( function () {
+                    $container.scrollTo( 400, { snap: "foo" } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollTo( 400, { snap: -120 } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describe( 'The "next-snap" and "prev-snap" keywords.', function () {
+
+            it( 'It scrolls to the next CSS snap point with "next-snap"', function ( done ) {
+                if ( !supportsScrollSnap() ) return done();
+
+                $container.scrollTop( 200 ).scrollTo( "next-snap" );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 400 );
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls to the previous CSS snap point with "prev-snap"', function ( done ) {
+                if ( !supportsScrollSnap() ) return done();
+
+                $container.scrollTop( 300 ).scrollTo( "prev-snap" );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 200 );
+                    done();
+                } );
+            } );
+
+            it( 'It uses the snap grid of the snap option, if set', function ( done ) {
+                $container.scrollTop( 130 ).scrollTo( "next-snap", { snap: 120 } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 240 );
+                    done();
+                } );
+            } );
+
+            it( 'It bases the move on the target of a preceding scroll in append mode', function ( done ) {
+                $container
+                    .scrollTo( "next-snap", { snap: 120 } )
+                    .scrollTo( "next-snap", { snap: 120, append: true } );
+
+                afterScrolls( 2, function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 240 );
+                    done();
+                } );
+            } );
+
+            it( 'It does not move if there is no snap point in that direction', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTop( 700 ).scrollTo( "next-snap", $.extend( { snap: 120 }, callbacks ) );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toEqual( 700 );
+                    expect( callbacks.start ).not.toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'It does not apply the offset to a snap point keyword', function ( done ) {
+                $container.scrollTo( "next-snap", { snap: 120, offset: 60 } );
+
+                afterScroll( function () {
+                    expect( $container.scrollTop() ).toFuzzyEqual( 120 );
+                    done();
+                } );
+            } );
+
+        } );
+
+    } );
+
+    function supportsScrollSnap () {
+        var style = document.documentElement.style;
+        return "scrollSnapAlign" in style;
+    }
+
+})();
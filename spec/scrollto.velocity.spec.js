@@ -0,0 +1,180 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Keeping the momentum of a replaced scroll movement.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#velocityPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#velocityContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="velocityPanel"><div id="velocityContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Replacing a scroll movement.', function () {
+
+            it( 'It keeps the new movement ahead of its easing while it picks up the speed of the replaced one', function ( done ) {
+                var steps = [];
+
+                $container.scrollTo( 1000, { easing: "linear" } );
+
+                inMidScroll( function () {
+                    $container.scrollTo( 2500, { inheritVelocity: true, step: recordStepsIn( steps ) } );
+                } );
+
+                afterScrolls( 1.5, function () {
+                    var intermediate = _.filter( steps, function ( step ) { return step.pos > 0 && step.pos < 1; } );
+
+                    expect( intermediate.length ).toBeGreaterThan( 0 );
+                    _.each( intermediate, function ( step ) {
+                        expect( step.now ).toBeGreaterThan( step.eased );
+                    } );
+                    done();
+                } );
+            } );
+
+            it( 'It keeps moving in the original direction for a while when the new target lies in the opposite direction', function ( done ) {
+                var startPosition,
+                    steps = [];
+
+                $container.scrollTo( 1000, { easing: "linear" } );
+
+                inMidScroll( function () {
+                    startPosition = $container.scrollTop();
+                    $container.scrollTo( startPosition - 400, { inheritVelocity: true, step: recordStepsIn( steps ) } );
+                } );
+
+                afterScrolls( 1.5, function () {
+                    expect( _.max( _.pluck( steps, "now" ) ) ).toBeGreaterThan( startPosition );
+                    done();
+                } );
+            } );
+
+            it( 'It still ends the new movement exactly at its target', function ( done ) {
+                $container.scrollTo( 1000, { easing: "linear" } );
+
+                inMidScroll( function () {
+                    $container.scrollTo( 2500, { inheritVelocity: true } );
+                } );
+
+                afterScrolls( 1.5, function () {
+                    expect( $container.scrollTop() ).toEqual( 2500 );
+                    done();
+                } );
+            } );
+
+            it( 'It follows the easing of the new movement by default', function ( done ) {
+                var steps = [];
+
+                $container.scrollTo( 1000, { easing: "linear" } );
+
+                inMidScroll( function () {
+                    $container.scrollTo( 2500, { step: recordStepsIn( steps ) } );
+                } );
+
+                afterScrolls( 1.5, function () {
+                    expect( steps.length ).toBeGreaterThan( 0 );
+                    _.each( steps, function ( step ) {
+                        expect( step.now ).toFuzzyEqual( step.eased );
+                    } );
+                    done();
+                } );
+            } );
+
+            it( 'It follows the easing of a movement which replaces a scroll at rest', function ( done ) {
+                var steps = [];
+
+                $container.scrollTo( 2500, { inheritVelocity: true, step: recordStepsIn( steps ) } );
+
+                afterScroll( function () {
+                    expect( steps.length ).toBeGreaterThan( 0 );
+                    _.each( steps, function ( step ) {
+                        expect( step.now ).toFuzzyEqual( step.eased );
+                    } );
+                    done();
+                } );
+            } );
+
+            it( 'It carries the velocity over in the requestAnimationFrame engine, too', function ( done ) {
+                var steps = [];
+
+                $container.scrollTo( 1000, { easing: "linear", engine: "raf" } );
+
+                inMidScroll( function () {
+                    $container.scrollTo( 2500, { engine: "raf", inheritVelocity: true, step: recordStepsIn( steps ) } );
+                } );
+
+                afterScrolls( 1.5, function () {
+                    var intermediate = _.filter( steps, function ( step ) { return step.pos > 0 && step.pos < 1; } );
+
+                    expect( intermediate.length ).toBeGreaterThan( 0 );
+                    _.each( intermediate, function ( step ) {
+                        expect( step.now ).toBeGreaterThan( step.eased );
+                    } );
+                    expect( $container.scrollTop() ).toEqual( 2500 );
+                    done();
+                } );
+            } );
+
+        } );
+
+    } );
+
+    /**
+     * Returns a step callback which records the position of each step, along with the position the easing alone would
+     * have produced.
+     *
+     * @param   {Object[]} steps  the recorded steps are pushed into it
+     * @returns {Function}
+     */
+    function recordStepsIn ( steps ) {
+        return function ( now, tween ) {
+            steps.push( {
+                now: now,
+                pos: tween.pos,
+                eased: tween.start + ( tween.end - tween.start ) * tween.pos
+            } );
+        };
+    }
+
+})();
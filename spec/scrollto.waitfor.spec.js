@@ -0,0 +1,219 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): waitFor option.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $target,
+
+            /** @type {number} */
+            maxScrollWidth, maxScrollHeight;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "body { width: 3000px; height: 3000px; position: relative; }",
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#scrollTarget { position: absolute; top: 1200px; left: 800px; width: 50px; height: 50px; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+            $target = $( '<div id="scrollTarget"/>' ).appendTo( "body" );
+            f.addToCleanup( $target );
+
+            afterScreenUpdate( function () {
+
+                maxScrollWidth = 3000 - $.windowWidth();
+                maxScrollHeight = 3000 - $.windowHeight();
+
+                $window.scrollTop( 0 ).scrollLeft( 0 );
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                //
+                // ATTN To make it work, scroll movements during tests must be larger than 20px (by a fair margin,
+                // ideally).
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            $window.scrollTop( 0 ).scrollLeft( 0 );
+            f.shutdown();
+        } );
+
+
+        describe( 'Resolved promises.', function () {
+
+            it( 'It does not start the scroll before the promise is resolved', function ( done ) {
+                var gate = $.Deferred(),
+                    callbacks = createObservedCallbacks( {}, $window );
+
+                $window.scrollTo( 1000, $.extend( { waitFor: gate }, callbacks ) );
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toEqual( 0 );
+                    expect( callbacks.start ).not.toHaveBeenCalled();
+                    gate.resolve();
+                    done();
+                } );
+            } );
+
+            it( 'It scrolls when the promise is resolved', function ( done ) {
+                var gate = $.Deferred();
+
+                $window.scrollTo( 1000, { waitFor: gate } );
+                gate.resolve();
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1000 );
+                    done();
+                } );
+            } );
+
+            it( 'It waits for all promises in an array', function ( done ) {
+                var gate1 = $.Deferred(),
+                    gate2 = $.Deferred();
+
+                $window.scrollTo( 1000, { waitFor: [ gate1, gate2 ] } );
+                gate1.resolve();
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toEqual( 0 );
+                    gate2.resolve();
+
+                    afterScroll( function () {
+                        expect( $window.scrollTop() ).toFuzzyEqual( 1000 );
+                        done();
+                    } );
+                } );
+            } );
+
+            it( 'It calculates the position of a target element when the promise is resolved', function ( done ) {
+                var gate = $.Deferred();
+
+                $window.scrollTo( $target, { waitFor: gate, axis: "vertical" } );
+
+                $target.css( { top: "1500px" } );
+                gate.resolve();
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1500 );
+                    done();
+                } );
+            } );
+
+            it( 'It calculates the position of an appended relative scroll when the waiting scroll has ended', function ( done ) {
+                var gate = $.Deferred();
+
+                $window
+                    .scrollTo( $target, { waitFor: gate, axis: "vertical" } )
+                    .scrollTo( "+=100", { append: true } );
+
+                $target.css( { top: "1500px" } );
+                gate.resolve();
+
+                afterScrolls( 2, function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 1600 );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Rejected promises.', function () {
+
+            it( 'It drops the scroll and calls the fail and always callbacks with a cancelled: "waitFor" message', function ( done ) {
+                var gate = $.Deferred(),
+                    callbacks = createObservedCallbacks( {}, $window );
+
+                $window.scrollTo( 1000, $.extend( { waitFor: gate }, callbacks ) );
+                gate.reject();
+
+                afterScroll( function () {
+                    expect( $window.scrollTop() ).toEqual( 0 );
+
+                    expect( callbacks.start ).not.toHaveBeenCalled();
+                    expect( callbacks.done ).not.toHaveBeenCalled();
+                    expect( callbacks.complete ).not.toHaveBeenCalled();
+                    expect( callbacks.fail ).toHaveBeenCalled();
+                    expect( callbacks.always ).toHaveBeenCalled();
+
+                    expect( callbacks.fail.calls.mostRecent().object ).toBe( window );
+                    expect( callbacks.fail.calls.mostRecent().args[2] ).toEqual( { cancelled: "waitFor" } );
+                    done();
+                } );
+            } );
+
+            it( 'It moves on to the next scroll in the queue', function ( done ) {
+                var gate = $.Deferred();
+
+                $window
+                    .scrollTo( 1000, { waitFor: gate } )
+                    .scrollTo( 500, { append: true } );
+
+                gate.reject();
+
+                afterScrolls( 2, function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Cancellation.', function () {
+
+            it( 'It does not scroll if the waiting scroll is replaced before the promise is resolved', function ( done ) {
+                var gate = $.Deferred();
+
+                $window.scrollTo( 1000, { waitFor: gate } );
+                $window.scrollTo( 500 );
+                gate.resolve();
+
+                afterScrolls( 2, function () {
+                    expect( $window.scrollTop() ).toFuzzyEqual( 500 );
+                    done();
+                } );
+            } );
+
+        } );
+
+        describe( 'Validation.', function () {
+
+            it( 'It throws an error if the waitFor option is not a thenable', function () {
+                expect( function () {
+                    $window.scrollTo( 1000, { waitFor: true } );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error if the waitFor option is combined with queue: false', function () {
+                expect( function () {
+                    $window.scrollTo( 1000, { waitFor: $.Deferred(), queue: false } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,260 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollTo(): Moving through waypoints.', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container,
+
+            /** @type {number} */
+            maxScrollTop;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#waypointPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#waypointContent { position: relative; width: 3000px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="waypointPanel"><div id="waypointContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                maxScrollTop = 2700;
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Linear path.', function () {
+
+            it( 'It moves through the waypoints in a single movement, and ends at the last one', function ( done ) {
+                var positions = recordPositions();
+
+                $container.scrollTo( [ { y: 0, x: 800 }, { y: 1200 }, "bottom" ], {
+                    step: positions.step,
+                    done: function () {
+                        // The pane moves to the right first, and only then down. It doesn't cut the corner.
+                        expect( positions.isOnRoute( function ( point ) { return point.y === 0 || point.x === 800; } ) ).toEqual( true );
+                        expect( $container.scrollLeft() ).toEqual( 800 );
+                        expect( $container.scrollTop() ).toEqual( maxScrollTop );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It keeps an axis which is left out of a waypoint where the preceding waypoint has left it', function ( done ) {
+                var positions = recordPositions();
+
+                $container.scrollTo( [ { x: 800, y: 800 }, { y: 1600 } ], {
+                    step: positions.step,
+                    done: function () {
+                        expect( _.max( positions.x ) ).toEqual( 800 );
+                        expect( $container.scrollLeft() ).toEqual( 800 );
+                        expect( $container.scrollTop() ).toEqual( 1600 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It returns to the start position on an axis if a waypoint says so', function ( done ) {
+                var positions = recordPositions();
+
+                $container.scrollTo( [ { x: 800 }, { x: 0 } ], {
+                    step: positions.step,
+                    done: function () {
+                        expect( _.max( positions.x ) ).toBeGreaterThan( 600 );
+                        expect( $container.scrollLeft() ).toEqual( 0 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It bases a relative waypoint on the preceding one', function ( done ) {
+                $container.scrollTop( 100 ).scrollTo( [ "+=500", "+=500" ], {
+                    done: function () {
+                        expect( $container.scrollTop() ).toEqual( 1100 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It derives the duration from the length of the path', function ( done ) {
+                $container.scrollTo( [ { x: 600 }, { y: 600 } ], {
+                    speed: 6000,
+                    done: function ( animation ) {
+                        expect( animation.duration ).toFuzzyEqual( 200 );
+                        done();
+                    }
+                } );
+            } );
+
+            it( 'It runs on the requestAnimationFrame engine, too', function ( done ) {
+                var positions = recordPositions();
+
+                $container.scrollTo( [ { y: 0, x: 800 }, { y: 1200 } ], {
+                    engine: "raf",
+                    step: positions.step,
+                    done: function () {
+                        expect( positions.isOnRoute( function ( point ) { return point.y === 0 || point.x === 800; } ) ).toEqual( true );
+                        expect( $container.scrollLeft() ).toEqual( 800 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'Curved path.', function () {
+
+            it( 'It rounds the corners, and ends at the last waypoint', function ( done ) {
+                var positions = recordPositions();
+
+                $container.scrollTo( [ { y: 0, x: 800 }, { y: 1200 } ], {
+                    path: "curve",
+                    step: positions.step,
+                    done: function () {
+                        expect( _.max( positions.x ) ).toBeGreaterThan( 800 );
+                        expect( $container.scrollLeft() ).toEqual( 800 );
+                        expect( $container.scrollTop() ).toEqual( 1200 );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'Callbacks.', function () {
+
+            it( 'It calls the start, done, complete and always callbacks once', function ( done ) {
+                var callbacks = createObservedCallbacks( {}, $container );
+
+                $container.scrollTo( [ { x: 800 }, { y: 1200 }, "top" ], $.extend( {}, callbacks, {
+                    always: function () {
+                        callbacks.always.apply( this, arguments );
+
+                        expect( callbacks.start.calls.count() ).toEqual( 1 );
+                        expect( callbacks.done.calls.count() ).toEqual( 1 );
+                        expect( callbacks.complete.calls.count() ).toEqual( 1 );
+                        expect( callbacks.always.calls.count() ).toEqual( 1 );
+                        expect( callbacks.fail ).not.toHaveBeenCalled();
+                        done();
+                    }
+                } ) );
+            } );
+
+            it( 'It reports the active segment to the progress callback', function ( done ) {
+                var segments = [];
+
+                $container.scrollTo( [ { x: 800 }, { y: 1200 }, { x: 0 } ], {
+                    easing: "linear",
+                    progress: function ( animation, progress, remainingMs, path ) {
+                        if ( _.last( segments ) !== path.segment ) segments.push( path.segment );
+
+                        expect( path.segments ).toEqual( 3 );
+                        expect( path.waypoint ).toEqual( [ { horizontal: 800, vertical: 0 }, { horizontal: 800, vertical: 1200 }, { horizontal: 0, vertical: 1200 } ][path.segment] );
+                    },
+                    done: function () {
+                        expect( segments ).toEqual( [ 0, 1, 2 ] );
+                        done();
+                    }
+                } );
+            } );
+
+        } );
+
+        describe( 'Errors.', function () {
+
+            it( 'It throws an error for an empty list, or an invalid waypoint', function () {
+                expect( function () {
+                    $container.scrollTo( [] );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollTo( [ 100, function () { return 200; } ] );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error for an invalid path option', function () {
+                expect( function () {
+                    $container.scrollTo( [ 100, 200 ], { path: "zigzag" } );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error if the waypoints are combined with physics, or with an easing or duration per axis', function () {
+                expect( function () {
+                    $container.scrollTo( [ 100, 200 ], { physics: { type: "spring" } } );
+                } ).toThrow();
+
+                expect( function () {
+                    $container.scrollTo( [ 100, 200 ], { duration: { x: 200, y: 400 } } );
+                } ).toThrow();
+            } );
+
+            it( 'It throws an error if the native engine is requested explicitly', function () {
+                expect( function () {
+                    $container.scrollTo( [ 100, 200 ], { engine: "native" } );
+                } ).toThrow();
+            } );
+
+        } );
+
+    } );
+
+    /**
+     * Returns a step callback which records the positions on each axis, and a method which checks if all recorded
+     * points pass a test. The test function receives each point as a hash with x and y properties.
+     *
+     * @returns {{x: number[], y: number[], step: Function, isOnRoute: Function}}
+     */
+    function recordPositions () {
+        var current = { x: 0, y: 0 },
+            recorded = { x: [], y: [], points: [] };
+
+        recorded.step = function ( now, tween ) {
+            var axis = tween.prop === "scrollLeft" ? "x" : "y";
+
+            recorded[axis].push( now );
+            current[axis] = now;
+            recorded.points.push( _.clone( current ) );
+        };
+
+        recorded.isOnRoute = function ( test ) {
+            return recorded.points.length > 0 && _.every( recorded.points, test );
+        };
+
+        return recorded;
+    }
+
+})();
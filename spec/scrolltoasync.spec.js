@@ -0,0 +1,181 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'scrollToAsync().', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container;
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#asyncPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: hidden; margin: 0; padding: 0; border: none; }",
+                "#asyncContent { position: relative; width: 100px; height: 3000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="asyncPanel"><div id="asyncContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            $container.stopScroll();
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'The returned promise.', function () {
+
+            it( 'It is a thenable', function () {
+                var promise = $container.scrollToAsync( 1200 );
+                expect( promise.then ).toEqual( jasmine.any( Function ) );
+            } );
+
+            it( 'It is resolved with the final position and the message container of the done callback when the scroll is done', function ( done ) {
+                $container.scrollToAsync( 1200 ).then( function ( result ) {
+                    expect( result.position ).toEqual( { horizontal: 0, vertical: 1200 } );
+                    expect( result.message ).toEqual( {} );
+                    expect( $container.scrollTop() ).toEqual( 1200 );
+                    done();
+                } );
+            } );
+
+            it( 'It is resolved after the done callback has been called', function ( done ) {
+                var doneCb = jasmine.createSpy( "done" );
+
+                $container.scrollToAsync( 1200, { done: doneCb } ).then( function () {
+                    expect( doneCb ).toHaveBeenCalled();
+                    done();
+                } );
+            } );
+
+            it( 'It is resolved with the messages which have been sent to the done callback', function ( done ) {
+                $container.scrollToAsync( 1200 ).then( function ( result ) {
+                    expect( result.message ).toEqual( { sender: "test" } );
+                    done();
+                } );
+
+                $container.notifyScrollCallbacks( { sender: "test" } );
+            } );
+
+            it( 'It is resolved right away if the call is redundant', function ( done ) {
+                $container.scrollTop( 600 );
+
+                $container.scrollToAsync( 600 ).then( function ( result ) {
+                    expect( result.position ).toEqual( { horizontal: 0, vertical: 600 } );
+                    done();
+                } );
+            } );
+
+            it( 'It is resolved when the scroll jumps to its end', function ( done ) {
+                $container.scrollToAsync( 1200 ).then( function ( result ) {
+                    expect( result.position.vertical ).toEqual( 1200 );
+                    done();
+                } );
+
+                inMidScroll( function () {
+                    $container.stopScroll( { jumpToTargetPosition: true } );
+                } );
+            } );
+
+        } );
+
+        describe( 'Rejection.', function () {
+
+            it( 'The promise is rejected with cancelled: "replace" if the scroll is replaced by another one', function ( done ) {
+                $container.scrollToAsync( 1200 ).then( null, function ( reason ) {
+                    expect( reason.cancelled ).toEqual( "replace" );
+                    expect( reason.message ).toEqual( { cancelled: "replace" } );
+                    expect( reason.position.vertical ).toBeGreaterThan( 0 );
+                    expect( reason.position.vertical ).toBeLessThan( 1200 );
+                    done();
+                } );
+
+                inMidScroll( function () {
+                    $container.scrollTo( 100 );
+                } );
+            } );
+
+            it( 'The promise is rejected with cancelled: "merge" if the scroll is replaced in merge mode', function ( done ) {
+                $container.scrollToAsync( 1200 ).then( null, function ( reason ) {
+                    expect( reason.cancelled ).toEqual( "merge" );
+                    done();
+                } );
+
+                inMidScroll( function () {
+                    $container.scrollTo( 100, { merge: true } );
+                } );
+            } );
+
+            it( 'The promise is rejected without a cancelled reason if the scroll is stopped', function ( done ) {
+                $container.scrollToAsync( 1200 ).then( null, function ( reason ) {
+                    expect( reason.cancelled ).toBeUndefined();
+                    expect( reason.message ).toEqual( {} );
+                    done();
+                } );
+
+                inMidScroll( function () {
+                    $container.stopScroll();
+                } );
+            } );
+
+            it( 'The promise is rejected if the scroll is removed from the queue before it has started', function ( done ) {
+                var failCb = jasmine.createSpy( "fail" );
+
+                $container.scrollTo( 1200 );
+
+                $container.scrollToAsync( 100, { append: true, fail: failCb } ).then( null, function ( reason ) {
+                    expect( reason.cancelled ).toEqual( "replace" );
+                    expect( failCb ).not.toHaveBeenCalled();
+                    done();
+                } );
+
+                inMidScroll( function () {
+                    $container.scrollTo( 600 );
+                } );
+            } );
+
+            it( 'The promise is rejected with cancelled: "waitFor" if the promise it waits for is rejected', function ( done ) {
+                var deferred = $.Deferred();
+
+                $container.scrollToAsync( 1200, { waitFor: deferred } ).then( null, function ( reason ) {
+                    expect( reason.cancelled ).toEqual( "waitFor" );
+                    done();
+                } );
+
+                deferred.reject();
+            } );
+
+        } );
+
+    } );
+
+})();
@@ -0,0 +1,179 @@
+/*global describe, it */
+(function () {
+    "use strict";
+
+    describe( 'snapAfterScroll().', function () {
+
+        /** @type {DOMFixture}  populated by Setup.create() */
+        var f,
+
+            /** @type {jQuery} */
+            $window, $container,
+
+            /** @type {number}  the delay of the scroll-end detection during the tests */
+            snapDelay = 50,
+
+            userScrollDetectionEnabled = $.scrollable._enableUserScrollDetection,
+
+            msgTestSkippedDetectionDisabled = 'Skipped because user scroll detection is disabled ($.scrollable._enableUserScrollDetection = false)';
+
+        beforeEach( function ( done ) {
+            var fixtureCss = [
+                "html, body { margin: 0; padding: 0; border: none; }",
+                "#snapPanel { position: absolute; top: 0; left: 0; width: 300px; height: 300px; overflow: auto; margin: 0; padding: 0; border: none; }",
+                "#snapContent { width: 100px; height: 1000px; margin: 0; padding: 0; border: none; }"
+            ];
+
+            f = Setup.create( "window", f, { createEl: false, injectCss: fixtureCss } );
+
+            $window = $( window );
+
+            $container = $( '<div id="snapPanel"><div id="snapContent"/></div>' ).appendTo( "body" );
+            f.addToCleanup( $container );
+
+            afterScreenUpdate( function () {
+
+                // Reduce the default duration for animations in order to speed up the tests
+                reduceDefaultDurationForAnimations();
+
+                // Set a very low threshold for $.scrollable.lockSpeedBelow to keep the speed lock from kicking in. See
+                // setLowMinimumSpeed() for more.
+                setLowMinimumSpeed();
+
+                // Give browsers some breathing space to complete the initial setup phase.
+                _.delay( done, 50 );
+
+            } );
+
+        } );
+
+        afterEach( function () {
+            $container.snapAfterScroll( false );
+            f.cleanDom();
+            restoreDefaultDurationForAnimations();
+            restoreMinimumSpeed();
+        } );
+
+        afterAll( function () {
+            f.shutdown();
+        } );
+
+
+        describe( 'Snapping.', function () {
+
+            it( 'It snaps to the nearest snap point when the user has stopped scrolling', function ( done ) {
+                $container.snapAfterScroll( { snap: 200, axis: "y", snapDelay: snapDelay } );
+                userScrollsBy( 290, $container );
+
+                _.delay( function () {
+                    afterScroll( function () {
+                        expect( $container.scrollTop() ).toFuzzyEqual( 200 );
+                        done();
+                    } );
+                }, snapDelay );
+            } );
+
+            it( 'It triggers a snapstart event with the target, and a snapend event when the snap movement is complete', function ( done ) {
+                var snapstart = jasmine.createSpy( "snapstart" );
+
+                $container
+                    .on( "snapstart", snapstart )
+                    .on( "snapend", function ( event, target, isComplete ) {
+                        expect( snapstart ).toHaveBeenCalledWith( jasmine.any( Object ), { vertical: 400 } );
+                        expect( target ).toEqual( { vertical: 400 } );
+                        expect( isComplete ).toBe( true );
+                        expect( $container.scrollTop() ).toFuzzyEqual( 400 );
+                        done();
+                    } )
+                    .snapAfterScroll( { snap: 200, axis: "y", snapDelay: snapDelay } );
+
+                userScrollsBy( 330, $container );
+            } );
+
+            it( 'It reports the snap movement as incomplete in the snapend event if it is stopped with stopScroll()', function ( done ) {
+                $container
+                    .on( "snapstart", function () {
+                        inMidScroll( function () {
+                            $container.stopScroll();
+                        } );
+                    } )
+                    .on( "snapend", function ( event, target, isComplete ) {
+                        expect( target ).toEqual( { vertical: 400 } );
+                        expect( isComplete ).toBe( false );
+                        done();
+                    } )
+                    .snapAfterScroll( { snap: 200, axis: "y", snapDelay: snapDelay } );
+
+                userScrollsBy( 330, $container );
+            } );
+
+            it( 'It does not snap when the container rests on a snap point', function ( done ) {
+                var snapstart = jasmine.createSpy( "snapstart" );
+
+                $container
+                    .on( "snapstart", snapstart )
+                    .snapAfterScroll( { snap: 200, axis: "y", snapDelay: snapDelay } );
+
+                userScrollsBy( 400, $container );
+
+                _.delay( function () {
+                    afterScroll( function () {
+                        expect( snapstart ).not.toHaveBeenCalled();
+                        expect( $container.scrollTop() ).toEqual( 400 );
+                        done();
+                    } );
+                }, snapDelay );
+            } );
+
+            it( 'It stops snapping when called with false', function ( done ) {
+                $container
+                    .snapAfterScroll( { snap: 200, axis: "y", snapDelay: snapDelay } )
+                    .snapAfterScroll( false );
+
+                userScrollsBy( 290, $container );
+
+                _.delay( function () {
+                    afterScroll( function () {
+                        expect( $container.scrollTop() ).toEqual( 290 );
+                        done();
+                    } );
+                }, snapDelay );
+            } );
+
+            it( 'It throws an error if the snap option is turned off', function () {
+                expect( function () {
+                    $container.snapAfterScroll( { snap: false } );
+                } ).toThrow();
+            } );
+
+        } );
+
+        describeIf( userScrollDetectionEnabled, msgTestSkippedDetectionDisabled, 'User interaction.', function () {
+
+            it( 'It cancels the snap movement when the user scrolls again, and reports it in the snapend event', function ( done ) {
+                var isDone = false;
+
+                $container
+                    .on( "snapstart", function () {
+                        inMidScroll( function () {
+                            userScrollsBy( 50, $container );
+                        } );
+                    } )
+                    .on( "snapend", function ( event, target, isComplete ) {
+                        // The snap movement which follows the second user scroll completes normally
+                        if ( isDone ) return;
+                        isDone = true;
+
+                        expect( isComplete ).toBe( false );
+                        done();
+                    } )
+                    .snapAfterScroll( { snap: 500, axis: "y", snapDelay: snapDelay } );
+
+                userScrollsBy( 240, $container );
+            } );
+
+        } );
+
+    } );
+
+})();
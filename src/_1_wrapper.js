@@ -24,11 +24,45 @@ var mgr = {},
         return this;
     };
 
+    $.fn.scrollToAsync = function ( position, options ) {
+        return scrollToAsync( this, position, options );
+    };
+
+    $.fn.scrollFling = function ( velocity, options ) {
+        scrollFling( this, velocity, options );
+        return this;
+    };
+
+    $.fn.scrollIntoViewChain = function ( options ) {
+        scrollIntoViewChain( this, options );
+        return this;
+    };
+
+    $.fn.snapAfterScroll = function ( options ) {
+        snapAfterScroll( this, options );
+        return this;
+    };
+
     $.fn.stopScroll = function ( options ) {
         stopScroll( this, options );
         return this;
     };
 
+    $.fn.finishScroll = function ( options ) {
+        finishScroll( this, options );
+        return this;
+    };
+
+    $.fn.pauseScroll = function ( options ) {
+        pauseScroll( this, options );
+        return this;
+    };
+
+    $.fn.resumeScroll = function ( options ) {
+        resumeScroll( this, options );
+        return this;
+    };
+
     $.fn.notifyScrollCallbacks = function ( message, callbackNames, queueName ) {
         notifyScrollCallbacks( this, message, callbackNames, queueName );
         return this;
@@ -36,15 +70,38 @@ var mgr = {},
 
     $.scrollable = {
         lockSpeedBelow: 400,
-        defaultDuration: $.fx.speeds._default,
+        defaultDuration: $.fx ? $.fx.speeds._default : 400,
+        speed: 0,
+        minDuration: 0,
+        maxDuration: Infinity,
 
         userScrollThreshold: 10,
 
+        snapDelay: 150,
+
+        engine: $.fn.animate ? "jquery" : "raf",
+        inheritVelocity: false,
+
+        // How scroll animations respond if the user prefers reduced motion: "auto", "jump", "shorten" or "ignore".
+        reducedMotion: "auto",
+
+        // Presets for the feel option. Each one is a set of default options for the timing of the scroll movement.
+        feels: {
+            snappy: { easing: "easeOutQuint", duration: 250, lockSpeedBelow: 150 },
+            gentle: { easing: "easeInOutCubic", duration: 800, lockSpeedBelow: 600 },
+            platform: { easing: "easeOutCubic", speed: 3000, minDuration: 150, maxDuration: 600 }
+        },
+
         // Internal config. Do not modify in production.
         _scrollDetectionThreshold: 5,
         _enableUserScrollDetection: !isIOS(),
         _enableClickAndTouchDetection: true,
-        _useScrollHistoryForDetection: isIOS()
+        _useScrollHistoryForDetection: isIOS(),
+        _prefersReducedMotion: undefined    // overrides the prefers-reduced-motion media query if set to a boolean
+    };
+
+    $.scrollable.cubicBezier = function ( x1, y1, x2, y2 ) {
+        return registerCubicBezierEasing( x1, y1, x2, y2 );
     };
 
     /**
@@ -67,7 +124,7 @@ var mgr = {},
      */
     function getScrollRange( $container, axis ) {
         $container = norm.normalizeContainer( $container );
-        axis = axis ? norm.normalizeAxisName( axis ) : norm.BOTH_AXES;
+        axis = axis ? norm.normalizeAxisName( axis, $container ) : norm.BOTH_AXES;
 
         return mgr.getScrollRange( $container, axis );
     }
@@ -75,18 +132,125 @@ var mgr = {},
     /**
      * Does the actual work of $.fn.scrollTo.
      *
-     * @param {jQuery}               $container
-     * @param {number|string|Object} position
-     * @param {Object}               [options]
+     * @param {jQuery}                                           $container
+     * @param {number|string|Object|HTMLElement|jQuery|Function} position
+     * @param {Object}                                           [options]
      */
     function scrollTo ( $container, position, options ) {
-        options = norm.normalizeOptions( options, position );
         $container = norm.normalizeContainer( $container );
+        options = norm.normalizeOptions( options, position, $container );
         position = norm.normalizePosition( position, $container, mgr.getScrollable( $container ), options );
 
         mgr.scrollTo( $container, position, options );
     }
 
+    /**
+     * Does the actual work of $.fn.scrollToAsync.
+     *
+     * Returns a jQuery promise, which is resolved with a ScrollResult when the scroll is done, and rejected with a
+     * ScrollCancellation when it fails. See mgr.scrollToAsync() for more.
+     *
+     * @param   {jQuery}                                           $container
+     * @param   {number|string|Object|HTMLElement|jQuery|Function} position
+     * @param   {Object}                                           [options]
+     * @returns {Object}
+     */
+    function scrollToAsync ( $container, position, options ) {
+        $container = norm.normalizeContainer( $container );
+        options = norm.normalizeOptions( options, position, $container );
+        position = norm.normalizePosition( position, $container, mgr.getScrollable( $container ), options );
+
+        return mgr.scrollToAsync( $container, position, options );
+    }
+
+    /**
+     * Does the actual work of $.fn.scrollFling.
+     *
+     * The velocity is in px/s. A number applies to the axis given by the axis option (vertical by default). For
+     * several axes, a hash of velocities per axis can be passed in. A positive velocity moves towards the end of the
+     * axis, a negative one towards the start.
+     *
+     * The movement is an inertial deceleration (physics type "decay"). It comes to rest where the friction stops it,
+     * or at the edge of the scroll range if it gets there first. The physics option can set the friction.
+     *
+     * @param {jQuery}        $container
+     * @param {number|Object} velocity
+     * @param {Object}        [options]
+     */
+    function scrollFling ( $container, velocity, options ) {
+        var physics, velocityHash,
+            position = {};
+
+        $container = norm.normalizeContainer( $container );
+
+        if ( !$.isPlainObject( velocity ) ) {
+            velocityHash = {};
+            velocityHash[ options && options.axis || norm.VERTICAL ] = velocity;
+            velocity = velocityHash;
+        }
+
+        physics = norm.normalizePhysicsOption( $.extend( {}, options && options.physics, { type: norm.PHYSICS_DECAY, velocity: velocity } ), $container );
+
+        // The distance covered by the decaying velocity is velocity / friction. It is relative to the current position,
+        // or to the target of the preceding scroll in append mode.
+        $.each( physics.velocity, function ( axis, axisVelocity ) {
+            if ( axisVelocity ) position[axis] = ( axisVelocity < 0 ? "-=" : "+=" ) + Math.round( Math.abs( axisVelocity ) / physics.friction );
+        } );
+
+        if ( $.isEmptyObject( position ) ) position[norm.VERTICAL] = "+=0";
+
+        scrollTo( $container, position, $.extend( {}, options, { physics: physics } ) );
+    }
+
+    /**
+     * Does the actual work of $.fn.scrollIntoViewChain.
+     *
+     * @param {jQuery} $target
+     * @param {Object} [options]
+     */
+    function scrollIntoViewChain ( $target, options ) {
+        if ( !$target.length ) throw new Error( "Can't scroll into view. The target is an empty jQuery set" );
+
+        $target = $target.first();
+
+        // Logical axis names ("inline", "block") are resolved according to the writing mode of the target element
+        options = norm.normalizeOptions( options, $target, $target );
+
+        // The target positions are calculated up front, for all containers at once, so they can't wait for anything
+        if ( options.waitFor ) throw new Error( "The waitFor option is not supported by scrollIntoViewChain" );
+
+        mgr.scrollIntoViewChain( $target, options );
+    }
+
+    /**
+     * Does the actual work of $.fn.snapAfterScroll.
+     *
+     * Snapping is enabled with an options hash, or without arguments. The snap option defaults to true, ie to the CSS
+     * snap points of the container, and the axis option defaults to both axes. Snapping is disabled with `false`.
+     *
+     * @param {jQuery}         $container
+     * @param {Object|boolean} [options]
+     */
+    function snapAfterScroll ( $container, options ) {
+        $container = norm.normalizeContainer( $container );
+
+        if ( options === false ) {
+            mgr.disableSnapAfterScroll( $container );
+        } else {
+            // The snap movement always starts from the current position, so it replaces any scroll in progress
+            options = $.extend( { snap: true }, options, { append: false, merge: false } );
+            options = norm.normalizeOptions( options, { horizontal: "+=0", vertical: "+=0" }, $container );
+
+            // The snap movement is set up when the user stops scrolling, so it can't wait for anything. It recurs, so a
+            // signal for a single scroll movement doesn't apply, either.
+            if ( options.waitFor ) throw new Error( "The waitFor option is not supported by snapAfterScroll" );
+            if ( options.signal ) throw new Error( "The signal option is not supported by snapAfterScroll" );
+            if ( !options.snap ) throw new Error( "The snap option can't be turned off for snapAfterScroll" );
+
+            mgr.enableSnapAfterScroll( $container, options );
+        }
+    }
+
     /**
      * Does the actual work of $.fn.stopScroll.
      *
@@ -102,6 +266,45 @@ var mgr = {},
         mgr.stopScroll( $container, options );
     }
 
+    /**
+     * Does the actual work of $.fn.finishScroll.
+     *
+     * @param {jQuery}         $container
+     * @param {Object}         [options]
+     * @param {string|boolean} [options.queue]  usually not required, set to the scroll queue by default
+     */
+    function finishScroll ( $container, options ) {
+        $container = norm.normalizeContainer( $container );
+        options = norm.normalizeOptions( options );
+        mgr.finishScroll( $container, options );
+    }
+
+    /**
+     * Does the actual work of $.fn.pauseScroll.
+     *
+     * @param {jQuery}         $container
+     * @param {Object}         [options]
+     * @param {string|boolean} [options.queue]  usually not required, set to the scroll queue by default
+     */
+    function pauseScroll ( $container, options ) {
+        $container = norm.normalizeContainer( $container );
+        options = norm.normalizeOptions( options );
+        mgr.pauseScroll( $container, options );
+    }
+
+    /**
+     * Does the actual work of $.fn.resumeScroll.
+     *
+     * @param {jQuery}         $container
+     * @param {Object}         [options]
+     * @param {string|boolean} [options.queue]  usually not required, set to the scroll queue by default
+     */
+    function resumeScroll ( $container, options ) {
+        $container = norm.normalizeContainer( $container );
+        options = norm.normalizeOptions( options );
+        mgr.resumeScroll( $container, options );
+    }
+
     /**
      * Does the actual work of $.fn.notifyScrollCallbacks.
      *
@@ -116,6 +319,23 @@ var mgr = {},
         mgr.notifyScrollCallbacks( $container, message, callbackNames, queueName );
     }
 
+    /**
+     * Does the actual work of $.scrollable.cubicBezier.
+     *
+     * Creates an easing from the control points of a cubic Bézier curve, as in the CSS `cubic-bezier()` function, and
+     * registers it in jQuery.easing. Returns the name of the easing, which can be used as the easing option.
+     *
+     * @param   {number} x1
+     * @param   {number} y1
+     * @param   {number} x2
+     * @param   {number} y2
+     * @returns {string}
+     */
+    function registerCubicBezierEasing ( x1, y1, x2, y2 ) {
+        var points = norm.normalizeCubicBezierPoints( [ x1, y1, x2, y2 ] );
+        return mgr.registerCubicBezierEasing( points );
+    }
+
     /**
      * Detects if the browser is on iOS. Works for Safari as well as other browsers, say, Chrome on iOS.
      *
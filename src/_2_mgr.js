@@ -1,6 +1,9 @@
-( function ( mgr, lib, core ) {
+( function ( mgr, norm, lib, core ) {
     "use strict";
 
+    /** @type {string}  data key for storing the snap-after-scroll observer of a container */
+    var snapAfterScrollDataKey = "jquery-scrollable-snap-after-scroll";
+
     /**
      * In here, all arguments ($container, position, options) are expected to be normalized when they are passed to a
      * function.
@@ -24,19 +27,34 @@
     };
 
     /**
-     * @param {jQuery}               $container  must be normalized
-     * @param {number|string|Object} position    must be normalized
-     * @param {Object}               options     must be normalized
+     * @param   {number[]} points  the control points of the curve, x1, y1, x2, y2; must be normalized
+     * @returns {string}
+     */
+    mgr.registerCubicBezierEasing = function ( points ) {
+        return lib.registerCubicBezierEasing( points );
+    };
+
+    /**
+     * Returns true if a scroll animation has been set up, or false if the call is redundant because the target position
+     * has already been reached (or will be, by preceding animations).
+     *
+     * @param   {jQuery}               $container  must be normalized
+     * @param   {number|string|Object} position    must be normalized
+     * @param   {Object}               options     must be normalized
+     * @returns {boolean}
      */
     mgr.scrollTo = function ( $container, position, options ) {
         var stopOptions,
+            isRedundant,
             notifyCancelled = extractNotifyCancelled( options ) || {};
 
         // Callbacks for window animations are bound to the window, not the animated element
         if ( $.isWindow( $container[0] ) ) options = lib.bindAnimationCallbacks( options, $container[0] );
 
         // Skip animation if the base position already matches the target position.
-        if ( ! lib.isRedundantTarget( position, lib.getScrollStartPosition( $container, options ) ) ) {
+        isRedundant = lib.isRedundantTarget( position, lib.getScrollStartPosition( $container, options ) );
+
+        if ( ! isRedundant ) {
 
             // If there are animations executing or being queued, capture the history of animation steps immediately
             // preceding the new animation.
@@ -56,6 +74,154 @@
             core.animateScroll( $container, position, options );
 
         }
+
+        return !isRedundant;
+    };
+
+    /**
+     * Sets up a scroll animation, like mgr.scrollTo, and returns a promise for its outcome.
+     *
+     * The promise is resolved when the animation is done, with a ScrollResult: the position at the end, and the message
+     * container of the `done` callback. If the call is redundant, the promise is resolved right away, with the position
+     * which has been reached already (or will be, by preceding animations).
+     *
+     * The promise is rejected when the animation fails, with a ScrollCancellation: the reason for the cancellation, as
+     * given by the `cancelled` property of the message container (e.g. "replace", "merge", "click", "scroll"), the
+     * position at that point, and the message container of the `fail` callback. The cancelled property is undefined if
+     * the animation has been stopped without a reason, ie with a plain stopScroll() call.
+     *
+     * The promise is rejected, too, if the animation is removed from the queue before it has started. Its callbacks
+     * are not called in that case (see lib.stopScrollAnimation()), but the `_onRemove` hook set up here is.
+     *
+     * The `done` and `fail` callbacks in the options are called, too, before the promise is settled.
+     *
+     * @param   {jQuery}               $container  must be normalized
+     * @param   {number|string|Object} position    must be normalized
+     * @param   {Object}               options     must be normalized
+     * @returns {Object}               a jQuery promise
+     */
+    mgr.scrollToAsync = function ( $container, position, options ) {
+        var deferred = $.Deferred(),
+            userDone = options.done,
+            userFail = options.fail,
+
+            reject = function ( message ) {
+                deferred.reject( { cancelled: message.cancelled, position: lib.getCurrentScrollPosition( $container ), message: message } );
+            };
+
+        options = $.extend( {}, options, {
+            done: function ( animation, jumpedToEnd, message ) {
+                if ( userDone ) userDone.apply( this, arguments );
+                deferred.resolve( { position: lib.getCurrentScrollPosition( $container ), message: message } );
+            },
+            fail: function ( animation, jumpedToEnd, message ) {
+                if ( userFail ) userFail.apply( this, arguments );
+                reject( message );
+            },
+            _onRemove: reject
+        } );
+
+        if ( !mgr.scrollTo( $container, position, options ) ) {
+            deferred.resolve( { position: lib.getScrollStartPosition( $container, options ), message: {} } );
+        }
+
+        return deferred.promise();
+    };
+
+    /**
+     * Scrolls all scroll containers of an element, from the innermost container out to the window, so as to reveal the
+     * element. The scroll animations run simultaneously. The target positions of all containers are determined before
+     * any of them starts to move.
+     *
+     * The animation callbacks are called once for the whole set of animations, rather than once per container (with
+     * the exception of `step` and `progress`, which are called for each container, in its own context). The exit
+     * callbacks run when all animations have ended. See createChainedCallbacks() for details.
+     *
+     * @param {jQuery} $target   the element to reveal
+     * @param {Object} options   must be normalized
+     */
+    mgr.scrollIntoViewChain = function ( $target, options ) {
+        var chain,
+            containers = lib.getScrollContainers( $target ),
+            shift = {},
+            scrolls = [];
+
+        shift[norm.HORIZONTAL] = shift[norm.VERTICAL] = 0;
+
+        // Determine all target positions first. The movement in inner containers shifts the element inside the outer
+        // ones, so we keep track of it.
+        //
+        // The shift is tracked physically, as the distance the element moves up or to the left. Positions are logical,
+        // though, so on a reversed axis (e.g. in a right-to-left container), the sign is flipped when converting.
+        $.each( containers, function ( index, $container ) {
+            var position,
+                containerShift = {},
+                startPosition = lib.getScrollStartPosition( $container, options );
+
+            $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+                containerShift[axis] = lib.isReversedAxis( $container, axis ) ? -shift[axis] : shift[axis];
+            } );
+
+            position = norm.normalizeChainedElementPosition( $target, $container, mgr.getScrollable( $container ), options, containerShift );
+
+            $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+                var delta = position[axis] === norm.IGNORE_AXIS ? 0 : position[axis] - startPosition[axis];
+                shift[axis] += lib.isReversedAxis( $container, axis ) ? -delta : delta;
+            } );
+
+            scrolls.push( { $container: $container, position: position } );
+        } );
+
+        chain = createChainedCallbacks( options, $target[0] );
+
+        $.each( scrolls, function ( index, scroll ) {
+            var containerOptions = chain.getOptions( scroll.$container[0] );
+            if ( mgr.scrollTo( scroll.$container, scroll.position, containerOptions ) ) chain.add();
+        } );
+
+        chain.seal();
+    };
+
+    /**
+     * Makes a container snap to the nearest snap point when the user has finished scrolling it. Replaces a previous
+     * setup for the container, if there is one.
+     *
+     * The end of the user scroll is detected with a debounce, set by the snapDelay option (default:
+     * $.scrollable.snapDelay). See lib.observeUserScrollEnd(). The snap movement is an ordinary scroll animation, set up
+     * with the options passed in here. The snap points are defined by the snap option.
+     *
+     * When the snap movement starts, a "snapstart" event is triggered on the container. A "snapend" event follows when
+     * the movement is over. See snapToNearestPoint().
+     *
+     * @param {jQuery} $container  must be normalized
+     * @param {Object} options     must be normalized
+     */
+    mgr.enableSnapAfterScroll = function ( $container, options ) {
+        var stopObserving,
+            delay = options.snapDelay !== undefined ? parseInt( options.snapDelay, 10 ) : $.scrollable.snapDelay;
+
+        mgr.disableSnapAfterScroll( $container );
+
+        stopObserving = lib.observeUserScrollEnd( $container, mgr.getScrollable( $container ), options.queue, delay, function () {
+            snapToNearestPoint( $container, options );
+        } );
+
+        $.data( $container[0], snapAfterScrollDataKey, stopObserving );
+    };
+
+    /**
+     * Stops a container from snapping after the user has scrolled it. See mgr.enableSnapAfterScroll(). A snap movement
+     * which is already under way is not stopped.
+     *
+     * @param {jQuery} $container  must be normalized
+     */
+    mgr.disableSnapAfterScroll = function ( $container ) {
+        var stopObserving = $.data( $container[0], snapAfterScrollDataKey );
+
+        if ( stopObserving ) {
+            stopObserving();
+            $.removeData( $container[0], snapAfterScrollDataKey );
+        }
     };
 
     /**
@@ -73,6 +239,33 @@
         return lib.stopScrollAnimation( $scrollable, options, notifyCancelled );
     };
 
+    /**
+     * @param {jQuery}         $container     must be normalized
+     * @param {Object}         options        must be normalized
+     * @param {string|boolean} options.queue  set during options normalization if not provided explicitly
+     */
+    mgr.finishScroll = function ( $container, options ) {
+        lib.finishScrollAnimation( mgr.getScrollable( $container ), options );
+    };
+
+    /**
+     * @param {jQuery}         $container     must be normalized
+     * @param {Object}         options        must be normalized
+     * @param {string|boolean} options.queue  set during options normalization if not provided explicitly
+     */
+    mgr.pauseScroll = function ( $container, options ) {
+        lib.pauseScrollAnimation( mgr.getScrollable( $container ), options );
+    };
+
+    /**
+     * @param {jQuery}         $container     must be normalized
+     * @param {Object}         options        must be normalized
+     * @param {string|boolean} options.queue  set during options normalization if not provided explicitly
+     */
+    mgr.resumeScroll = function ( $container, options ) {
+        lib.resumeScrollAnimation( mgr.getScrollable( $container ), options );
+    };
+
     /**
      * @param {jQuery}   $container       must be normalized
      * @param {Object}   message
@@ -84,6 +277,155 @@
         lib.notifyScrollCallbacks( $scrollable, message, callbackNames, queueName );
     };
 
+    /**
+     * Scrolls a container to the nearest snap point, as seen from the current position. Does nothing if the container
+     * is at a snap point already.
+     *
+     * A "snapstart" event is triggered on the container when the movement starts. The handler receives the target
+     * position as an additional argument, with the target for each scrolled axis ({ horizontal: ..., vertical: ... }).
+     * A "snapend" event is triggered when the movement is over. Its handler receives the target position, and a flag
+     * which is false if the movement has failed, ie if it has been cancelled (e.g. because the user has scrolled again)
+     * or stopped. The events don't bubble.
+     *
+     * The start, done and always callbacks in the options are called as usual.
+     *
+     * @param {jQuery} $container  must be normalized
+     * @param {Object} options     must be normalized
+     */
+    function snapToNearestPoint ( $container, options ) {
+        var position,
+            target = {},
+            isCompleted = false,
+            userStartCb = options.start,
+            userDoneCb = options.done,
+            userAlwaysCb = options.always,
+
+            animationOptions = $.extend( {}, options, {
+                start: function () {
+                    $container.triggerHandler( "snapstart", [ $.extend( {}, target ) ] );
+                    return userStartCb && userStartCb.apply( this, $.makeArray( arguments ) );
+                },
+                done: function () {
+                    isCompleted = true;
+                    return userDoneCb && userDoneCb.apply( this, $.makeArray( arguments ) );
+                },
+                always: function () {
+                    var result = userAlwaysCb && userAlwaysCb.apply( this, $.makeArray( arguments ) );
+                    $container.triggerHandler( "snapend", [ $.extend( {}, target ), isCompleted ] );
+                    return result;
+                }
+            } );
+
+        // A relative move by 0 is snapped to the nearest snap point, on both axes, or on the one set by the axis option
+        position = norm.normalizePosition( { horizontal: "+=0", vertical: "+=0" }, $container, mgr.getScrollable( $container ), animationOptions );
+
+        $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+            if ( position[axis] !== norm.IGNORE_AXIS ) target[axis] = position[axis];
+        } );
+
+        mgr.scrollTo( $container, position, animationOptions );
+    }
+
+    /**
+     * Sets up the callbacks for a group of simultaneous scroll animations in different containers (see
+     * mgr.scrollIntoViewChain()), so that the callbacks provided in the options are called once for the group. Returns
+     * a controller object:
+     *
+     * - getOptions( container ) returns the animation options for a container. The exit callbacks and the `start`
+     *   callback are replaced with internal ones.
+     * - add() registers an animation which has been set up with these options (skip it for redundant scroll calls which
+     *   don't animate).
+     * - seal() must be called when all animations have been added.
+     *
+     * The `start` callback is called when the first animation starts. When all animations have ended, the `done`,
+     * `complete` and `always` callbacks are called, or `fail` and `always` if any of the animations has been cancelled.
+     * They are called in the context of the target element, and with the arguments of the animation which ended last.
+     *
+     * If no animation has been added, because none of the containers has to scroll, the `done`, `complete` and `always`
+     * callbacks are called right away, when seal() is called. The `animation` argument is undefined then.
+     *
+     * The message passed to the exit callbacks merges the messages of all animations. In addition, it contains a
+     * `cancelledContainers` property: an array of the containers (elements or windows) in which the animation has been
+     * cancelled. The array is empty if all animations have run their course.
+     *
+     * @param   {Object}      options
+     * @param   {HTMLElement} thisNode  context for the callbacks
+     * @returns {{getOptions: Function, add: Function, seal: Function}}
+     */
+    function createChainedCallbacks ( options, thisNode ) {
+        var lastArgs,
+            callbacks = lib.getExitCallbacks( options ),
+            userStartCb = options.start,
+            isStarted = false,
+            isSealed = false,
+            isFailed = false,
+            pending = 0,
+            message = { cancelledContainers: [] },
+
+            settle = function () {
+                var animation = lastArgs ? lastArgs[0] : undefined,
+                    jumpedToEnd = lastArgs ? lastArgs[1] : false;
+
+                if ( isFailed ) {
+                    callbacks.fail && callbacks.fail.call( thisNode, animation, jumpedToEnd, message );
+                } else {
+                    callbacks.done && callbacks.done.call( thisNode, animation, jumpedToEnd, message );
+                    callbacks.complete && callbacks.complete.call( thisNode, message );
+                }
+
+                callbacks.always && callbacks.always.call( thisNode, animation, jumpedToEnd, message );
+            },
+
+            onExit = function ( container, hasFailed, args ) {
+                var containerMessage = args[2];
+
+                lastArgs = args;
+                if ( containerMessage ) $.extend( message, containerMessage, { cancelledContainers: message.cancelledContainers } );
+
+                if ( hasFailed ) {
+                    isFailed = true;
+                    message.cancelledContainers.push( container );
+                }
+
+                pending--;
+                if ( isSealed && !pending ) settle();
+            };
+
+        return {
+            getOptions: function ( container ) {
+                var containerOptions = $.extend( {}, options, {
+                    start: function () {
+                        if ( !isStarted ) {
+                            isStarted = true;
+                            if ( userStartCb ) userStartCb.apply( thisNode, $.makeArray( arguments ) );
+                        }
+                    },
+                    done: function () {
+                        onExit( container, false, $.makeArray( arguments ) );
+                    },
+                    fail: function () {
+                        onExit( container, true, $.makeArray( arguments ) );
+                    }
+                } );
+
+                // The complete and always callbacks are handled by the done and fail callbacks above
+                delete containerOptions.complete;
+                delete containerOptions.always;
+
+                return containerOptions;
+            },
+
+            add: function () {
+                pending++;
+            },
+
+            seal: function () {
+                isSealed = true;
+                if ( !pending ) settle();
+            }
+        };
+    }
+
     /**
      * Extracts the notifyCancelled option from the options object. Removes the notifyCancelled property from the input
      * object, modifying it. Returns an independent copy of the notifyCancelled object.
@@ -106,4 +448,28 @@
         return notifyCancelled;
     }
 
-} )( mgr, lib, core );
\ No newline at end of file
+
+    /**
+     * Custom types.
+     *
+     * For easier documentation and type inference.
+     */
+
+    /**
+     * @name ScrollResult
+     * @type {Object}
+     *
+     * @property {Coordinates} position  the scroll position at the end of the animation
+     * @property {Object}      message   the message container of the `done` callback
+     */
+
+    /**
+     * @name ScrollCancellation
+     * @type {Object}
+     *
+     * @property {string|undefined} cancelled  the reason for the cancellation, e.g. "replace", "merge", "click", "scroll"
+     * @property {Coordinates}      position   the scroll position at the point of the cancellation
+     * @property {Object}           message    the message container of the `fail` callback
+     */
+
+} )( mgr, norm, lib, core );
\ No newline at end of file
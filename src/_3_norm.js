@@ -10,8 +10,26 @@
         /** @type {string[]}  non-canonical but recognized names for both axes */
         altAxisNamesBoth = [ "vh", "hv", "xy", "yx", "all" ],
 
+        /** @type {string[]}  logical axis names, which map to a physical axis depending on the writing mode */
+        logicalAxisNames = [ "inline", "block" ],
+
         /** @type {string[]}  all non-canonical but recognized names for one or both axes */
-        altAxisNames = altAxisNamesV.concat( altAxisNamesH, altAxisNamesBoth );
+        altAxisNames = altAxisNamesV.concat( altAxisNamesH, altAxisNamesBoth, logicalAxisNames ),
+
+        /** @type {string[]}  keywords which are recognized as position strings */
+        positionKeywords = [ "top", "bottom", "left", "right", "start", "end", "next-snap", "prev-snap" ],
+
+        /** @type {RegExp}  a term in a position expression, with its sign: a number with an optional unit, or a keyword */
+        expressionTermRx = /^([+\-]?)\s*(?:(\d*\.?\d+(?:e[+\-]?\d+)?)(px|%|em|rem|lh|vw|vh|page)?|(top|bottom|left|right|start|end))\s*/,
+
+        /** @type {RegExp}  matches strings which are meant as a numeric position expression, rather than a selector */
+        expressionLookalikeRx = /^(?:calc\(|[+\-]?\s*\.?\d)/,
+
+        /** @type {Object}  default parameters of the physics simulations, per type; see norm.normalizePhysicsOption() */
+        physicsDefaults = {
+            spring: { stiffness: 170, damping: 26, mass: 1 },
+            decay: { friction: 5 }
+        };
 
     /** @type {string}  canonical name for the vertical axis */
     norm.VERTICAL = "vertical";
@@ -41,6 +59,42 @@
     /** @type {string}  ignoreUser option value for ignoring clicks and touch only */
     norm.IGNORE_USER_CLICK_TOUCH_ONLY = "click";
 
+    /** @type {string}  engine option value: the animation runs with $.fn.animate */
+    norm.ENGINE_JQUERY = "jquery";
+
+    /** @type {string}  engine option value: the animation is a smooth native scroll, run by the browser */
+    norm.ENGINE_NATIVE = "native";
+
+    /** @type {string}  engine option value: the animation runs on requestAnimationFrame, independently of jQuery.fx */
+    norm.ENGINE_RAF = "raf";
+
+    /** @type {string}  engine option value: a native scroll is used if the browser supports it and the options allow it */
+    norm.ENGINE_AUTO = "auto";
+
+    /** @type {string}  physics option type: the scroll movement is driven by a damped spring */
+    norm.PHYSICS_SPRING = "spring";
+
+    /** @type {string}  physics option type: the scroll movement is an inertial deceleration, as after a fling */
+    norm.PHYSICS_DECAY = "decay";
+
+    /** @type {string}  path option value: the movement runs through the waypoints in straight lines */
+    norm.PATH_LINEAR = "linear";
+
+    /** @type {string}  path option value: the movement runs through the waypoints in a smooth curve */
+    norm.PATH_CURVE = "curve";
+
+    /** @type {string}  reducedMotion option value: the library decides how to reduce the motion, depending on the distance */
+    norm.REDUCED_MOTION_AUTO = "auto";
+
+    /** @type {string}  reducedMotion option value: the scroll animation is replaced by a jump to the target */
+    norm.REDUCED_MOTION_JUMP = "jump";
+
+    /** @type {string}  reducedMotion option value: the scroll animation is cut short */
+    norm.REDUCED_MOTION_SHORTEN = "shorten";
+
+    /** @type {string}  reducedMotion option value: the scroll animation runs as usual */
+    norm.REDUCED_MOTION_IGNORE = "ignore";
+
     /** @type {string}  "replace" mode flag for chained scrollTo calls */
     norm.MODE_REPLACE = "replace";
 
@@ -50,6 +104,24 @@
     /** @type {string}  "merge" mode flag for chained scrollTo calls */
     norm.MODE_MERGE = "merge";
 
+    /** @type {string}  align option value: the target element is aligned with the top or left edge of the container */
+    norm.ALIGN_START = "start";
+
+    /** @type {string}  align option value: the target element is centered in the container */
+    norm.ALIGN_CENTER = "center";
+
+    /** @type {string}  align option value: the target element is aligned with the bottom or right edge of the container */
+    norm.ALIGN_END = "end";
+
+    /** @type {string}  align option value: the container scrolls as little as possible to reveal the target element */
+    norm.ALIGN_NEAREST = "nearest";
+
+    /** @type {string}  position keyword: the next snap point after the current position */
+    norm.SNAP_NEXT = "next-snap";
+
+    /** @type {string}  position keyword: the previous snap point before the current position */
+    norm.SNAP_PREV = "prev-snap";
+
 
     /**
      * Normalizes the container element, if it relates to a window. Other elements are returned unchanged.
@@ -99,29 +171,344 @@
      * - A string ending in "%" is converted to its px value, relative to container size on the specified axis.
      * - A string "top" or "left" is converted to 0.
      * - A string "bottom", "right" is converted to the maximum scroll value on the respective axis.
+     * - A string "start" is converted to 0, "end" to the maximum scroll value, on either axis.
+     * - A string "next-snap" or "prev-snap" is converted to the next or previous snap point, as seen from the position
+     *   where the scroll movement starts (ie, the current position or, in append and merge mode, the target of
+     *   preceding scrolls). The snap points are defined by the snap option or, if it is not set, by the CSS
+     *   scroll-snap-align of the children of the container. See getSnapPoints(). If there isn't a snap point in that
+     *   direction, the start position is returned. The offset option is not applied.
+     * - Positions are logical, ie measured from the start of the axis. On a reversed axis (e.g. horizontally in a
+     *   right-to-left container, see lib.isReversedAxis()), 0 is at the right or bottom, and the physical keywords
+     *   are swapped accordingly: "right" is converted to 0, "left" to the maximum scroll value.
+     * - A string ending in "em", "rem", "lh" is converted to px, based on the computed style of the container (or of
+     *   the documentElement, for a window). A string ending in "vw", "vh" is converted relative to the window size.
+     * - A string ending in "page" is converted to a multiple of the inner container size, minus the pageOverlap option.
+     *   Most useful for relative positions, e.g. "+=1page".
+     * - An expression combines any of the values above with "+" and "-", e.g. "bottom - 200px" or "50% + 2em". It may
+     *   be wrapped in "calc()". See parsePositionExpression().
      * - A string prefixed with "+=" or "-=", which means that the position is relative to the current scroll position,
      *   is turned into an absolute position. If the scroll is appended or merged, the move is based on the position
      *   which the preceding scroll will arrive at, rather than the current position.
-     * - Hash properties "v"/"h", "y"/"x" are converted into "vertical"/"horizontal" properties.
+     * - Hash properties "v"/"h", "y"/"x" are converted into "vertical"/"horizontal" properties. The logical names
+     *   "inline"/"block" are converted according to the writing mode of the container.
      * - Hash property values are converted according to the rules for primitives.
      * - Missing hash properties are filled in with norm.IGNORE_AXIS.
+     * - A target element (DOM element, jQuery set, or a selector string) is converted to the position at which the
+     *   element is aligned with the container as specified by the align option (default: top left corner), for both
+     *   axes (unless the axis option says otherwise). A hash property can be a target element, too, and is resolved
+     *   for the respective axis only. With the cssOffsets option, the scroll-padding of the container and the
+     *   scroll-margin of the element are taken into account.
+     * - An array is a list of waypoints. See normalizeWaypoints().
+     * - The offset option is subtracted from absolute positions, but not from relative ones ("+=", "-="). The axes
+     *   which the offset doesn't apply to are flagged in an `offsetExempt` hash, e.g. { vertical: true }, so an offset
+     *   function can skip them when the animation starts.
+     * - With the snap option, the position is moved to the nearest snap point (after the offset has been applied).
+     * - A function is called with the arguments ( current, range, $container ), in the context of the container
+     *   element. `current` is the scroll position the animation would start from, `range` the maximum scroll position,
+     *   both as a hash with "horizontal" and "vertical" properties. The function returns a position in any of the
+     *   formats above, which is then normalized. Unless the axis option is set explicitly, it is derived from the
+     *   returned value.
+     *
+     * A function is called right away if the scroll starts right away, ie in replace and merge mode, or in append mode
+     * if the queue is empty - unless the scroll has to wait for the waitFor option. Otherwise, the position is not
+     * resolved until the scroll is dequeued, ie when the preceding scrolls have ended. The same applies to any position
+     * which has to wait for the waitFor option, or which is appended to the queue behind an unresolved position, as it
+     * may be based on it (relative positions, positions in merge mode etc). In these cases, the returned hash is
+     * unresolved: both axes are set to norm.IGNORE_AXIS, the `isUnresolved` flag is set, and a `resolve()` method
+     * returns the final, normalized position when called at the start of the animation.
      *
-     * @param {number|string|Object} position
+     * Symbolic targets, ie keywords, percentages and target elements, depend on the layout. Unless the retarget option
+     * is set to false, the returned hash has a `recompute()` method then. It returns the position for the current
+     * layout, e.g. after the content has grown. See addRecompute().
+     *
+     * Selector strings are resolved within the container element, or within the document of a window container. A
+     * string is treated as a selector if it can't be interpreted as a position value.
+     *
+     * @param {number|string|Object|HTMLElement|jQuery|Function|Array} position
      * @param {jQuery}               $container
      * @param {jQuery}               $scrollable
-     * @param {Object}               options     must have the axis and queue property set (which is the case in a
-     *                                           normalized options object)
+     * @param {Object}               options     must have the axis, queue, align and offset properties set (which is
+     *                                           the case in a normalized options object)
      * @returns {Coordinates}
      */
     norm.normalizePosition = function ( position, $container, $scrollable, options ) {
 
-        var queueWrapper = new queue.QueueWrapper( $scrollable, options.queue );
+        var normalized,
+            queueWrapper = new queue.QueueWrapper( $scrollable, options.queue ),
+            scrollMode = norm.getScrollMode( options );
+
+        // Defer the resolution of the position if the scroll doesn't start right away, and the position is a function
+        // or might be based on a preceding position which is still unresolved. A scroll which has to wait for the
+        // waitFor option doesn't start right away, either.
+        if ( options.waitFor || ( scrollMode === norm.MODE_APPEND && queueWrapper.getInfo().length && ( $.isFunction( position ) || lib.hasUnresolvedTarget_QW( queueWrapper ) ) ) ) {
+            return createUnresolvedPosition( position, $container, $scrollable, options );
+        }
+
+        if ( $.isFunction( position ) ) {
+            position = callPositionFunction( position, $container, queueWrapper, scrollMode );
+            if ( options._axisFromPosition ) options = $.extend( {}, options, { axis: norm.normalizeOptions( {}, position, $container ).axis } );
+        }
+
+        if ( $.isArray( position ) ) return normalizeWaypoints( position, $container, options, queueWrapper );
+
+        // A target element applies to both axes. Which of them are actually scrolled is up to the axis option.
+        if ( norm.isElementTarget( position ) ) position = { horizontal: position, vertical: position };
 
         if ( $.isPlainObject( position ) ) {
-            return normalizePositionForHash( position, $container, options, queueWrapper );
+            normalized = normalizePositionForHash( position, $container, options, queueWrapper );
         } else {
-            return normalizePositionForAxis( position, $container, options, queueWrapper );
+            normalized = normalizePositionForAxis( position, $container, options, queueWrapper );
+        }
+
+        if ( options.retarget !== false ) addRecompute( normalized, position, $container, options, queueWrapper );
+
+        return normalized;
+    };
+
+    /**
+     * Normalizes a list of waypoints. Returns the final waypoint, with the intermediate ones attached as an array of
+     * coordinates, in the `waypoints` property.
+     *
+     * Each waypoint is normalized according to the rules of norm.normalizePosition(), with a few twists:
+     *
+     * - Relative positions ("+=", "-="), "nearest" alignment and the "next-snap", "prev-snap" keywords are based on the
+     *   preceding waypoint, rather than the start position of the scroll. The first waypoint is based on the start
+     *   position.
+     * - Unless the axis option is set explicitly, the axes of a waypoint are derived from the waypoint itself, e.g.
+     *   vertical for { y: 1200 } or "bottom", both for a target element.
+     * - An axis which is left out of a waypoint stays where the preceding waypoint has left it. Axes which are left out
+     *   of all waypoints are ignored (or in merge mode, set to the target of preceding scrolls, if any).
+     * - Waypoints are resolved right away. They are not recomputed when the layout changes, so the retarget option
+     *   doesn't apply to them.
+     *
+     * Throws an error if the list is empty, or if a waypoint is a function or an array.
+     *
+     * @param   {Array}              waypoints
+     * @param   {jQuery}             $container
+     * @param   {Object}             options       must be normalized
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @returns {Coordinates}
+     */
+    function normalizeWaypoints ( waypoints, $container, options, queueWrapper ) {
+        var normalized,
+            scrollMode = norm.getScrollMode( options ),
+            previous = lib.getScrollStartPosition_QW( $container, queueWrapper, norm.BOTH_AXES, scrollMode ),
+            isUsedAxis = {},
+            points = [];
+
+        if ( !waypoints.length ) throw new Error( "The list of waypoints is empty" );
+
+        $.each( waypoints, function ( index, waypoint ) {
+            var point,
+                waypointOptions = $.extend( {}, options, { append: false, merge: false, _basePosition: previous } );
+
+            if ( $.isFunction( waypoint ) || $.isArray( waypoint ) ) throw new Error( "Invalid waypoint " + waypoint + ". A waypoint can't be a function or an array" );
+
+            if ( options._axisFromPosition ) waypointOptions.axis = norm.normalizeOptions( {}, waypoint, $container ).axis;
+            if ( norm.isElementTarget( waypoint ) ) waypoint = { horizontal: waypoint, vertical: waypoint };
+
+            point = $.isPlainObject( waypoint ) ?
+                    normalizePositionForHash( waypoint, $container, waypointOptions, queueWrapper ) :
+                    normalizePositionForAxis( waypoint, $container, waypointOptions, queueWrapper );
+
+            previous = $.extend( {}, previous, { offsetExempt: $.extend( {}, previous.offsetExempt ) } );
+            $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+                if ( point[axis] !== norm.IGNORE_AXIS ) {
+                    // A relative waypoint is only exempt from an offset function if it is based on a position which
+                    // isn't offset either: the start position, or an exempt waypoint.
+                    previous.offsetExempt[axis] = !!( point.offsetExempt && point.offsetExempt[axis] ) && ( !isUsedAxis[axis] || previous.offsetExempt[axis] );
+                    previous[axis] = point[axis];
+                }
+                isUsedAxis[axis] = isUsedAxis[axis] || point[axis] !== norm.IGNORE_AXIS;
+            } );
+
+            points.push( previous );
+        } );
+
+        $.each( points, function ( index, point ) {
+            $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+                if ( !isUsedAxis[axis] ) point[axis] = scrollMode === norm.MODE_MERGE ? lib.getLastTarget_QW( queueWrapper, axis ) : norm.IGNORE_AXIS;
+            } );
+        } );
+
+        normalized = points.pop();
+        normalized.waypoints = points;
+
+        return normalized;
+    }
+
+    /**
+     * Adds a `recompute()` method to a normalized position if the original position contains symbolic targets, ie
+     * targets which depend on the layout. That's the case for keywords like "bottom", percentages, font-relative and
+     * viewport units, and target elements (unless they are aligned with "nearest"). An expression is symbolic if any of
+     * its terms is. Numeric positions, px values and relative positions ("+=", "-=") are
+     * fixed.
+     *
+     * `recompute()` returns a new hash in which the symbolic targets are normalized again, based on the current layout.
+     * Fixed targets and ignored axes keep their values. An offset function is not applied (see
+     * lib.addScrollAnimation()).
+     *
+     * @param {Coordinates}        normalized    the normalized position; modified by the function
+     * @param {number|string|Object|HTMLElement|jQuery} position  the original position, but not a function
+     * @param {jQuery}             $container
+     * @param {Object}             options       must be normalized
+     * @param {queue.QueueWrapper} queueWrapper
+     */
+    function addRecompute ( normalized, position, $container, options, queueWrapper ) {
+        var symbolic = {},
+            hasSymbolic = false,
+            values = $.isPlainObject( position ) ? normalizeAxisProperty( position, $container ) : {},
+            recomputeOptions = $.extend( {}, options, { append: false, merge: false } );
+
+        if ( !$.isPlainObject( position ) ) values[options.axis] = position;
+
+        $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+            var isScrolled = ( options.axis === norm.BOTH_AXES || options.axis === axis ) && normalized[axis] !== norm.IGNORE_AXIS;
+
+            if ( isScrolled && isSymbolicPositionValue( values[axis], axis, options ) ) {
+                symbolic[axis] = values[axis];
+                hasSymbolic = true;
+            }
+        } );
+
+        if ( hasSymbolic ) {
+            normalized.recompute = function () {
+                var recomputed = $.extend( {}, normalized );
+
+                $.each( symbolic, function ( axis, value ) {
+                    recomputed[axis] = normalizePositionForAxis( value, $container, $.extend( {}, recomputeOptions, { axis: axis } ), queueWrapper )[axis];
+                } );
+
+                return recomputed;
+            };
         }
+    }
+
+    /**
+     * Returns whether a position value (for a single axis) depends on the layout, rather than being a fixed px value.
+     * See addRecompute().
+     *
+     * @param   {*}       value
+     * @param   {string}  axis
+     * @param   {Object}  options   must be normalized
+     * @returns {boolean}
+     */
+    function isSymbolicPositionValue ( value, axis, options ) {
+        var prefix,
+            isSymbolic = false;
+
+        if ( norm.isElementTarget( value ) ) return options.align[axis] !== norm.ALIGN_NEAREST;
+
+        // With the snap option, absolute positions end up on a snap point, which depends on the layout
+        if ( lib.isNumber( value ) ) return !!options.snap;
+        if ( !lib.isString( value ) ) return false;
+
+        value = $.trim( value ).toLowerCase();
+        prefix = value.slice( 0, 2 );
+        if ( prefix === "+=" || prefix === "-=" || value === norm.SNAP_NEXT || value === norm.SNAP_PREV ) return false;
+        if ( options.snap ) return true;
+
+        // Any term other than a plain number or px value depends on the layout
+        $.each( parsePositionExpression( value ) || [], function ( index, term ) {
+            isSymbolic = isSymbolic || !!term.keyword || !( term.unit === "" || term.unit === "px" );
+        } );
+
+        return isSymbolic;
+    }
+
+    /**
+     * Returns an unresolved position hash. Both axes are set to norm.IGNORE_AXIS. The `resolve()` method of the hash
+     * normalizes the position when it is called, ie when the scroll animation starts.
+     *
+     * At that point, the preceding scrolls have ended, and the position is resolved in relation to the current scroll
+     * position.
+     *
+     * @param   {number|string|Object|HTMLElement|jQuery|Function} position
+     * @param   {jQuery}      $container
+     * @param   {jQuery}      $scrollable
+     * @param   {Object}      options      must be normalized
+     * @returns {Coordinates}
+     */
+    function createUnresolvedPosition ( position, $container, $scrollable, options ) {
+        var unresolved = {},
+            resolveOptions = $.extend( {}, options, { append: false, merge: false } );
+
+        // The waiting is over when the position is resolved
+        delete resolveOptions.waitFor;
+
+        unresolved[norm.HORIZONTAL] = unresolved[norm.VERTICAL] = norm.IGNORE_AXIS;
+        unresolved.isUnresolved = true;
+
+        unresolved.resolve = function () {
+            return norm.normalizePosition( position, $container, $scrollable, resolveOptions );
+        };
+
+        return unresolved;
+    }
+
+    /**
+     * Calls a position function and returns its result. See norm.normalizePosition().
+     *
+     * Throws an error if the function returns another function.
+     *
+     * @param   {Function}           func
+     * @param   {jQuery}             $container
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @param   {string}             scrollMode
+     * @returns {number|string|Object|HTMLElement|jQuery}
+     */
+    function callPositionFunction ( func, $container, queueWrapper, scrollMode ) {
+        var current = lib.getScrollStartPosition_QW( $container, queueWrapper, norm.BOTH_AXES, scrollMode ),
+            range = lib.getScrollMaximum( $container, norm.BOTH_AXES ),
+            position;
+
+        position = func.call( $container[0], current, range, $container );
+        if ( $.isFunction( position ) ) throw new Error( "A position function must not return another function" );
+
+        return position;
+    }
+
+    /**
+     * Returns a hash of scroll positions for revealing a target element inside a container which is part of a chain of
+     * nested scroll containers. The position on each axis is normalized to a number (in px) and limited to the
+     * available scroll range.
+     *
+     * The element is aligned as specified by the align option, and the offset and cssOffsets options are applied, as
+     * they are for element targets in norm.normalizePosition().
+     *
+     * The shift argument describes how far the element is going to move inside the container because scroll
+     * containers nested inside it are scrolled, too. Pass in the total scroll distance of the inner containers, per
+     * axis (positive if they scroll down or right).
+     *
+     * Axes which are excluded by the axis option are set to norm.IGNORE_AXIS (or in merge mode, to the target of
+     * preceding scrolls, if any).
+     *
+     * @param   {jQuery}      $target
+     * @param   {jQuery}      $container   must be normalized
+     * @param   {jQuery}      $scrollable
+     * @param   {Object}      options      must be normalized
+     * @param   {Coordinates} shift
+     * @returns {Coordinates}
+     */
+    norm.normalizeChainedElementPosition = function ( $target, $container, $scrollable, options, shift ) {
+        var queueWrapper = new queue.QueueWrapper( $scrollable, options.queue ),
+            scrollMode = norm.getScrollMode( options ),
+            normalized = {};
+
+        $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+            var position;
+
+            if ( options.axis === norm.BOTH_AXES || options.axis === axis ) {
+
+                position = getAlignedElementPosition( $target, $container, axis, options, queueWrapper, scrollMode, shift[axis] );
+                normalized[axis] = norm.limitToScrollRange( Math.round( position ), $container, axis );
+
+            } else {
+                normalized[axis] = scrollMode === norm.MODE_MERGE ? lib.getLastTarget_QW( queueWrapper, axis ) : norm.IGNORE_AXIS;
+            }
+        } );
+
+        return normalized;
     };
 
     /**
@@ -139,23 +526,27 @@
     function normalizePositionForHash ( position, $container, options, queueWrapper ) {
 
         var axis = options.axis,
-            pos = normalizeAxisProperty( position ),
+            pos = normalizeAxisProperty( position, $container ),
             posX = pos[norm.HORIZONTAL],
             posY = pos[norm.VERTICAL],
             ignoreX = axis === norm.VERTICAL,
             ignoreY = axis === norm.HORIZONTAL,
             optionsX = $.extend( {}, options, { axis: norm.HORIZONTAL } ),
             optionsY = $.extend( {}, options, { axis: norm.VERTICAL } ),
+            normalizedX = ignoreX ? {} : normalizePositionForAxis( posX, $container, optionsX, queueWrapper ),
+            normalizedY = ignoreY ? {} : normalizePositionForAxis( posY, $container, optionsY, queueWrapper ),
             normalized = {};
 
         // NB Merge mode: if an axis is ignored in the current scroll operation, a target may nevertheless be inherited
         // from previous, unfinished scrollTo commands. Read it from the queue then.
         normalized[norm.HORIZONTAL] = ignoreX ?
                                       ( options.merge ? lib.getLastTarget_QW( queueWrapper, norm.HORIZONTAL ) : norm.IGNORE_AXIS ) :
-                                      normalizePositionForAxis( posX, $container, optionsX, queueWrapper )[norm.HORIZONTAL];
+                                      normalizedX[norm.HORIZONTAL];
         normalized[norm.VERTICAL] = ignoreY ?
                                     ( options.merge ? lib.getLastTarget_QW( queueWrapper, norm.VERTICAL ) : norm.IGNORE_AXIS ) :
-                                    normalizePositionForAxis( posY, $container, optionsY, queueWrapper )[norm.VERTICAL];
+                                    normalizedY[norm.VERTICAL];
+
+        if ( normalizedX.offsetExempt || normalizedY.offsetExempt ) normalized.offsetExempt = $.extend( {}, normalizedX.offsetExempt, normalizedY.offsetExempt );
 
         return normalized;
     }
@@ -165,11 +556,11 @@
      *
      * For info, see norm.normalizePosition().
      *
-     * @param   {number|string}      position
-     * @param   {jQuery}             $container
-     * @param   {Object}             options       must have the axis property set (which is the case in a normalized
-     *                                             options object)
-     * @param   {queue.QueueWrapper} queueWrapper
+     * @param   {number|string|HTMLElement|jQuery} position
+     * @param   {jQuery}                           $container
+     * @param   {Object}                           options       must have the axis property set (which is the case
+     *                                                           in a normalized options object)
+     * @param   {queue.QueueWrapper}               queueWrapper
      * @returns {Coordinates}
      */
     function normalizePositionForAxis ( position, $container, options, queueWrapper ) {
@@ -178,6 +569,9 @@
             origPositionArg = position,
             basePosition = 0,
             sign = 1,
+            isRelative = false,
+            isSnapPoint = false,
+            isElementPosition = false,
             axis = options.axis,
             scrollMode = norm.getScrollMode( options ),
             normalized = {};
@@ -187,54 +581,62 @@
         // we need to know which one).
         if ( !( axis === norm.HORIZONTAL || axis === norm.VERTICAL ) ) throw new Error( "Axis option not defined, or not defined unambiguously, with current value " + axis );
 
-        // Convert string input to number
-        if ( lib.isString( position ) ) {
-
-            position = position.toLowerCase();
+        if ( norm.isElementTarget( position ) ) {
 
-            // Deal with +=, -= relative position prefixes
-            prefix = position.slice( 0, 2 );
-            if ( prefix === "+=" || prefix === "-=" ) {
-                position = position.slice( 2 );
-                sign = prefix === "+=" ? 1 : -1;
-                basePosition = lib.getScrollStartPosition_QW( $container, queueWrapper, axis, scrollMode );
-            }
+            // Convert a target element to the absolute position of the element within the scrollable content
+            position = getAlignedElementPosition( normalizeTargetElement( position, $container ), $container, axis, options, queueWrapper, scrollMode );
+            isElementPosition = true;
 
-            // Resolve px, % units
-            if ( position.slice( -2 ) === "px" ) {
-                position = parseFloat( position.slice( 0, -2 ) );
-            } else if ( position.slice( -1 ) === "%" ) {
-                position = parseFloat( position.slice( 0, -1 ) ) * lib.getScrollMaximum( $container, axis ) / 100;
-            } else {
+        } else if ( lib.isString( position ) ) {
 
-                // Resolve position strings
-                if ( axis === norm.HORIZONTAL ) {
+            // Convert string input to number
+            position = $.trim( position.toLowerCase() );
 
-                    if ( position === "left" ) position = 0;
-                    if ( position === "right" ) position = lib.getScrollMaximum( $container, axis );
-                    if ( position === "top" || position === "bottom" ) throw new Error( "Desired position " + position + "is inconsistent with axis option " + axis );
+            if ( position === norm.SNAP_NEXT || position === norm.SNAP_PREV ) {
 
-                } else {
+                // Snap point keywords resolve to a snap point, which must not be offset, or snapped again.
+                position = getAdjacentSnapPoint( position === norm.SNAP_NEXT, $container, axis, options, queueWrapper, scrollMode );
+                isSnapPoint = true;
 
-                    if ( position === "top" ) position = 0;
-                    if ( position === "bottom" ) position = lib.getScrollMaximum( $container, axis );
-                    if ( position === "left" || position === "right" ) throw new Error( "Desired position " + position + "is inconsistent with axis option " + axis );
+            } else {
 
+                // Deal with +=, -= relative position prefixes
+                prefix = position.slice( 0, 2 );
+                if ( prefix === "+=" || prefix === "-=" ) {
+                    position = $.trim( position.slice( 2 ) );
+                    sign = prefix === "+=" ? 1 : -1;
+                    isRelative = true;
+                    basePosition = getBasePosition( $container, axis, options, queueWrapper, scrollMode );
                 }
 
-            }
+                // Resolve the expression (keywords, numbers, px, % and other units). An empty string is left as it is,
+                // and makes the axis ignored.
+                if ( position !== "" ) position = evaluatePositionExpression( position, $container, axis, options, origPositionArg );
 
-            // Convert any remaining numeric string (e.g. "100") to a number
-            if ( lib.isString( position ) && $.isNumeric( position ) ) position = parseFloat( position );
+            }
 
         }
 
         if ( lib.isNumber( position ) ) {
 
+            // Apply the offset option to absolute positions. Relative moves are left alone: they are based on a
+            // position which has been offset already. The position of an element has been offset already, too (see
+            // getAlignedElementPosition()). A function offset is applied later on, when the animation starts (see
+            // lib.addScrollAnimation()).
+            if ( !isRelative && !isSnapPoint && !isElementPosition && !$.isFunction( options.offset ) ) position -= options.offset[axis];
+
+            // Flag the axis for an offset function, which is applied when the animation starts
+            if ( isRelative || isSnapPoint ) {
+                normalized.offsetExempt = {};
+                normalized.offsetExempt[axis] = true;
+            }
+
             // Calculate the absolute position. Explicit rounding is required because scrollTop/scrollLeft cuts off
             // fractional pixels, rather than rounding them.
             position = Math.round( basePosition + sign * position );
-            normalized[axis] = limitToScrollRange( position, $container, axis );
+            normalized[axis] = norm.limitToScrollRange( position, $container, axis );
+
+            if ( options.snap && !isSnapPoint ) normalized[axis] = getNearestSnapPoint( normalized[axis], $container, axis, options );
 
         } else if ( isUndefinedPositionValue( position ) ) {
             // Ignore axis, unless we are in merge mode and a previous target value can be extracted from the queue.
@@ -259,76 +661,146 @@
      *
      * - If the position is passed in as a primitive (single axis), the axis defaults to "vertical".
      * - If the position is passed in as a primitive but has an implicit axis, that axis becomes the default (positions
-     *   "top", "bottom", "left", "right")
+     *   "top", "bottom", "left", "right"; the logical "start", "end" don't imply an axis)
      * - If the position is passed in as a hash, with both axes specified, the axis defaults to "both".
      * - If the position is passed in as a hash with just one axis specified, the axis defaults to "vertical" or
      *   "horizontal", depending on the position property.
+     * - If the position is a target element (DOM element, jQuery set, selector string), the axis defaults to "both".
+     * - If the position is a list of waypoints, the axes are derived from each waypoint, unless the axis option is set.
      *
      * The options hash is normalized in the following ways:
      *
-     * - It is converted to canonical axis names.
+     * - A feel preset is expanded into the options it stands for, unless they are set explicitly. See
+     *   applyFeelOption().
+     * - It is converted to canonical axis names. The logical axis names "inline" and "block" are resolved according to
+     *   the writing mode of the container. If the container is not passed in, a horizontal writing mode is assumed.
      * - The lockSpeedBelow option is set to a number (needed for values such as "off", or false)
-     * - The properties `queue`, `ignoreUser`, `lockSpeedBelow` and `duration` are set to their default values when not
-     *   specified.
+     * - The speed option is set to a number, 0 if it is off. The global default in $.scrollable.speed only applies if
+     *   neither a speed nor a duration has been specified. The minDuration and maxDuration options are validated, and
+     *   set to their defaults when not specified.
+     * - A duration function is moved to the private _durationFunc property, because jQuery would replace it with the
+     *   default duration. It is called when the animation starts.
+     * - An easing or a duration which is set per axis, with a hash, is converted to a hash with canonical axis names,
+     *   { vertical: ..., horizontal: ... }. A missing axis is set to the default ("swing", or the default duration).
+     * - The align option is converted to a hash of alignments per axis, { vertical: ..., horizontal: ... }.
+     * - The offset option is converted to a hash of numbers per axis, unless it is a function. A function is left as
+     *   it is.
+     * - The snap option is validated. A string with a px value is converted to a number.
+     * - The signal option is validated. See validateSignalOption().
+     * - The physics option is validated, and the parameters of the simulation are filled in with their defaults.
+     * - For a list of waypoints, the path option is validated, and set to "linear" if it is missing. Otherwise, it is
+     *   removed. Waypoints can't be combined with physics, or with an easing or duration per axis.
+     * - The reducedMotion option is validated, and set to the default in $.scrollable.reducedMotion if it is missing.
+     * - The properties `queue`, `ignoreUser`, `lockSpeedBelow`, `align`, `offset` and `duration` are set to their
+     *   default values when not specified.
      *
      * Does not touch the original hash, returns a separate object instead.
      *
      * If no options hash is provided, the defaults are returned.
      *
      * @param   {Object|undefined}      options
-     * @param   {number|string|Object}  [position]  you can omit the position when not dealing with axes, e.g. when
-     *                                              handling stopScroll options
+     * @param   {number|string|Object|HTMLElement|jQuery|Array} [position]  you can omit the position when not
+     *                                                                      dealing with axes, e.g. when handling
+     *                                                                      stopScroll options
+     * @param   {jQuery}                [$container]  must be normalized. Determines the writing mode, for logical
+     *                                                axis names
      * @returns {Object}
      */
-    norm.normalizeOptions = function ( options, position ) {
+    norm.normalizeOptions = function ( options, position, $container ) {
 
         var hasX, hasY,
             axisDefault = norm.defaults.axis;
 
         // Normalize the axis property names
-        options = options ? normalizeAxisProperty( options ) : {};
+        options = options ? normalizeAxisProperty( options, $container ) : {};
+
+        // A feel preset provides defaults for the timing options. Options which are set explicitly take precedence.
+        if ( options.feel !== undefined ) options = applyFeelOption( options );
 
         // Determine the axis default value
         if ( $.isPlainObject( position ) ) {
 
-            position = normalizeAxisProperty( position );
+            position = normalizeAxisProperty( position, $container );
             hasX = !isUndefinedPositionValue( position[norm.HORIZONTAL] ) && position[norm.HORIZONTAL] !== norm.IGNORE_AXIS;
             hasY = !isUndefinedPositionValue( position[norm.VERTICAL] ) && position[norm.VERTICAL] !== norm.IGNORE_AXIS;
 
             axisDefault = ( hasX && hasY ) ? norm.BOTH_AXES : hasX ? norm.HORIZONTAL : norm.VERTICAL;
 
-        } else if ( lib.isString( position ) ) {
+        } else if ( norm.isElementTarget( position ) || $.isArray( position ) ) {
 
-            position = position.toLowerCase();
+            axisDefault = norm.BOTH_AXES;
 
-            if ( position === "top" || position === "bottom" ) {
-                axisDefault = norm.VERTICAL;
-            } else if ( position === "left" || position === "right" ) {
-                axisDefault = norm.HORIZONTAL;
-            }
+        } else if ( lib.isString( position ) ) {
+
+            axisDefault = getKeywordAxis( position ) || axisDefault;
 
         }
 
+        // For a position function, the axis default can only be determined once the function has been called. See
+        // norm.normalizePosition().
+        if ( $.isFunction( position ) && options.axis === undefined ) options._axisFromPosition = true;
+
+        // Likewise, the axes of waypoints are derived from each waypoint. See normalizeWaypoints().
+        if ( $.isArray( position ) && options.axis === undefined ) options._axisFromPosition = true;
+
         options.lockSpeedBelow = normalizeSpeedLockThreshold( options );
+        options.speed = normalizeSpeedOption( options );
+        options.minDuration = normalizeDurationLimit( options, "minDuration" );
+        options.maxDuration = normalizeDurationLimit( options, "maxDuration" );
+
+        if ( $.isFunction( options.duration ) ) {
+            options._durationFunc = options.duration;
+            delete options.duration;
+        }
+
+        if ( $.isPlainObject( options.easing ) ) options.easing = normalizePerAxisOption( options.easing, "easing", "swing", lib.isString, $container );
+        if ( $.isPlainObject( options.duration ) ) options.duration = normalizePerAxisOption( options.duration, "duration", $.scrollable.defaultDuration, isDurationValue, $container );
+
+        options.align = normalizeAlignOption( options.align, $container );
+        if ( !$.isFunction( options.offset ) ) options.offset = norm.normalizeOffset( options.offset, "offset", $container );
+        options.pageOverlap = norm.normalizeOffset( options.pageOverlap, "pageOverlap", $container );
+
+        if ( options.waitFor !== undefined ) options.waitFor = normalizeWaitForOption( options.waitFor, options );
+        if ( options.snap ) options.snap = normalizeSnapOption( options.snap );
+        if ( options.physics ) options.physics = norm.normalizePhysicsOption( options.physics, $container );
+
+        if ( $.isArray( position ) ) {
+            options.path = normalizePathOption( options );
+        } else {
+            delete options.path;
+        }
+
+        options.engine = normalizeEngineOption( options );
+        options.reducedMotion = normalizeReducedMotionOption( options );
 
         validateIgnoreUserOption( options );
+        if ( options.signal !== undefined ) validateSignalOption( options );
 
         // Apply defaults where applicable
-        return $.extend( {}, norm.defaults, { axis: axisDefault, duration: $.scrollable.defaultDuration }, options );
+        return $.extend( {}, norm.defaults, { axis: axisDefault, duration: $.scrollable.defaultDuration, inheritVelocity: $.scrollable.inheritVelocity }, options );
 
     };
 
     /**
      * Accepts any of the recognized names for an axis and returns the canonical axis name.
      *
+     * The logical axis names "inline" and "block" depend on the writing mode of the container. In a horizontal writing
+     * mode, the inline axis is horizontal and the block axis is vertical. In a vertical writing mode, it is the other
+     * way round. If the container is not passed in, a horizontal writing mode is assumed.
+     *
      * Throws an error if the argument is not recognized as an axis name.
      *
      * @param   {string} name
+     * @param   {jQuery} [$container]  must be normalized
      * @returns {string}
      */
-    norm.normalizeAxisName = function ( name ) {
+    norm.normalizeAxisName = function ( name, $container ) {
+        var isVerticalWritingMode;
 
-        if ( lib.isInArray( name, altAxisNamesV ) ) {
+        if ( lib.isInArray( name, logicalAxisNames ) ) {
+            isVerticalWritingMode = !!$container && lib.isVerticalWritingMode( $container );
+            name = ( name === "inline" ) !== isVerticalWritingMode ? norm.HORIZONTAL : norm.VERTICAL;
+        } else if ( lib.isInArray( name, altAxisNamesV ) ) {
             name = norm.VERTICAL;
         } else if ( lib.isInArray( name, altAxisNamesH ) ) {
             name = norm.HORIZONTAL;
@@ -343,84 +815,919 @@
     };
 
     /**
-     * Verifies that the value of the ignoreUserOption is valid, if it is set. Throws an error if the value isn't
-     * recognized.
+     * Returns whether a position argument designates a target element, rather than a scroll position. That is the case
+     * for a DOM element, a jQuery set, and a string which can't be interpreted as a position value (it is then treated
+     * as a selector).
      *
-     * Falsy values are ok, no matter of which type.
+     * ATTN For primitive values, elements and jQuery sets only. Returns false for a position hash.
      *
-     * @param {Object} options
+     * @param   {*}       position
+     * @returns {boolean}
      */
-    function validateIgnoreUserOption ( options ) {
-        var ignoreUser = options && options.ignoreUser;
-        if ( ignoreUser && !( ignoreUser === true || ignoreUser === norm.IGNORE_USER_SCROLL_ONLY || ignoreUser === norm.IGNORE_USER_CLICK_TOUCH_ONLY ) ) throw new Error( 'Invalid ignoreUser option value "' + ignoreUser + '"');
+    norm.isElementTarget = function ( position ) {
+        return lib.isElement( position ) || position instanceof $ || ( lib.isString( position ) && !isPositionString( position ) );
+    };
+
+    /**
+     * Normalizes the waitFor option and returns it as an array of thenables, or undefined if there is nothing to wait
+     * for. Accepts a single thenable or an array of them. Throws an error if any of the values is not a thenable, or if
+     * the animation is not queued (queue: false).
+     *
+     * @param   {Object|Object[]} waitFor
+     * @param   {Object}          options
+     * @returns {Object[]|undefined}
+     */
+    function normalizeWaitForOption ( waitFor, options ) {
+        var thenables = $.isArray( waitFor ) ? waitFor.slice() : [ waitFor ];
+
+        $.each( thenables, function ( index, thenable ) {
+            if ( !( thenable && $.isFunction( thenable.then ) ) ) throw new Error( "Invalid waitFor option. Expected a promise or other thenable, or an array of them, but got " + $.type( thenable ) );
+        } );
+
+        if ( thenables.length && options.queue === false ) throw new Error( "The waitFor option can't be used with queue: false" );
+
+        return thenables.length ? thenables : undefined;
     }
 
     /**
-     * Returns the scroll mode after examining the animation options.
+     * Normalizes the snap option and returns it. Accepts `true` (for the CSS snap points of the container), a grid size
+     * as a positive number or px string, or a function. Throws an error if the value is not recognized.
      *
-     * @param   {Object} animationOptions
-     * @returns {string}
+     * @param   {boolean|number|string|Function} snap
+     * @returns {boolean|number|Function}
      */
-    norm.getScrollMode = function ( animationOptions ) {
-        return animationOptions.append ? norm.MODE_APPEND : animationOptions.merge ? norm.MODE_MERGE : norm.MODE_REPLACE;
-    };
+    function normalizeSnapOption ( snap ) {
+        var gridSize;
+
+        if ( snap === true || $.isFunction( snap ) ) return snap;
+
+        gridSize = lib.isString( snap ) ? parseFloat( snap ) : snap;
+        if ( lib.isString( snap ) && !/^\s*\d*\.?\d+(?:px)?\s*$/i.test( snap ) ) gridSize = NaN;
+
+        if ( !lib.isNumber( gridSize ) || gridSize <= 0 ) throw new Error( 'Invalid snap option "' + snap + '". Expected true, a positive grid size, or a function' );
+        return gridSize;
+    }
 
     /**
-     * Makes sure the position is within the range which can be scrolled to. The container element is expected to be
-     * normalized.
+     * Expands the feel option into the options of the preset it names, and returns a separate, modified options hash.
+     * The presets are defined in $.scrollable.feels. Options which are set explicitly take precedence over the preset.
      *
-     * @param   {number} position
-     * @param   {jQuery} $container
-     * @param   {string} axis        "vertical" or "horizontal"
-     * @returns {number}
+     * Throws an error if the preset doesn't exist.
+     *
+     * @param   {Object} options
+     * @returns {Object}
      */
-    function limitToScrollRange ( position, $container, axis ) {
+    function applyFeelOption ( options ) {
+        var feels = $.scrollable.feels || {},
+            preset = lib.isString( options.feel ) && feels.hasOwnProperty( options.feel ) ? feels[options.feel] : undefined;
 
-        position = Math.min( position, lib.getScrollMaximum( $container, axis ) );
-        position = Math.max( position, 0 );
+        if ( !$.isPlainObject( preset ) ) throw new Error( 'Unknown feel "' + options.feel + '". Expected one of the presets in $.scrollable.feels: ' + $.map( feels, function ( value, name ) { return name; } ).join( ", " ) );
 
-        return position;
+        options = $.extend( {}, preset, options );
+        delete options.feel;
 
+        return options;
     }
 
     /**
-     * Returns the speed lock threshold as a number, in px, based on the current options and the global default settings.
+     * Validates the control points of a cubic Bézier curve, for an easing (see $.scrollable.cubicBezier()), and
+     * returns them as an array of numbers. As in CSS, the x values must be between 0 and 1. The y values may lie
+     * outside of that range, for an easing which overshoots.
      *
-     * If the distance covered by the scroll animation is below the threshold, the duration is reduced to keep the speed
-     * of the animation from falling further.
+     * Throws an error if the points are invalid.
      *
-     * Falsy and non-numeric values (e.g. lockSpeedBelow: "off") are returned as 0.
+     * @param   {Array} points  x1, y1, x2, y2
+     * @returns {number[]}
+     */
+    norm.normalizeCubicBezierPoints = function ( points ) {
+        var isValid = points.length === 4;
+
+        $.each( points, function ( index, value ) {
+            isValid = isValid && lib.isNumber( value ) && isFinite( value ) && ( index % 2 || ( value >= 0 && value <= 1 ) );
+        } );
+
+        if ( !isValid ) throw new Error( "Invalid control points for a cubic Bézier easing: " + points.join( ", " ) + ". Expected four numbers, with x1 and x2 between 0 and 1" );
+
+        return points.slice();
+    };
+
+    /**
+     * Normalizes the path option for a list of waypoints and returns it. The path defaults to "linear".
+     *
+     * Throws an error if the value is not recognized, or if the options contain anything the path can't be combined
+     * with: the physics option, or an easing or duration per axis. The path is a single movement, with an easing and
+     * a duration of its own.
      *
      * @param   {Object} options
-     * @returns {number}
+     * @returns {string}
      */
-    function normalizeSpeedLockThreshold ( options ) {
-        var threshold = options.lockSpeedBelow !== undefined ? options.lockSpeedBelow : $.scrollable.lockSpeedBelow;
+    function normalizePathOption ( options ) {
+        var path = options.path === undefined ? norm.PATH_LINEAR : options.path;
 
-        threshold = parseFloat( threshold );
-        return isNaN( threshold ) ? 0 : threshold;
+        if ( !lib.isInArray( path, [ norm.PATH_LINEAR, norm.PATH_CURVE ] ) ) throw new Error( 'Invalid path option "' + path + '". Expected "' + norm.PATH_LINEAR + '" or "' + norm.PATH_CURVE + '"' );
+        if ( options.physics ) throw new Error( "Waypoints can't be combined with the physics option" );
+        if ( $.isPlainObject( options.easing ) || $.isPlainObject( options.duration ) ) throw new Error( "Waypoints can't be combined with an easing or duration per axis" );
+
+        return path;
     }
 
     /**
-     * Takes a hash of options or positions and returns a copy, with axis names normalized.
+     * Normalizes the engine option and returns it. If the option is not set, the default in $.scrollable.engine is
+     * used. Throws an error if the value is not recognized.
      *
-     * @param   {Object} inputHash
-     * @returns {Object}
+     * The native engine needs a queue, so it can't be used with queue: false. Nor can it follow a physics simulation,
+     * or a path through waypoints. If it has been requested explicitly in these cases, an error is thrown. If it has
+     * been set up as the default, the animation falls back to the jQuery engine (or to the "raf" engine in jQuery
+     * slim).
+     *
+     * The jQuery engine requires $.fn.animate, which is missing in jQuery slim. An error is thrown if it is requested
+     * there.
+     *
+     * @param   {Object} options
+     * @returns {string}
      */
-    function normalizeAxisProperty ( inputHash ) {
-        var normalized = {};
+    function normalizeEngineOption ( options ) {
+        var isExplicit = options.engine !== undefined,
+            engine = isExplicit ? options.engine : $.scrollable.engine;
 
-        $.each( inputHash, function ( key, value ) {
-            if ( lib.isInArray( key, altAxisNames ) ) {
-                normalized[norm.normalizeAxisName( key )] = value;
-            } else if ( key === "axis" ) {
-                normalized[key] = norm.normalizeAxisName( value );
-            } else {
-                normalized[key] = value;
-            }
-        } );
+        if ( !lib.isInArray( engine, [ norm.ENGINE_JQUERY, norm.ENGINE_RAF, norm.ENGINE_NATIVE, norm.ENGINE_AUTO ] ) ) throw new Error( 'Invalid engine option "' + engine + '". Expected "' + norm.ENGINE_JQUERY + '", "' + norm.ENGINE_RAF + '", "' + norm.ENGINE_NATIVE + '" or "' + norm.ENGINE_AUTO + '"' );
 
-        return normalized;
+        if ( engine === norm.ENGINE_NATIVE && ( options.queue === false || options.physics || options.path ) ) {
+            if ( isExplicit ) throw new Error( 'The engine option "' + norm.ENGINE_NATIVE + '" can\'t be used with ' + ( options.physics ? 'the physics option' : options.path ? 'waypoints' : 'queue: false' ) );
+            engine = $.fn.animate ? norm.ENGINE_JQUERY : norm.ENGINE_RAF;
+        }
+
+        if ( engine === norm.ENGINE_JQUERY && !$.fn.animate ) throw new Error( 'The engine option "' + norm.ENGINE_JQUERY + '" requires $.fn.animate, which is not available (jQuery slim build?). Use "' + norm.ENGINE_RAF + '" instead' );
+
+        return engine;
+    }
+
+    /**
+     * Normalizes the reducedMotion option and returns it. If the option is not set, the default in
+     * $.scrollable.reducedMotion is used. Throws an error if the value is not recognized.
+     *
+     * @param   {Object} options
+     * @returns {string}
+     */
+    function normalizeReducedMotionOption ( options ) {
+        var policy = options.reducedMotion !== undefined ? options.reducedMotion : $.scrollable.reducedMotion;
+
+        if ( !lib.isInArray( policy, [ norm.REDUCED_MOTION_AUTO, norm.REDUCED_MOTION_JUMP, norm.REDUCED_MOTION_SHORTEN, norm.REDUCED_MOTION_IGNORE ] ) ) throw new Error( 'Invalid reducedMotion option "' + policy + '". Expected "' + norm.REDUCED_MOTION_AUTO + '", "' + norm.REDUCED_MOTION_JUMP + '", "' + norm.REDUCED_MOTION_SHORTEN + '" or "' + norm.REDUCED_MOTION_IGNORE + '"' );
+
+        return policy;
+    }
+
+    /**
+     * Normalizes the physics option and returns it as a separate hash, with all parameters of the simulation filled in.
+     * Throws an error if the type of the simulation is not recognized, or if a parameter is invalid.
+     *
+     * - A spring (type "spring") has a stiffness, a damping and a mass. All of them must be positive numbers.
+     * - An inertial deceleration (type "decay") has a friction, which must be a positive number, and an initial
+     *   velocity in px/s. The velocity is returned as a hash per axis. It accepts the same formats as the offset option
+     *   (see norm.normalizeOffset()). A velocity of 0 means that it is not set.
+     *
+     * @param   {Object} physics
+     * @param   {jQuery} [$container]  must be normalized. Determines the writing mode, for logical axis names
+     * @returns {Object}
+     */
+    norm.normalizePhysicsOption = function ( physics, $container ) {
+        var normalized,
+            type = physics && physics.type;
+
+        if ( !$.isPlainObject( physics ) || !( type === norm.PHYSICS_SPRING || type === norm.PHYSICS_DECAY ) ) throw new Error( 'Invalid physics option. Expected a hash with the type "' + norm.PHYSICS_SPRING + '" or "' + norm.PHYSICS_DECAY + '"' );
+
+        normalized = $.extend( {}, physicsDefaults[type], physics );
+
+        $.each( physicsDefaults[type], function ( name ) {
+            var value = normalized[name];
+            if ( !lib.isNumber( value ) || value <= 0 ) throw new Error( 'Invalid physics option. The ' + name + ' must be a positive number, but got "' + value + '"' );
+        } );
+
+        if ( type === norm.PHYSICS_DECAY ) normalized.velocity = norm.normalizeOffset( normalized.velocity, "physics.velocity", $container );
+
+        return normalized;
+    };
+
+    /**
+     * Verifies that the signal option is an AbortSignal, or an object with the same interface: an `aborted` flag and an
+     * `addEventListener()` method. Throws an error if it is not, or if the animation is not queued (queue: false).
+     *
+     * @param {Object} options
+     */
+    function validateSignalOption ( options ) {
+        var signal = options.signal;
+
+        if ( !( signal && typeof signal.aborted === "boolean" && $.isFunction( signal.addEventListener ) ) ) throw new Error( "Invalid signal option. Expected an AbortSignal, or an object with an aborted flag and an addEventListener method, but got " + $.type( signal ) );
+        if ( options.queue === false ) throw new Error( "The signal option can't be used with queue: false" );
+    }
+
+    /**
+     * Verifies that the value of the ignoreUserOption is valid, if it is set. Throws an error if the value isn't
+     * recognized.
+     *
+     * Falsy values are ok, no matter of which type.
+     *
+     * @param {Object} options
+     */
+    function validateIgnoreUserOption ( options ) {
+        var ignoreUser = options && options.ignoreUser;
+        if ( ignoreUser && !( ignoreUser === true || ignoreUser === norm.IGNORE_USER_SCROLL_ONLY || ignoreUser === norm.IGNORE_USER_CLICK_TOUCH_ONLY ) ) throw new Error( 'Invalid ignoreUser option value "' + ignoreUser + '"');
+    }
+
+    /**
+     * Returns the scroll mode after examining the animation options.
+     *
+     * @param   {Object} animationOptions
+     * @returns {string}
+     */
+    norm.getScrollMode = function ( animationOptions ) {
+        return animationOptions.append ? norm.MODE_APPEND : animationOptions.merge ? norm.MODE_MERGE : norm.MODE_REPLACE;
+    };
+
+    /**
+     * Returns an offset as a hash of numbers, per axis: { vertical: ..., horizontal: ... }.
+     *
+     * Accepts a number, or a string which evaluates to a number (e.g. "60px"), for both axes. Also accepts a hash with
+     * (any of the recognized) axis names. Missing axes, and undefined or null values, are set to 0.
+     *
+     * Throws an error if an offset value isn't numeric.
+     *
+     * Other options in the same format, like pageOverlap, can be normalized here as well. Pass in the name of the
+     * option, for use in error messages.
+     *
+     * @param   {number|string|Object|undefined|null} offset
+     * @param   {string}                              [optionName="offset"]
+     * @param   {jQuery}                              [$container]  must be normalized. Determines the writing mode,
+     *                                                              for logical axis names
+     * @returns {Coordinates}
+     */
+    norm.normalizeOffset = function ( offset, optionName, $container ) {
+        var normalized = {};
+
+        optionName || ( optionName = "offset" );
+
+        normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = 0;
+
+        if ( $.isPlainObject( offset ) ) {
+
+            $.each( normalizeAxisProperty( offset, $container ), function ( axis, value ) {
+                if ( axis === norm.BOTH_AXES ) {
+                    normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = normalizeOffsetValue( value, optionName );
+                } else if ( axis === norm.HORIZONTAL || axis === norm.VERTICAL ) {
+                    normalized[axis] = normalizeOffsetValue( value, optionName );
+                } else {
+                    throw new Error( 'Invalid ' + optionName + ' option. Unrecognized axis name "' + axis + '"' );
+                }
+            } );
+
+        } else {
+            normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = normalizeOffsetValue( offset, optionName );
+        }
+
+        return normalized;
+    };
+
+    /**
+     * Makes sure the position is within the range which can be scrolled to. The container element is expected to be
+     * normalized.
+     *
+     * @param   {number} position
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @returns {number}
+     */
+    norm.limitToScrollRange = function ( position, $container, axis ) {
+
+        position = Math.min( position, lib.getScrollMaximum( $container, axis ) );
+        position = Math.max( position, 0 );
+
+        return position;
+
+    };
+
+    /**
+     * Converts a single offset value to a number. Undefined and null are returned as 0. Throws an error if the value
+     * isn't numeric (with or without a "px" unit).
+     *
+     * @param   {number|string|undefined|null} value
+     * @param   {string}                       optionName  for use in error messages
+     * @returns {number}
+     */
+    function normalizeOffsetValue ( value, optionName ) {
+        var numeric = value;
+
+        if ( value === undefined || value === null ) return 0;
+
+        if ( lib.isString( numeric ) && numeric.slice( -2 ).toLowerCase() === "px" ) numeric = numeric.slice( 0, -2 );
+        if ( !$.isNumeric( numeric ) ) throw new Error( 'Invalid ' + optionName + ' value "' + value + '"' );
+
+        return parseFloat( numeric );
+    }
+
+    /**
+     * Returns the scroll position for a target element, aligned with the container as requested. The position is
+     * limited to the scroll range only later on, in normalizePositionForAxis().
+     *
+     * For "nearest" alignment, the container scrolls as little as possible, based on the position where the scroll
+     * movement starts (ie, the current position or, in append and merge mode, the target of preceding scrolls):
+     *
+     * - If the element is fully visible, or if it covers the visible area completely, the start position is returned.
+     * - Otherwise, the edge of the element which is closer to the visible area is aligned with the container. If the
+     *   element is larger than the container, it is the other edge.
+     *
+     * The rules mirror those of the native element.scrollIntoView( { block: "nearest" } ).
+     *
+     * A static offset option is applied here, too (a function offset is applied when the animation starts). For
+     * "nearest" alignment, the offset reduces the visible area at its start, so an element which is fully visible below
+     * the offset doesn't cause a scroll movement. For other alignments, it is subtracted from the aligned position.
+     *
+     * With the cssOffsets option, the element is expanded by its scroll-margin, and the visible area of the container
+     * is reduced by its scroll-padding, before the alignment is calculated. That's how browsers handle these properties
+     * when they jump to an anchor.
+     *
+     * The optional shift argument is the distance by which the element is going to move inside the container before
+     * the scroll movement ends (e.g. because a nested scroll container is scrolled as well). It is subtracted from the
+     * current element position.
+     *
+     * @param   {jQuery}             $target
+     * @param   {jQuery}             $container
+     * @param   {string}             axis          "vertical" or "horizontal"
+     * @param   {Object}             options       must be normalized
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @param   {string}             scrollMode    "replace", "append", "merge"
+     * @param   {number}             [shift=0]
+     * @returns {number}
+     */
+    function getAlignedElementPosition ( $target, $container, axis, options, queueWrapper, scrollMode, shift ) {
+        var basePosition, isBeforeStart, isAfterEnd, isLarger, endAligned, scrollPadding, scrollMargin,
+            align = options.align[axis],
+            offset = $.isFunction( options.offset ) ? 0 : options.offset[axis],
+            startAligned = lib.getElementScrollPosition( $target, $container, axis ) - ( shift || 0 ),
+            elementSize = lib.getElementSize( $target, axis ),
+            containerSize = lib.getContainerSize( $container, axis );
+
+        if ( options.cssOffsets ) {
+            scrollPadding = lib.getScrollPadding( $container, axis );
+            scrollMargin = lib.getScrollMargin( $target, axis );
+
+            // The edges are physical (top, left at the start). On a reversed axis, the start is at the bottom or right.
+            if ( lib.isReversedAxis( $container, axis ) ) {
+                scrollPadding = { start: scrollPadding.end, end: scrollPadding.start };
+                scrollMargin = { start: scrollMargin.end, end: scrollMargin.start };
+            }
+
+            startAligned -= scrollMargin.start + scrollPadding.start;
+            elementSize += scrollMargin.start + scrollMargin.end;
+            containerSize -= scrollPadding.start + scrollPadding.end;
+        }
+
+        endAligned = startAligned + elementSize - containerSize;
+
+        if ( align === norm.ALIGN_CENTER ) return ( startAligned + endAligned ) / 2 - offset;
+        if ( align === norm.ALIGN_END ) return endAligned - offset;
+        if ( align !== norm.ALIGN_NEAREST ) return startAligned - offset;
+
+        basePosition = getBasePosition( $container, axis, options, queueWrapper, scrollMode );
+
+        // The offset covers the start of the visible area
+        isBeforeStart = startAligned < basePosition + offset;
+        isAfterEnd = startAligned + elementSize > basePosition + containerSize;
+        isLarger = elementSize > containerSize - offset;
+
+        return ( isBeforeStart === isAfterEnd ) ? basePosition : ( isBeforeStart !== isLarger ) ? startAligned - offset : endAligned;
+    }
+
+    /**
+     * Returns the align option as a hash of alignments per axis, { vertical: ..., horizontal: ... }. Accepts a single
+     * alignment for both axes, or a hash with (any of the recognized) axis names. Missing axes default to "start".
+     *
+     * Throws an error if an alignment value isn't recognized.
+     *
+     * @param   {string|Object|undefined} align
+     * @param   {jQuery}                  [$container]  must be normalized. Determines the writing mode, for logical
+     *                                                  axis names
+     * @returns {Object}
+     */
+    function normalizeAlignOption ( align, $container ) {
+        var normalized = {};
+
+        normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = norm.ALIGN_START;
+
+        if ( $.isPlainObject( align ) ) {
+
+            $.each( normalizeAxisProperty( align, $container ), function ( axis, value ) {
+                if ( axis === norm.BOTH_AXES ) {
+                    normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = validateAlignValue( value );
+                } else if ( axis === norm.HORIZONTAL || axis === norm.VERTICAL ) {
+                    normalized[axis] = validateAlignValue( value );
+                } else {
+                    throw new Error( 'Invalid align option. Unrecognized axis name "' + axis + '"' );
+                }
+            } );
+
+        } else if ( align ) {
+            normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = validateAlignValue( align );
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Verifies that an alignment value is valid, and returns it. Throws an error if the value isn't recognized.
+     *
+     * @param   {string} value
+     * @returns {string}
+     */
+    function validateAlignValue ( value ) {
+        var valid = value === norm.ALIGN_START || value === norm.ALIGN_CENTER || value === norm.ALIGN_END || value === norm.ALIGN_NEAREST;
+        if ( !valid ) throw new Error( 'Invalid align option value "' + value + '"' );
+        return value;
+    }
+
+    /**
+     * Returns the speed lock threshold as a number, in px, based on the current options and the global default settings.
+     *
+     * If the distance covered by the scroll animation is below the threshold, the duration is reduced to keep the speed
+     * of the animation from falling further.
+     *
+     * Falsy and non-numeric values (e.g. lockSpeedBelow: "off") are returned as 0.
+     *
+     * @param   {Object} options
+     * @returns {number}
+     */
+    function normalizeSpeedLockThreshold ( options ) {
+        var threshold = options.lockSpeedBelow !== undefined ? options.lockSpeedBelow : $.scrollable.lockSpeedBelow;
+
+        threshold = parseFloat( threshold );
+        return isNaN( threshold ) ? 0 : threshold;
+    }
+
+    /**
+     * Returns the speed of the scroll movement in px/s, or 0 if the duration should not be derived from a speed.
+     *
+     * The speed option takes precedence over the duration option. The default speed, in $.scrollable.speed, only
+     * applies if the duration is not specified, either. Falsy values turn the speed off. Throws an error for any other
+     * value which is not a positive number.
+     *
+     * @param   {Object} options
+     * @returns {number}
+     */
+    function normalizeSpeedOption ( options ) {
+        var speed = options.speed !== undefined ? options.speed : options.duration === undefined ? $.scrollable.speed : 0;
+
+        if ( !speed ) return 0;
+        if ( !lib.isNumber( speed ) || speed < 0 ) throw new Error( 'Invalid speed option "' + speed + '". Expected a number (in px/s)' );
+
+        return speed;
+    }
+
+    /**
+     * Returns the minDuration or maxDuration option, falling back to the default in $.scrollable. Throws an error if the
+     * value is not a number of ms (0 or greater). Infinity is fine.
+     *
+     * @param   {Object} options
+     * @param   {string} name     "minDuration" or "maxDuration"
+     * @returns {number}
+     */
+    function normalizeDurationLimit ( options, name ) {
+        var limit = options[name] !== undefined ? options[name] : $.scrollable[name];
+
+        if ( !lib.isNumber( limit ) || limit < 0 ) throw new Error( 'Invalid ' + name + ' option "' + limit + '". Expected a number (in ms) of 0 or greater' );
+
+        return limit;
+    }
+
+    /**
+     * Normalizes an option which is set per axis, with a hash, and returns it as a hash of values per axis:
+     * { vertical: ..., horizontal: ... }. Any of the recognized axis names can be used in the input hash. Missing axes,
+     * and undefined values, are set to the default value.
+     *
+     * Throws an error if the hash contains an unrecognized axis name, or a value which doesn't pass validation.
+     *
+     * @param   {Object}   hash
+     * @param   {string}   optionName  for use in error messages
+     * @param   {*}        defaultValue
+     * @param   {Function} isValid     validates a single value, returns a boolean
+     * @param   {jQuery}   [$container]  must be normalized. Determines the writing mode, for logical axis names
+     * @returns {Object}
+     */
+    function normalizePerAxisOption ( hash, optionName, defaultValue, isValid, $container ) {
+        var normalized = {};
+
+        normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = defaultValue;
+
+        $.each( normalizeAxisProperty( hash, $container ), function ( axis, value ) {
+            if ( value === undefined ) return;
+            if ( !isValid( value ) ) throw new Error( 'Invalid ' + optionName + ' option. Unrecognized value "' + value + '" for the ' + axis + ' axis' );
+
+            if ( axis === norm.BOTH_AXES ) {
+                normalized[norm.HORIZONTAL] = normalized[norm.VERTICAL] = value;
+            } else if ( axis === norm.HORIZONTAL || axis === norm.VERTICAL ) {
+                normalized[axis] = value;
+            } else {
+                throw new Error( 'Invalid ' + optionName + ' option. Unrecognized axis name "' + axis + '"' );
+            }
+        } );
+
+        return normalized;
+    }
+
+    /**
+     * Returns whether a value is acceptable as a duration: a number of ms (0 or greater), or a string, for a named
+     * duration like "slow".
+     *
+     * @param   {*}       value
+     * @returns {boolean}
+     */
+    function isDurationValue ( value ) {
+        return ( lib.isNumber( value ) && value >= 0 ) || lib.isString( value );
+    }
+
+    /**
+     * Takes a hash of options or positions and returns a copy, with axis names normalized.
+     *
+     * @param   {Object} inputHash
+     * @param   {jQuery} [$container]  must be normalized. Determines the writing mode, for logical axis names
+     * @returns {Object}
+     */
+    function normalizeAxisProperty ( inputHash, $container ) {
+        var normalized = {};
+
+        $.each( inputHash, function ( key, value ) {
+            if ( lib.isInArray( key, altAxisNames ) ) {
+                normalized[norm.normalizeAxisName( key, $container )] = value;
+            } else if ( key === "axis" ) {
+                normalized[key] = norm.normalizeAxisName( value, $container );
+            } else {
+                normalized[key] = value;
+            }
+        } );
+
+        return normalized;
+    }
+
+    /**
+     * Returns whether a string is meant as a position value, rather than a selector. That is the case for the
+     * recognized formats (numeric, px, %, other units, keyword, expressions, with or without a relative "+=", "-="
+     * prefix). An empty string is regarded as a position value, too (an undefined one).
+     *
+     * Strings which begin like a numeric expression (with a digit, or a sign or a decimal point followed by a digit, or
+     * with "calc("), but are malformed, count as position values as well. They are not valid selectors anyway, and this
+     * way, they raise an "invalid position" error, rather than a selector error. Other strings only count as a
+     * position if they are a valid expression. So class selectors like ".section-4" and ids like "top-bar" remain
+     * selectors. See parsePositionExpression() for the syntax.
+     *
+     * @param   {string}  position
+     * @returns {boolean}
+     */
+    function isPositionString ( position ) {
+        var prefix;
+
+        position = $.trim( position.toLowerCase() );
+
+        prefix = position.slice( 0, 2 );
+        if ( prefix === "+=" || prefix === "-=" ) return true;
+
+        return position === "" || lib.isInArray( position, positionKeywords ) || expressionLookalikeRx.test( position ) || !!parsePositionExpression( position );
+    }
+
+    /**
+     * Parses a position expression and returns its terms, or undefined if the expression is invalid.
+     *
+     * An expression consists of one or more terms, joined by "+" or "-". A term is a number with an optional unit (px,
+     * %, em, rem, lh, vw, vh, page), or one of the keywords "top", "bottom", "left", "right", "start", "end". The first
+     * term may have a sign.
+     * The expression may be wrapped in "calc()". Whitespace is optional. Examples: "100", "-50px", "bottom - 200px",
+     * "50% + 2em", "calc(100vh - 3rem)".
+     *
+     * The expression is expected to be in lower case, and without a relative "+=", "-=" prefix.
+     *
+     * @param   {string} expression
+     * @returns {Array<{sign: number, value: (number|undefined), unit: string, keyword: (string|undefined)}>|undefined}
+     */
+    function parsePositionExpression ( expression ) {
+        var match,
+            terms = [],
+            calcMatch = /^calc\((.*)\)$/.exec( $.trim( expression ) ),
+            rest = $.trim( calcMatch ? calcMatch[1] : expression );
+
+        while ( rest.length ) {
+            match = expressionTermRx.exec( rest );
+
+            // Terms after the first one must be joined with an operator
+            if ( !match || ( terms.length && !match[1] ) ) return undefined;
+
+            terms.push( {
+                sign: match[1] === "-" ? -1 : 1,
+                value: match[4] ? undefined : parseFloat( match[2] ),
+                unit: match[3] || "",
+                keyword: match[4] || undefined
+            } );
+
+            rest = rest.slice( match[0].length );
+        }
+
+        return terms.length ? terms : undefined;
+    }
+
+    /**
+     * Evaluates a position expression for a given axis and returns the result in px. For the syntax, see
+     * parsePositionExpression().
+     *
+     * Percentages are relative to the scroll range on the axis. "bottom" and "right" resolve to the maximum scroll
+     * position, "top" and "left" to 0 - unless the axis is reversed (see lib.isReversedAxis()), in which case it is the
+     * other way round. "start" resolves to 0 and "end" to the maximum scroll position, on either axis. A page is the
+     * inner size of the container on the axis, ie the visible part of the content, minus the pageOverlap option. Other
+     * units are converted with lib.getCssUnitSize().
+     *
+     * Throws an error if the expression is invalid, or if a keyword doesn't match the axis.
+     *
+     * @param   {string} expression      in lower case, without a relative "+=", "-=" prefix
+     * @param   {jQuery} $container
+     * @param   {string} axis            "vertical" or "horizontal"
+     * @param   {Object} options         must be normalized
+     * @param   {*}      origPositionArg the original position argument, for error messages
+     * @returns {number}
+     */
+    function evaluatePositionExpression ( expression, $container, axis, options, origPositionArg ) {
+        var terms = parsePositionExpression( expression ),
+            total = 0;
+
+        if ( !terms ) throw new Error( "Invalid position argument " + origPositionArg );
+
+        $.each( terms, function ( index, term ) {
+            var value, isAtEnd;
+
+            if ( term.keyword === "start" || term.keyword === "end" ) {
+
+                value = term.keyword === "end" ? lib.getScrollMaximum( $container, axis ) : 0;
+
+            } else if ( term.keyword ) {
+
+                if ( getPhysicalKeywordAxis( term.keyword ) !== axis ) throw new Error( "Desired position " + term.keyword + " is inconsistent with axis option " + axis );
+
+                // Physical keywords are swapped on a reversed axis, where positions are measured from the right or bottom
+                isAtEnd = ( term.keyword === "right" || term.keyword === "bottom" ) !== lib.isReversedAxis( $container, axis );
+                value = isAtEnd ? lib.getScrollMaximum( $container, axis ) : 0;
+
+            } else if ( term.unit === "" || term.unit === "px" ) {
+                value = term.value;
+            } else if ( term.unit === "%" ) {
+                value = term.value * lib.getScrollMaximum( $container, axis ) / 100;
+            } else if ( term.unit === "page" ) {
+                value = term.value * Math.max( lib.getContainerSize( $container, axis ) - options.pageOverlap[axis], 0 );
+            } else {
+                value = term.value * lib.getCssUnitSize( $container, term.unit );
+            }
+
+            total += term.sign * value;
+        } );
+
+        return total;
+    }
+
+    /**
+     * Returns the axis implied by the keywords in a position string ("top", "bottom" imply the vertical axis, "left",
+     * "right" the horizontal one), or undefined if there are no such keywords, or if they are inconsistent. The logical
+     * keywords "start" and "end" don't imply an axis.
+     *
+     * @param   {string} position
+     * @returns {string|undefined}
+     */
+    function getKeywordAxis ( position ) {
+        var prefix,
+            axes = [],
+            terms;
+
+        position = $.trim( position.toLowerCase() );
+        prefix = position.slice( 0, 2 );
+        if ( prefix === "+=" || prefix === "-=" ) position = position.slice( 2 );
+
+        terms = parsePositionExpression( position ) || [];
+
+        $.each( terms, function ( index, term ) {
+            var axis = getPhysicalKeywordAxis( term.keyword );
+            if ( axis && !lib.isInArray( axis, axes ) ) axes.push( axis );
+        } );
+
+        return axes.length === 1 ? axes[0] : undefined;
+    }
+
+    /**
+     * Returns the snap point which is closest to a position. If there are no snap points, the position is returned
+     * unchanged. See getSnapPoints().
+     *
+     * @param   {number} position
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @param   {Object} options     must be normalized
+     * @returns {number}
+     */
+    function getNearestSnapPoint ( position, $container, axis, options ) {
+        var nearest = position,
+            minDistance = Infinity;
+
+        $.each( getSnapPoints( $container, axis, options ), function ( index, snapPoint ) {
+            var distance = Math.abs( snapPoint - position );
+            if ( distance < minDistance ) {
+                minDistance = distance;
+                nearest = snapPoint;
+            }
+        } );
+
+        return nearest;
+    }
+
+    /**
+     * Returns the next snap point after, or the previous one before, the position where the scroll movement starts.
+     * That is the current position or, in append and merge mode, the target of preceding scrolls. If there is no snap
+     * point in the requested direction, the start position is returned.
+     *
+     * Snap points within a pixel of the start position are skipped, so rounding errors don't get the movement stuck.
+     *
+     * @param   {boolean}            isNext
+     * @param   {jQuery}             $container
+     * @param   {string}             axis          "vertical" or "horizontal"
+     * @param   {Object}             options       must be normalized
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @param   {string}             scrollMode    "replace", "append", "merge"
+     * @returns {number}
+     */
+    function getAdjacentSnapPoint ( isNext, $container, axis, options, queueWrapper, scrollMode ) {
+        var startPosition = getBasePosition( $container, axis, options, queueWrapper, scrollMode ),
+            snapPoints = getSnapPoints( $container, axis, options ),
+            adjacent = startPosition;
+
+        if ( !isNext ) snapPoints.reverse();
+
+        $.each( snapPoints, function ( index, snapPoint ) {
+            var isBeyond = isNext ? snapPoint > startPosition + 1 : snapPoint < startPosition - 1;
+            if ( isBeyond ) adjacent = snapPoint;
+            return !isBeyond;
+        } );
+
+        return adjacent;
+    }
+
+    /**
+     * Returns the position which relative positions, "nearest" alignment and the snap point keywords are based on, on
+     * a given axis. That is the position where the scroll movement starts (see lib.getScrollStartPosition_QW()), or the
+     * preceding waypoint if the position is part of a list of waypoints (see normalizeWaypoints()).
+     *
+     * @param   {jQuery}             $container
+     * @param   {string}             axis          "vertical" or "horizontal"
+     * @param   {Object}             options       must be normalized
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @param   {string}             scrollMode    "replace", "append", "merge"
+     * @returns {number}
+     */
+    function getBasePosition ( $container, axis, options, queueWrapper, scrollMode ) {
+        return options._basePosition ? options._basePosition[axis] : lib.getScrollStartPosition_QW( $container, queueWrapper, axis, scrollMode );
+    }
+
+    /**
+     * Returns the snap points of a container on a given axis, as an array of positions in ascending order, limited to
+     * the scroll range. The snap points are defined by the snap option:
+     *
+     * - A number sets up a grid. The snap points are at multiples of the number, and at the end of the scroll range.
+     * - A function is called with the arguments ( axis, $container ), in the context of the container element. It
+     *   returns a grid size, or an array of snap points.
+     * - `true`, or no snap option at all, makes the container use its CSS snap points. They are read from the
+     *   scroll-snap-align of the children of the container (for a window, of the children of the body). The
+     *   scroll-margin of the children and the scroll-padding of the container are taken into account, as they are by
+     *   the browser.
+     *
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @param   {Object} options     must be normalized
+     * @returns {number[]}
+     */
+    function getSnapPoints ( $container, axis, options ) {
+        var snapPoints,
+            snap = $.isFunction( options.snap ) ? options.snap.call( $container[0], axis, $container ) : options.snap,
+            max = lib.getScrollMaximum( $container, axis ),
+            unique = [];
+
+        if ( lib.isNumber( snap ) ) {
+            snapPoints = getSnapGrid( snap, max );
+        } else if ( $.isArray( snap ) ) {
+            snapPoints = snap;
+        } else if ( !$.isFunction( options.snap ) && ( !snap || snap === true ) ) {
+            snapPoints = getCssSnapPoints( $container, axis, options );
+        } else {
+            throw new Error( "Invalid return value of the snap function. Expected a grid size or an array of snap points, but got " + $.type( snap ) );
+        }
+
+        snapPoints = $.map( snapPoints, function ( snapPoint ) {
+            if ( !lib.isNumber( snapPoint ) ) throw new Error( "Invalid snap point " + snapPoint );
+            return norm.limitToScrollRange( Math.round( snapPoint ), $container, axis );
+        } );
+
+        snapPoints.sort( function ( a, b ) { return a - b; } );
+        $.each( snapPoints, function ( index, snapPoint ) {
+            if ( snapPoint !== unique[unique.length - 1] ) unique.push( snapPoint );
+        } );
+
+        return unique;
+    }
+
+    /**
+     * Returns the points of a snap grid within the scroll range: the multiples of the grid size, and the maximum scroll
+     * position.
+     *
+     * @param   {number} gridSize
+     * @param   {number} max       the maximum scroll position
+     * @returns {number[]}
+     */
+    function getSnapGrid ( gridSize, max ) {
+        var i,
+            snapPoints = [];
+
+        if ( !lib.isNumber( gridSize ) || gridSize <= 0 ) throw new Error( "Invalid snap grid size " + gridSize );
+
+        for ( i = 0; i * gridSize < max; i++ ) snapPoints.push( i * gridSize );
+        snapPoints.push( max );
+
+        return snapPoints;
+    }
+
+    /**
+     * Returns the CSS snap points of a container on a given axis, ie the positions at which its children are aligned
+     * according to their scroll-snap-align. The scroll-margin of the children and the scroll-padding of the container
+     * are taken into account. See lib.getScrollSnapAlign().
+     *
+     * For a window, the children of the body are examined.
+     *
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @param   {Object} options     must be normalized
+     * @returns {number[]}
+     */
+    function getCssSnapPoints ( $container, axis, options ) {
+        var container = $container[0],
+            $children = $.isWindow( container ) ? $( container.document.body ).children() : $container.children(),
+            snapPoints = [];
+
+        $children.each( function ( index, child ) {
+            var $child = $( child ),
+                align = lib.getScrollSnapAlign( $child, $container )[axis],
+                alignOptions = $.extend( {}, options, { align: {}, cssOffsets: true, offset: { horizontal: 0, vertical: 0 } } );
+
+            if ( align === "none" ) return;
+
+            alignOptions.align[axis] = align;
+            snapPoints.push( getAlignedElementPosition( $child, $container, axis, alignOptions ) );
+        } );
+
+        return snapPoints;
+    }
+
+    /**
+     * Returns the axis of a physical position keyword ("top", "bottom": vertical; "left", "right": horizontal), or
+     * undefined for other keywords, and if the keyword is undefined.
+     *
+     * @param   {string|undefined} keyword
+     * @returns {string|undefined}
+     */
+    function getPhysicalKeywordAxis ( keyword ) {
+        return keyword === "top" || keyword === "bottom" ? norm.VERTICAL : keyword === "left" || keyword === "right" ? norm.HORIZONTAL : undefined;
+    }
+
+    /**
+     * Takes a target element - a DOM element, a jQuery set, or a selector string - and returns the element in a jQuery
+     * wrapper. If there is more than one matching element, the first one is returned.
+     *
+     * A selector is resolved within the container element. For a window, it is resolved within the window document.
+     *
+     * Throws an error if the target doesn't match an element.
+     *
+     * @param   {HTMLElement|jQuery|string} target
+     * @param   {jQuery}                    $container  must be normalized
+     * @returns {jQuery}
+     */
+    function normalizeTargetElement ( target, $container ) {
+        var $target,
+            container = $container[0],
+            context = $.isWindow( container ) ? container.document : $container;
+
+        if ( lib.isString( target ) ) {
+
+            try {
+                $target = $( target, context );
+            } catch ( err ) {
+                throw new Error( 'Invalid position argument "' + target + '". It is neither a recognized position value, nor a valid selector' );
+            }
+
+            if ( !$target.length ) throw new Error( 'Invalid position argument "' + target + '". It is neither a recognized position value, nor a selector matching an element inside the container' );
+
+        } else {
+
+            $target = $( target );
+            if ( !$target.length ) throw new Error( "Invalid position argument. The target is an empty jQuery set" );
+
+        }
+
+        return $target.first();
     }
 
     /**
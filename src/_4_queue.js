@@ -16,7 +16,10 @@
         jqEffectsFxQueueOnly = getJQueryFunctions( [ "fadeTo" ] ),
 
         /** @type {Function[]}  jQuery effects functions which add themselves to the queue automatically */
-        jQueryEffects = jqEffectsWithOptionsArg1.concat( jqEffectsWithOptionsArg2, jqEffectsWithStringArg2, jqEffectsFxQueueOnly );
+        jQueryEffects = jqEffectsWithOptionsArg1.concat( jqEffectsWithOptionsArg2, jqEffectsWithStringArg2, jqEffectsFxQueueOnly ),
+
+        /** @type {string}  data key for the pause state of the queues of an element; see QueueWrapper.pause() */
+        pausedQueuesDataKey = "jquery-scrollable-paused-queues";
 
 
     /**
@@ -50,23 +53,56 @@
      *
      * For functions which are not jQuery effects, arguments can be whatever you like.
      *
+     * Custom effects:
+     *
+     * A function with an `isCustomEffect` flag is treated like $.fn.animate. It must accept the same arguments, but it
+     * is not called in the context of the element. The element is passed in explicitly instead, as the first argument:
+     * `( $elem, properties, options )`. The function must add itself to the queue given by options.queue, just as
+     * $.fn.animate does. The scroll engines other than $.fn.animate work that way (see lib.addAnimation()).
+     *
+     * Gate:
+     *
+     * With config.waitFor, a gate is placed into the queue ahead of the payload. When the gate is dequeued, it holds up
+     * the queue until the promise is settled. If the promise is resolved, the payload executes. If it is rejected, the
+     * payload and its sentinel are removed from the queue, config.onDrop is called, and the queue moves on. If the
+     * payload has been removed from the queue in the meantime (e.g. by stopScroll), the gate doesn't do anything when
+     * the promise settles.
+     *
+     * Removal:
+     *
+     * An item can be removed from the queue before it has started, without affecting the other items. See
+     * QueueWrapper.remove().
+     *
+     * Pause:
+     *
+     * While the queue is paused, the sentinels and gates hold up the queue instead of moving it on, and the internal
+     * custom queue doesn't auto-start. See QueueWrapper.pause().
+     *
      * @param {Object}        config
-     * @param {Function}      config.func    the "payload" function to be executed; invoked in the context of queueWrapper.$elem
-     * @param {Array}         config.args    of config.func
-     * @param {AnimationInfo} [config.info]  info to be attached to the sentinel, in an `info` property
+     * @param {Function}      config.func       the "payload" function to be executed; invoked in the context of queueWrapper.$elem,
+     *                                          or with queueWrapper.$elem as the first argument if it is a custom effect
+     * @param {Array}         config.args       of config.func
+     * @param {AnimationInfo} [config.info]     info to be attached to the sentinel, in an `info` property
+     * @param {Object}        [config.waitFor]  a jQuery promise which must be resolved before the payload executes
+     * @param {Function}      [config.onDrop]   called if the payload is dropped because config.waitFor is rejected
      */
     queue.QueueWrapper.prototype.addToQueue = function ( config ) {
 
-        var func = config.func,
+        var pauseState,
+            queueWrapper = this,
+
+            func = config.func,
             args = config.args,
 
             $elem = this._$elem,
             queueName = this._queueName,
 
-            sentinel = function ( next ) { next(); };
+            sentinel = function ( next ) { proceed( queueWrapper, next ); };
 
         sentinel.isSentinel = true;
-        if ( config.info ) sentinel.info = config.info;
+        if ( config.info ) sentinel.info = $.extend( config.info, { paused: this.isPaused() } );
+
+        if ( config.waitFor ) sentinel.gate = addGate( this, sentinel, config.waitFor, config.onDrop );
 
         if ( isQueueable( func ) ) {
             // Dealing with an animation-related jQuery function which adds itself to the queue automatically.
@@ -75,7 +111,7 @@
             // arguments format for the function at hand.
             if ( lib.isInArray( func, jqEffectsWithOptionsArg1 ) ) {
                 $.extend( args[0], { queue: queueName } );
-            } else if ( lib.isInArray( func, jqEffectsWithOptionsArg2 ) ) {
+            } else if ( lib.isInArray( func, jqEffectsWithOptionsArg2 ) || func.isCustomEffect ) {
                 $.extend( args[1], { queue: queueName } );
             } else if ( lib.isInArray( func, jqEffectsWithStringArg2 ) ) {
                 args[1] = queueName;
@@ -85,8 +121,13 @@
                 if ( queueName !== "fx" ) throw new Error( "Can't use a custom queue (queue name: '" + queueName + "') with the provided animation function" );
             }
 
-            // Then just run the animation, it is added to the queue automatically
-            func.apply( $elem, args );
+            // Then just run the animation, it is added to the queue automatically. A custom effect receives the element
+            // as an argument.
+            if ( func.isCustomEffect ) {
+                func.apply( undefined, [ $elem ].concat( args ) );
+            } else {
+                func.apply( $elem, args );
+            }
         } else {
             // The "payload" is an ordinary function, so create a wrapper to put the function into the queue
             $elem.queue( queueName, function ( next ) {
@@ -106,13 +147,224 @@
         // Auto-start the internal custom queue if it is stuck.
         //
         // The telltale sign is that the new animation is still in the queue at index 0, hence its associated sentinel
-        // is at index 1. That only happens if the queue is stuck. If the animation is merely waiting in line until
-        // another animation finishes, it won't be waiting at index 0. That position is occupied by the sentinel of the
-        // previous, ongoing animation.
-        if ( this._isInternalCustomQueue && this.getContent()[1] === sentinel ) $elem.dequeue( queueName );
+        // is at index 1 (or at index 2, if the animation is preceded by a gate). That only happens if the queue is
+        // stuck. If the animation is merely waiting in line until another animation finishes, it won't be waiting at
+        // index 0. That position is occupied by the sentinel of the previous, ongoing animation.
+        //
+        // A paused queue is not started. That is left to QueueWrapper.resume().
+        if ( this._isInternalCustomQueue && this.getContent()[config.waitFor ? 2 : 1] === sentinel ) {
+            pauseState = getPauseState( this );
+
+            if ( pauseState ) {
+                pauseState.isStalled = true;
+            } else {
+                $elem.dequeue( queueName );
+            }
+        }
+
+    };
+
+    /**
+     * Removes an item from the queue before it has started: the payload, its sentinel, and its gate if there is one.
+     * The item is identified by the info attached to its sentinel. Returns false if the item is not in the queue, or if
+     * the payload has been dequeued already (ie, if it is in progress or over). Returns true otherwise.
+     *
+     * The onRemove callback is called when the item has been removed, before the queue moves on.
+     *
+     * If the gate of the item has been dequeued and is waiting for its promise, it holds up the queue. The queue moves
+     * on to the next item then (unless it is paused, see QueueWrapper.pause()).
+     *
+     * @param   {AnimationInfo} info
+     * @param   {Function}      [onRemove]
+     * @returns {boolean}
+     */
+    queue.QueueWrapper.prototype.remove = function ( info, onRemove ) {
+        var sentinel, sentinelIndex, gateIndex, startIndex,
+            queueWrapper = this,
+            $elem = this._$elem,
+            queueName = this._queueName,
+            content = this.getContent();
+
+        $.each( content, function ( index, entry ) {
+            if ( entry.isSentinel && entry.info === info ) {
+                sentinel = entry;
+                sentinelIndex = index;
+            }
+        } );
+
+        // The payload sits right in front of its sentinel. If it isn't there, it has been dequeued already.
+        if ( !sentinel || !sentinelIndex || content[sentinelIndex - 1] === "inprogress" ) return false;
+
+        gateIndex = sentinel.gate ? $.inArray( sentinel.gate, content ) : -1;
+        startIndex = gateIndex !== -1 ? gateIndex : sentinelIndex - 1;
+
+        content.splice( startIndex, sentinelIndex - startIndex + 1 );
+        if ( onRemove ) onRemove();
+
+        if ( sentinel.gate && gateIndex === -1 ) proceed( queueWrapper, function () { $elem.dequeue( queueName ); } );
+
+        return true;
+    };
+
+    /**
+     * Pauses the queue. Returns false if the queue is paused already, true otherwise.
+     *
+     * While the queue is paused, it doesn't move on. When the current queue item calls `next()`, or when a gate opens,
+     * the call is held back until the queue is resumed (see QueueWrapper.resume()). Items which are added to the
+     * internal custom queue don't start it. The info objects in the queue are flagged with `paused: true`.
+     *
+     * Pausing the queue doesn't affect an animation which is in progress. That is left to the caller. The onResume
+     * callback is invoked when the pause ends, before the queue moves on. It can be used to get a frozen animation going
+     * again.
+     *
+     * @param   {Function} [onResume]
+     * @returns {boolean}
+     */
+    queue.QueueWrapper.prototype.pause = function ( onResume ) {
+        var pausedQueues = $.data( this._$elem[0], pausedQueuesDataKey ) || $.data( this._$elem[0], pausedQueuesDataKey, {} );
+
+        if ( this.isPaused() ) return false;
+
+        pausedQueues[this._queueName] = { onResume: onResume, heldNext: undefined, isStalled: false };
+        flagInfo( this, true );
+
+        return true;
+    };
+
+    /**
+     * Resumes a paused queue (see QueueWrapper.pause()). The onResume callback of the pause is invoked. Then a held
+     * `next()` call is executed, or the internal custom queue is started if items have been added to it in the
+     * meantime. Does nothing if the queue is not paused.
+     */
+    queue.QueueWrapper.prototype.resume = function () {
+        var pauseState = endPause( this );
 
+        if ( pauseState && pauseState.heldNext ) {
+            pauseState.heldNext();
+        } else if ( pauseState && pauseState.isStalled ) {
+            this._$elem.dequeue( this._queueName );
+        }
     };
 
+    /**
+     * Ends the pause of a queue without moving the queue on. A held `next()` call is discarded. Meant to be called when
+     * the queue is about to be cleared. The onResume callback of the pause is invoked, though. Does nothing if the queue
+     * is not paused.
+     */
+    queue.QueueWrapper.prototype.clearPause = function () {
+        endPause( this );
+    };
+
+    /**
+     * Returns whether the queue is paused. See QueueWrapper.pause().
+     *
+     * @returns {boolean}
+     */
+    queue.QueueWrapper.prototype.isPaused = function () {
+        return !!getPauseState( this );
+    };
+
+    /**
+     * Ends the pause of a queue, invokes the onResume callback, and returns the pause state. Returns undefined if the
+     * queue is not paused.
+     *
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @returns {Object|undefined}
+     */
+    function endPause ( queueWrapper ) {
+        var pauseState = getPauseState( queueWrapper );
+
+        if ( pauseState ) {
+            delete $.data( queueWrapper._$elem[0], pausedQueuesDataKey )[queueWrapper._queueName];
+            flagInfo( queueWrapper, false );
+            if ( pauseState.onResume ) pauseState.onResume();
+        }
+
+        return pauseState;
+    }
+
+    /**
+     * Returns the pause state of a queue, or undefined if the queue is not paused.
+     *
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @returns {Object|undefined}
+     */
+    function getPauseState ( queueWrapper ) {
+        var pausedQueues = $.data( queueWrapper._$elem[0], pausedQueuesDataKey );
+        return pausedQueues && pausedQueues.hasOwnProperty( queueWrapper._queueName ) ? pausedQueues[queueWrapper._queueName] : undefined;
+    }
+
+    /**
+     * Sets the `paused` flag of all info objects in the queue.
+     *
+     * @param {queue.QueueWrapper} queueWrapper
+     * @param {boolean}            isPaused
+     */
+    function flagInfo ( queueWrapper, isPaused ) {
+        $.each( queueWrapper.getInfo(), function ( index, info ) {
+            info.paused = isPaused;
+        } );
+    }
+
+    /**
+     * Moves the queue on, by calling `next()`, unless the queue is paused. In that case, the call is held back until the
+     * queue is resumed. See QueueWrapper.pause().
+     *
+     * @param {queue.QueueWrapper} queueWrapper
+     * @param {Function}           next
+     */
+    function proceed ( queueWrapper, next ) {
+        var pauseState = getPauseState( queueWrapper );
+
+        if ( pauseState ) {
+            pauseState.heldNext = next;
+        } else {
+            next();
+        }
+    }
+
+    /**
+     * Adds a gate to the queue, holding up the queue until the promise is settled, and returns the gate function. See
+     * QueueWrapper.addToQueue().
+     *
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @param   {Function}           sentinel      the sentinel of the payload which is gated
+     * @param   {Object}             promise       a jQuery promise
+     * @param   {Function}           [onDrop]
+     * @returns {Function}
+     */
+    function addGate ( queueWrapper, sentinel, promise, onDrop ) {
+        var $elem = queueWrapper._$elem,
+            queueName = queueWrapper._queueName,
+
+            gate = function ( next ) {
+
+                promise.then( function () {
+                    if ( isPayloadQueued() ) proceed( queueWrapper, next );
+                }, function () {
+                    var content = $elem.queue( queueName ),
+                        sentinelIndex = $.inArray( sentinel, content );
+
+                    if ( isPayloadQueued() ) {
+                        // Remove the payload and its sentinel
+                        content.splice( sentinelIndex - 1, 2 );
+                        if ( onDrop ) onDrop();
+                        proceed( queueWrapper, next );
+                    }
+                } );
+
+            };
+
+        $elem.queue( queueName, gate );
+
+        return gate;
+
+        // The payload sits right in front of its sentinel. If the sentinel is gone, so is the payload.
+        function isPayloadQueued () {
+            return $.inArray( sentinel, $elem.queue( queueName ) ) > 0;
+        }
+    }
+
     /**
      * Returns an array of all info objects currently held in the queue, in ascending order (newest is last).
      *
@@ -189,15 +441,16 @@
 
     /**
      * Returns whether a function adds itself to a queue automatically. That is the case for $.fn.animate or other
-     * jQuery animation functions, such as $.fn.delay, $.fn.show etc.
+     * jQuery animation functions, such as $.fn.delay, $.fn.show etc, and for custom effects which are flagged with
+     * `isCustomEffect` (see QueueWrapper.addToQueue()).
      *
-     * The list of recognized functions has to be maintained by hand, there is no generic approach here.
+     * The list of recognized jQuery functions has to be maintained by hand, there is no generic approach here.
      *
      * @param   {Function} func
      * @returns {boolean}
      */
     function isQueueable ( func ) {
-        return lib.isInArray( func, jQueryEffects );
+        return lib.isInArray( func, jQueryEffects ) || !!func.isCustomEffect;
     }
 
     /**
@@ -5,7 +5,68 @@
     var animationExitCallbacks = [ "complete", "done", "fail", "always" ],
 
         /** @type {string[]}  names of all animation options which are callbacks */
-        animationCallbacks = animationExitCallbacks.concat( "start", "step", "progress" );
+        animationCallbacks = animationExitCallbacks.concat( "start", "step", "progress" ),
+
+        /** @type {string|undefined}  how the browser reports the scroll position on a reversed axis; see getReversedScrollModel() */
+        reversedScrollModel,
+
+        /** @type {number}  interval (in ms) for polling the scroll position during a native scroll; see runNativeScroll() */
+        nativeScrollPollInterval = 50,
+
+        /** @type {number}  time (in ms) without movement after which a native scroll is considered to have ended, if the browser doesn't support the scrollend event */
+        nativeScrollSettleTime = 150,
+
+        /** @type {number}  time (in ms) without movement after which a native scroll is considered to have ended, as a safety net if the scrollend event doesn't fire */
+        nativeScrollTimeout = 1000,
+
+        /** @type {Object}  named durations, used by the "raf" engine if jQuery.fx is not available (jQuery slim) */
+        defaultSpeeds = { slow: 600, fast: 200, _default: 400 },
+
+        /** @type {Object}  easing functions, used by the "raf" engine if jQuery.easing is not available (jQuery slim) */
+        builtInEasings = {
+            linear: function ( p ) { return p; },
+            swing: function ( p ) { return 0.5 - Math.cos( p * Math.PI ) / 2; }
+        },
+
+        /** @type {Object}  easing functions suited to scroll movements; registered in jQuery.easing, see below */
+        scrollEasings = {
+            easeOutCubic: function ( p ) { return 1 - Math.pow( 1 - p, 3 ); },
+            easeInOutCubic: function ( p ) { return p < 0.5 ? 4 * p * p * p : 1 - Math.pow( 2 - 2 * p, 3 ) / 2; },
+            easeOutQuint: function ( p ) { return 1 - Math.pow( 1 - p, 5 ); },
+            easeInOutQuint: function ( p ) { return p < 0.5 ? 16 * Math.pow( p, 5 ) : 1 - Math.pow( 2 - 2 * p, 5 ) / 2; },
+            easeOutExpo: function ( p ) { return p === 1 ? 1 : 1 - Math.pow( 2, -10 * p ); },
+            easeInOutExpo: function ( p ) { return p === 0 || p === 1 ? p : p < 0.5 ? Math.pow( 2, 20 * p - 10 ) / 2 : ( 2 - Math.pow( 2, 10 - 20 * p ) ) / 2; }
+        },
+
+        /** @type {number}  maximum error of the time fraction when a cubic Bézier easing is evaluated; see getCubicBezierEasing() */
+        bezierPrecision = 1e-6,
+
+        /** @type {number}  maximum age (in ms) of the last animation step for deriving a velocity from it; see lib.getScrollVelocity() */
+        velocitySampleMaxAge = 100,
+
+        /** @type {number}  number of animation steps per axis which are kept in the motion record of the step history */
+        motionSampleCount = 3,
+
+        /** @type {number}  distance (in px) from the target at which a physics-based scroll movement has come to rest; see getPhysicsCurve() */
+        physicsRestDistance = 0.5,
+
+        /** @type {number}  upper limit (in ms) for the duration of a physics-based scroll movement */
+        maxPhysicsDuration = 10000,
+
+        /** @type {number}  number of samples per segment for measuring a curved path through waypoints; see getWaypointPath() */
+        curveSamplesPerSegment = 20,
+
+        /** @type {number}  maximum duration (in ms) of a scroll animation which is shortened for reduced motion; see reduceMotion() */
+        reducedMotionDuration = 150,
+
+        /** @type {MediaQueryList|null|undefined}  the prefers-reduced-motion media query, set up on first use; null if matchMedia is not supported */
+        reducedMotionQuery,
+
+        /** @type {boolean}  whether the user prefers reduced motion, as last reported by the media query */
+        isReducedMotionPreferred = false,
+
+        /** @type {string}  data key for the custom effects (animations not run by jQuery) which are in progress on an element */
+        customEffectsDataKey = "jquery-scrollable-custom-effects";
 
     /**
      * Returns the maximum position which can be scrolled to on a given axis. The container element is expected to be
@@ -20,7 +81,7 @@
      */
     lib.getScrollMaximum = function ( $container, axis ) {
 
-        var max, containerSize, contentSize,
+        var max, contentSize,
             container = $container[0],
             _document = container.ownerDocument || container.document,
             isWindow = $.isWindow( container );
@@ -33,26 +94,411 @@
 
         } else {
 
-            // We are measuring the true inner size of the container, excluding a horizontal or vertical scroll bar. The
-            // appropriate property is clientHeight/clientWidth; for a window, use $.windowHeight()/$.windowWidth() to
-            // accommodate pinch zooming, and handle minimal UI on iOS.
             if ( axis === norm.HORIZONTAL ) {
-                containerSize = isWindow ? $.windowWidth() : container.clientWidth;
                 contentSize = isWindow ? $.documentWidth( _document ) : container.scrollWidth;
             } else if ( axis === norm.VERTICAL ) {
-                containerSize = isWindow ? $.windowHeight() : container.clientHeight;
                 contentSize = isWindow ? $.documentHeight( _document ) : container.scrollHeight;
             } else {
                 throw new Error( "Unrecognized axis argument " + axis );
             }
 
-            max = Math.max( contentSize - containerSize, 0 );
+            max = Math.max( contentSize - lib.getContainerSize( $container, axis ), 0 );
         }
 
         return max;
 
     };
 
+    /**
+     * Returns the inner size of a container on a given axis, ie the size of the visible area of the scrollable content.
+     * The container element is expected to be normalized.
+     *
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @returns {number}
+     */
+    lib.getContainerSize = function ( $container, axis ) {
+        var container = $container[0],
+            isWindow = $.isWindow( container );
+
+        // We are measuring the true inner size of the container, excluding a horizontal or vertical scroll bar. The
+        // appropriate property is clientHeight/clientWidth; for a window, use $.windowHeight()/$.windowWidth() to
+        // accommodate pinch zooming, and handle minimal UI on iOS.
+        if ( axis === norm.HORIZONTAL ) {
+            return isWindow ? $.windowWidth() : container.clientWidth;
+        } else if ( axis === norm.VERTICAL ) {
+            return isWindow ? $.windowHeight() : container.clientHeight;
+        } else {
+            throw new Error( "Unrecognized axis argument " + axis );
+        }
+    };
+
+    /**
+     * Returns the size of a target element on a given axis, including borders (ie, the size of its border box, as it
+     * is rendered).
+     *
+     * @param   {jQuery} $target
+     * @param   {string} axis     "vertical" or "horizontal"
+     * @returns {number}
+     */
+    lib.getElementSize = function ( $target, axis ) {
+        var rect = $target[0].getBoundingClientRect();
+        return axis === norm.HORIZONTAL ? rect.right - rect.left : rect.bottom - rect.top;
+    };
+
+    /**
+     * Returns the scroll position at which a target element is aligned with the start edge of the container, for a
+     * given axis. The container element is expected to be normalized.
+     *
+     * The start edge is the top or left edge, unless the axis is reversed (see lib.isReversedAxis()). Then it is the
+     * bottom or right edge, and the position is a logical one.
+     *
+     * The position is absolute and independent of the current scroll position. It is measured against the inner edge
+     * of the container, ie inside its border, and is not limited to the scroll range.
+     *
+     * @param   {jQuery} $target
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @returns {number}
+     */
+    lib.getElementScrollPosition = function ( $target, $container, axis ) {
+        var offset, innerRight, innerBottom,
+            container = $container[0],
+            isWindow = $.isWindow( container ),
+            isReversed = lib.isReversedAxis( $container, axis ),
+            targetRect = $target[0].getBoundingClientRect(),
+            containerRect = isWindow ? { top: 0, left: 0 } : container.getBoundingClientRect();
+
+        if ( axis === norm.HORIZONTAL && !isReversed ) {
+            offset = targetRect.left - containerRect.left - ( isWindow ? 0 : container.clientLeft );
+        } else if ( axis === norm.VERTICAL && !isReversed ) {
+            offset = targetRect.top - containerRect.top - ( isWindow ? 0 : container.clientTop );
+        } else if ( axis === norm.HORIZONTAL ) {
+            // Reversed axis, e.g. in a right-to-left container. The start edge of the element is its right edge.
+            innerRight = isWindow ? lib.getContainerSize( $container, axis ) : containerRect.left + container.clientLeft + container.clientWidth;
+            offset = innerRight - targetRect.right;
+        } else if ( axis === norm.VERTICAL ) {
+            innerBottom = isWindow ? lib.getContainerSize( $container, axis ) : containerRect.top + container.clientTop + container.clientHeight;
+            offset = innerBottom - targetRect.bottom;
+        } else {
+            throw new Error( "Unrecognized axis argument " + axis );
+        }
+
+        return lib.getCurrentScrollPosition( $container, axis ) + offset;
+    };
+
+    /**
+     * Returns whether the container has a vertical writing mode ("vertical-rl", "vertical-lr", "sideways-rl",
+     * "sideways-lr"). In a vertical writing mode, the inline axis is vertical, and the block axis is horizontal. The
+     * container element is expected to be normalized. For a window, the writing mode of the documentElement is used.
+     *
+     * An element which is not a scroll container can be passed in as well. Its own writing mode is returned then.
+     *
+     * @param   {jQuery} $container
+     * @returns {boolean}
+     */
+    lib.isVerticalWritingMode = function ( $container ) {
+        return isVerticalFlow( getFlowStyle( $container ) );
+    };
+
+    /**
+     * Returns whether an axis is reversed in a container, ie whether its start is on the right, or at the bottom. The
+     * container element is expected to be normalized. For a window, the styles of the documentElement are used.
+     *
+     * - In a horizontal writing mode, the horizontal axis is reversed if the direction is right-to-left.
+     * - In the writing modes "vertical-rl" and "sideways-rl", the horizontal (block) axis is reversed. The vertical
+     *   (inline) axis is reversed if the direction is right-to-left.
+     * - In the writing modes "vertical-lr" and "sideways-lr", the vertical (inline) axis is reversed if the direction
+     *   is right-to-left.
+     *
+     * Positions on a reversed axis are handled as logical positions throughout: they are measured from the start of
+     * the axis, and range from 0 to the scroll maximum, just like on any other axis. See lib.toNativeScrollPosition().
+     *
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @returns {boolean}
+     */
+    lib.isReversedAxis = function ( $container, axis ) {
+        var flow = getFlowStyle( $container ),
+            isVertical = isVerticalFlow( flow ),
+            isRtl = flow.direction === "rtl";
+
+        if ( axis === norm.HORIZONTAL ) {
+            return isVertical ? flow.writingMode.slice( -3 ) === "-rl" : isRtl;
+        } else if ( axis === norm.VERTICAL ) {
+            return isVertical && isRtl;
+        } else {
+            throw new Error( "Unrecognized axis argument " + axis );
+        }
+    };
+
+    /**
+     * Converts a logical scroll position to the value the browser uses for scrollLeft or scrollTop. The container
+     * element is expected to be normalized.
+     *
+     * On an axis which is not reversed, both are the same. On a reversed axis (see lib.isReversedAxis()), browsers
+     * report the position in one of three ways: as a negative value, counting down from 0 at the start (the standard
+     * behaviour), as a positive value counting up from 0 at the start (legacy IE and Edge), or as a positive value
+     * counting down from the maximum at the start (legacy WebKit and Blink).
+     *
+     * norm.IGNORE_AXIS is returned unchanged.
+     *
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @param   {number} position
+     * @returns {number}
+     */
+    lib.toNativeScrollPosition = function ( $container, axis, position ) {
+        var model;
+
+        if ( position === norm.IGNORE_AXIS || !lib.isReversedAxis( $container, axis ) ) return position;
+
+        model = getReversedScrollModel( $container );
+        return model === "negative" ? -position : model === "reverse" ? position : lib.getScrollMaximum( $container, axis ) - position;
+    };
+
+    /**
+     * Converts a scrollLeft or scrollTop value, as reported by the browser, to a logical scroll position. The inverse of
+     * lib.toNativeScrollPosition(), see there.
+     *
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @param   {number} position
+     * @returns {number}
+     */
+    lib.toLogicalScrollPosition = function ( $container, axis, position ) {
+        // Each of the conversions is its own inverse.
+        return lib.toNativeScrollPosition( $container, axis, position );
+    };
+
+    /**
+     * Returns the size of one unit of a relative CSS length, in px, for a given container. The container element is
+     * expected to be normalized.
+     *
+     * Font-relative units (em, lh) are based on the computed style of the container. For a window, the documentElement
+     * is used. Viewport units (vw, vh) are based on the size of the window which the container belongs to.
+     *
+     * Recognized units are "em", "rem", "lh", "vw", "vh". If the computed line height is "normal", the line height is
+     * approximated as 1.2em.
+     *
+     * Throws an error if the unit is not recognized.
+     *
+     * @param   {jQuery} $container
+     * @param   {string} unit
+     * @returns {number}
+     */
+    lib.getCssUnitSize = function ( $container, unit ) {
+        var container = $container[0],
+            isWindow = $.isWindow( container ),
+            _window = lib.ownerWindow( container ),
+            rootElem = _window.document.documentElement,
+            elem = isWindow ? rootElem : container,
+
+            getStyle = function ( styledElem, propertyName ) {
+                var computedStyle = _window.getComputedStyle && _window.getComputedStyle( styledElem, null );
+                return computedStyle ? computedStyle.getPropertyValue( propertyName ) : "";
+            },
+
+            getFontSize = function ( styledElem ) {
+                var fontSize = parseFloat( getStyle( styledElem, "font-size" ) );
+                return isNaN( fontSize ) ? 16 : fontSize;
+            },
+
+            lineHeight;
+
+        switch ( unit ) {
+            case "em":
+                return getFontSize( elem );
+            case "rem":
+                return getFontSize( rootElem );
+            case "lh":
+                lineHeight = parseFloat( getStyle( elem, "line-height" ) );
+                return isNaN( lineHeight ) ? 1.2 * getFontSize( elem ) : lineHeight;
+            case "vw":
+                return ( _window.innerWidth || rootElem.clientWidth ) / 100;
+            case "vh":
+                return ( _window.innerHeight || rootElem.clientHeight ) / 100;
+            default:
+                throw new Error( "Unsupported CSS unit " + unit );
+        }
+    };
+
+    /**
+     * Returns the scroll-padding of a container on a given axis, as computed by the browser. The container element is
+     * expected to be normalized. For a window, the scroll-padding of the documentElement is returned.
+     *
+     * Returns a hash with the padding at the start (top or left) and the end (bottom or right) of the axis, in px.
+     * Percentages are resolved against the inner size of the container. Values which are not set, not supported by the
+     * browser, or set to "auto", are returned as 0.
+     *
+     * Values which use env(), such as env(safe-area-inset-top), are resolved by the browser when it computes the
+     * style, and are returned in px like any other value.
+     *
+     * @param   {jQuery} $container
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @returns {{start: number, end: number}}
+     */
+    lib.getScrollPadding = function ( $container, axis ) {
+        var container = $container[0],
+            elem = $.isWindow( container ) ? container.document.documentElement : container,
+            containerSize = lib.getContainerSize( $container, axis );
+
+        return getComputedBoxEdges( elem, "scroll-padding", axis, containerSize );
+    };
+
+    /**
+     * Returns the scroll-margin of a target element on a given axis, as computed by the browser.
+     *
+     * Returns a hash with the margin at the start (top or left) and the end (bottom or right) of the axis, in px.
+     * Values which are not set or not supported by the browser are returned as 0.
+     *
+     * @param   {jQuery} $target
+     * @param   {string} axis     "vertical" or "horizontal"
+     * @returns {{start: number, end: number}}
+     */
+    lib.getScrollMargin = function ( $target, axis ) {
+        return getComputedBoxEdges( $target[0], "scroll-margin", axis, 0 );
+    };
+
+    /**
+     * Returns the scroll-snap-align of an element, as computed by the browser, per axis: { horizontal: ..., vertical:
+     * ... }. The values are "start", "center", "end", or "none". Values which are not set, or not supported by the
+     * browser, are returned as "none".
+     *
+     * The CSS property defines the alignment for the block axis first, and for the inline axis second. They are mapped
+     * to the physical axes according to the writing mode of the container, which is expected to be normalized.
+     *
+     * @param   {jQuery} $elem
+     * @param   {jQuery} $container
+     * @returns {Object}
+     */
+    lib.getScrollSnapAlign = function ( $elem, $container ) {
+        var elem = $elem[0],
+            _window = lib.ownerWindow( elem ),
+            computedStyle = _window.getComputedStyle && _window.getComputedStyle( elem, null ),
+            values = $.trim( computedStyle && computedStyle.getPropertyValue( "scroll-snap-align" ) || "none" ).split( /\s+/ ),
+            blockAlign = values[0],
+            inlineAlign = values[1] || values[0],
+            isVerticalWritingMode = lib.isVerticalWritingMode( $container ),
+            align = {};
+
+        align[norm.HORIZONTAL] = isVerticalWritingMode ? blockAlign : inlineAlign;
+        align[norm.VERTICAL] = isVerticalWritingMode ? inlineAlign : blockAlign;
+
+        $.each( align, function ( axis, value ) {
+            if ( !( value === "start" || value === "center" || value === "end" ) ) align[axis] = "none";
+        } );
+
+        return align;
+    };
+
+    /**
+     * Observes a container for the end of scroll movements by the user, and calls the handler when the user has
+     * stopped scrolling. Returns a function which stops the observation.
+     *
+     * The end of a scroll movement is detected with a debounce: the handler is called when no further scroll event has
+     * occurred for the given delay. While the user holds the mouse button down, or keeps a finger on the screen, the
+     * movement is not regarded as finished. The countdown begins when the button or finger is released.
+     *
+     * Scroll events are ignored while a scroll animation is running in the queue. They are caused by the animation, or
+     * by a user scroll which cancels the animation (or which is ignored by it). The final scroll event of an animation
+     * usually arrives after the animation has ended, though, so the handler is called after scroll animations, too.
+     *
+     * @param   {jQuery}   $container   must be normalized
+     * @param   {jQuery}   $scrollable  the real scrollable element
+     * @param   {string}   queueName    the queue of the scroll animations
+     * @param   {number}   delay        in ms
+     * @param   {Function} handler
+     * @returns {Function}
+     */
+    lib.observeUserScrollEnd = function ( $container, $scrollable, queueName, delay, handler ) {
+        var timer,
+            isPointerDown = false,
+            hasScrolledWhilePointerDown = false,
+
+            container = $container[0],
+            $document = $( $.isWindow( container ) ? container.document : container.ownerDocument ),
+            queueWrapper = new queue.QueueWrapper( $scrollable, queueName ),
+
+            pointerDownEvents = "mousedown touchstart pointerdown",
+            pointerUpEvents = "mouseup touchend touchcancel pointerup pointercancel",
+
+            isAnimating = function () {
+                return queueWrapper.getInfo().length > 0;
+            },
+
+            startCountdown = function () {
+                clearTimeout( timer );
+                timer = setTimeout( function () {
+                    timer = undefined;
+                    if ( !isAnimating() ) handler();
+                }, delay );
+            },
+
+            onScroll = function () {
+                if ( isAnimating() ) {
+                    clearTimeout( timer );
+                } else if ( isPointerDown ) {
+                    hasScrolledWhilePointerDown = true;
+                } else {
+                    startCountdown();
+                }
+            },
+
+            onPointerDown = function () {
+                isPointerDown = true;
+                clearTimeout( timer );
+            },
+
+            onPointerUp = function () {
+                if ( isPointerDown && hasScrolledWhilePointerDown ) startCountdown();
+                isPointerDown = hasScrolledWhilePointerDown = false;
+            };
+
+        $container.on( "scroll", onScroll );
+        $container.on( pointerDownEvents, onPointerDown );
+        $document.on( pointerUpEvents, onPointerUp );
+
+        return function () {
+            clearTimeout( timer );
+            $container.off( "scroll", onScroll );
+            $container.off( pointerDownEvents, onPointerDown );
+            $document.off( pointerUpEvents, onPointerUp );
+        };
+    };
+
+    /**
+     * Returns the scroll containers of an element, ie the ancestors which can be scrolled, in a jQuery wrapper each. The
+     * array is ordered from the innermost to the outermost container. The window of the element is always included as
+     * the last entry. The containers are returned in normalized form.
+     *
+     * An ancestor is regarded as a scroll container if its content overflows on at least one axis (according to
+     * lib.getScrollMaximum), and if overflow is not set to "visible" on that axis. Just like in the native
+     * element.scrollIntoView(), that includes elements with overflow: hidden.
+     *
+     * The search ends at the document of the element. It does not proceed beyond an iframe.
+     *
+     * @param   {jQuery} $elem
+     * @returns {jQuery[]}
+     */
+    lib.getScrollContainers = function ( $elem ) {
+        var elem = $elem[0],
+            _window = lib.ownerWindow( elem ),
+            documentElement = _window.document.documentElement,
+            body = _window.document.body,
+            containers = [];
+
+        elem = elem.parentNode;
+
+        while ( elem && elem.nodeType === 1 && elem !== documentElement && elem !== body ) {
+            if ( isScrollContainer( elem, _window ) ) containers.push( $( elem ) );
+            elem = elem.parentNode;
+        }
+
+        containers.push( $( _window ) );
+        return containers;
+    };
+
     /**
      * Returns the owner window for a given element or document. If a window is passed in, the window itself is returned.
      *
@@ -121,10 +567,32 @@
 
     };
 
+    /**
+     * Creates an easing from the control points of a cubic Bézier curve, registers it, and returns its name. The name
+     * follows the CSS notation, e.g. "cubic-bezier(0.25, 0.1, 0.25, 1)". The easing is added to jQuery.easing if
+     * available, and to the built-in easings of the "raf" engine otherwise.
+     *
+     * @param   {number[]} points  the control points x1, y1, x2, y2; must be normalized
+     * @returns {string}
+     */
+    lib.registerCubicBezierEasing = function ( points ) {
+        var name = "cubic-bezier(" + points.join( ", " ) + ")",
+            easing = getCubicBezierEasing( points[0], points[1], points[2], points[3] );
+
+        if ( $.easing ) {
+            $.easing[name] = easing;
+        } else {
+            builtInEasings[name] = easing;
+        }
+
+        return name;
+    };
+
     /**
      * Sets up a scroll animation for an element.
      *
-     * Turns the position hash into a hash of properties to animate. The position is expected to be normalized.
+     * Turns the position hash into a hash of properties to animate. The position is expected to be normalized. It may
+     * be unresolved (see norm.normalizePosition()), in which case it is resolved when the animation starts.
      *
      * Delegates to lib.addAnimation and, implicitly, to queueWrapper.addToQueue otherwise. See there for more.
      *
@@ -138,23 +606,45 @@
             hasPosX = posX !== norm.IGNORE_AXIS,
             hasPosY = posY !== norm.IGNORE_AXIS,
             animated = {},
-            history = options._history || { real: [], expected: [] },
+            history = options._history || { real: [], expected: [], motion: { horizontal: [], vertical: [] } },
             callbackMessageContainer = createOuterMessageContainer(),
             animationInfo = {
                 position: position,
                 history: history,
-                callbackMessages: callbackMessageContainer
+                callbackMessages: callbackMessageContainer,
+                onRemove: options._onRemove
             };
 
+        if ( options.engine === norm.ENGINE_AUTO ) options = $.extend( {}, options, { engine: selectEngine( $elem, options ) } );
+        if ( $.isPlainObject( options.easing ) || $.isPlainObject( options.duration ) ) options = addAxisTiming( options );
+
+        options = addLogicalStepPosition( options );
+        options = addMotionTracking( options, history );
         options = addUserScrollDetection( options, history );
+        if ( options.path ) {
+            options = addWaypointPath( options, animationInfo );
+        } else if ( options.physics || options._axisTiming ) {
+            options = addTweenCurves( options );
+        } else if ( options.inheritVelocity && !options.append ) {
+            options = addVelocityInheritance( options, history );
+        }
         options = addUserClickTouchDetection( $elem, options );
 
         options = addMessagingToCallbacks( options, callbackMessageContainer );
 
-        if ( hasPosX ) animated.scrollLeft = posX;
-        if ( hasPosY ) animated.scrollTop = posY;
+        if ( position.isUnresolved ) options = addDeferredPosition( options, animationInfo );
+        if ( $.isFunction( options.offset ) ) options = addDeferredOffset( options, animationInfo );
+        if ( options.retarget !== false ) options = addRetargeting( options, animationInfo );
+
+        if ( position.isUnresolved ) {
+            // Placeholders for both axes. The actual values are filled in when the animation starts.
+            animated.scrollLeft = animated.scrollTop = 0;
+        } else {
+            if ( hasPosX ) animated.scrollLeft = posX;
+            if ( hasPosY ) animated.scrollTop = posY;
+        }
 
-        if ( hasPosX || hasPosY ) lib.addAnimation( $elem, animated, options, animationInfo );
+        if ( position.isUnresolved || hasPosX || hasPosY ) lib.addAnimation( $elem, animated, options, animationInfo );
     };
 
     /**
@@ -162,6 +652,18 @@
      *
      * Delegates to queueWrapper.addToQueue - see there for more.
      *
+     * The animation runs with $.fn.animate, unless the engine option says otherwise. With "native", the browser does the
+     * work, with a smooth native scroll (see animateNatively()). With "raf", the animation runs on requestAnimationFrame,
+     * independently of jQuery.fx (see animateWithFrames()).
+     *
+     * If the waitFor option is set, the animation is held in the queue until all of the promises in it are resolved.
+     * If one of them is rejected, the animation is dropped. Its `fail` and `always` callbacks are called, in the context
+     * of the element, with a `cancelled: "waitFor"` message (if the animation info is available). The animation never
+     * started, so the `animation` argument of the callbacks is undefined.
+     *
+     * If the signal option is set, the scroll animation is aborted when the signal fires. See addAbortSignal(). If the
+     * signal has been aborted already, the animation is dropped right away, and is not added to the queue.
+     *
      * @param {jQuery}        $elem
      * @param {Object}        properties       the animated property or properties, and their target value(s)
      * @param {Object}        options          animation options
@@ -170,13 +672,41 @@
      *                                         message container for communicating with the animation callbacks
      */
     lib.addAnimation = function ( $elem, properties, options, animationInfo ) {
-        var queueWrapper = new queue.QueueWrapper( $elem, options.queue ),
-            config = {
-            func: $.fn.animate,
+        var config,
+            queueWrapper = new queue.QueueWrapper( $elem, options.queue );
+
+        if ( options.signal && options.signal.aborted ) return dropAnimation( $elem, options, animationInfo, createAbortMessage( options.signal ) );
+        if ( options.signal && animationInfo ) options = addAbortSignal( $elem, options, animationInfo );
+
+        config = {
+            func: options.engine === norm.ENGINE_NATIVE ? animateNatively : options.engine === norm.ENGINE_RAF ? animateWithFrames : $.fn.animate,
             args: [ properties, options ],
             info: animationInfo
         };
 
+        if ( options.waitFor ) {
+            config.waitFor = createGatePromise( options.waitFor );
+            config.onDrop = function () {
+                dropAnimation( $elem, options, animationInfo, { cancelled: "waitFor" } );
+            };
+        }
+
+        // Resolves the target, and calls the exit callbacks, if the animation is finished before it has started. The
+        // target is adjusted as it would be when the animation starts. See lib.finishScrollAnimation().
+        if ( animationInfo ) {
+            animationInfo.resolveTarget = function () {
+                if ( options._adjustTarget ) options._adjustTarget( $.extend( {}, properties ), norm.normalizeContainer( $elem ) );
+            };
+
+            animationInfo.finish = function () {
+                var elem = $elem[0];
+
+                if ( options.done ) options.done.call( elem, undefined, true );
+                if ( options.complete ) options.complete.call( elem );
+                if ( options.always ) options.always.call( elem, undefined, true );
+            };
+        }
+
         queueWrapper.addToQueue( config );
     };
 
@@ -190,6 +720,9 @@
      * The last argument allows you to pass messages to the `fail` callbacks of ongoing and queued animations. Pass the
      * messages as a hash, and they will show up in the messages argument received by the callbacks.
      *
+     * The callbacks of queued animations which are removed before they have started are not called. But the
+     * `onRemove` hook in their animation info is, with the message container of the `fail` callback as argument.
+     *
      * Scroll animation queue
      * ----------------------
      *
@@ -215,7 +748,7 @@
      * @returns {StepHistory|undefined}
      */
     lib.stopScrollAnimation = function ( $scrollable, options, messages ) {
-        var history;
+        var history, queueWrapper, queuedEntries;
 
         options = $.extend( { jumpToTargetPosition: false }, options );
 
@@ -233,20 +766,123 @@
             // well). Manage that queue implicitly with the `append` option of $.fn.scrollTo, or perhaps call
             // $.fn.stopScroll explicitly when really necessary, and leave it at that.
 
-            $scrollable.stop( true, options.jumpToTargetPosition );
+            stopAnimations( $scrollable, undefined, options.jumpToTargetPosition );
         } else {
+            queueWrapper = new queue.QueueWrapper( $scrollable, options.queue );
             history = getCurrentStepHistory( $scrollable, options );
+            queuedEntries = getQueuedInfo( queueWrapper );
 
             // Ongoing and queued scroll animations are about to be stopped or removed. Allow messages to be sent to
             // their callbacks.
             if ( messages ) lib.notifyScrollCallbacks( $scrollable, messages, animationExitCallbacks, options.queue );
 
-            $scrollable.stop( options.queue, true, options.jumpToTargetPosition );
+            // A paused animation is stopped, too. The pause is over.
+            queueWrapper.clearPause();
+
+            stopAnimations( $scrollable, options.queue, options.jumpToTargetPosition );
+
+            $.each( queuedEntries, function ( index, info ) {
+                if ( info.onRemove ) info.onRemove( info.callbackMessages.fail );
+            } );
         }
 
         return history;
     };
 
+    /**
+     * Finishes all scroll animations in the queue at once, like $.fn.finish does for ordinary jQuery animations. Jumps
+     * to the final target of the queue, ie to the position which the queued animations would eventually arrive at (see
+     * lib.getLastTarget_QW()).
+     *
+     * The animation in progress is stopped and jumps to its end. The queued animations never start. The container
+     * jumps to the target of each of them in turn, and their `done`, `complete` and `always` callbacks are called as if
+     * the animations had jumped to their end. Because they haven't run, the `animation` argument of the callbacks is
+     * undefined. Targets which are resolved when an animation starts (see norm.normalizePosition()), and offset
+     * functions, are resolved when the container jumps to them. All of the callbacks receive a `finished: true` message.
+     *
+     * A pause of the queue is over, and queued animations which wait for a promise (see the waitFor option) don't wait
+     * any longer.
+     *
+     * Requires the actual scrollable element, as returned by $.fn.scrollable(). The options must have been normalized.
+     * Animations which bypass the queue (queue: false) can't be finished.
+     *
+     * @param {jQuery}         $scrollable
+     * @param {Object}         options
+     * @param {string|boolean} options.queue
+     */
+    lib.finishScrollAnimation = function ( $scrollable, options ) {
+        var queueWrapper, queuedEntries;
+
+        if ( options.queue === false ) throw new Error( "Can't finish scroll animations which bypass the queue (queue: false)" );
+
+        queueWrapper = new queue.QueueWrapper( $scrollable, options.queue );
+        queuedEntries = getQueuedInfo( queueWrapper );
+
+        lib.notifyScrollCallbacks( $scrollable, { finished: true }, [ "done", "complete", "always" ], options.queue );
+
+        queueWrapper.clearPause();
+        stopAnimations( $scrollable, options.queue, true );
+
+        $.each( queuedEntries, function ( index, info ) {
+            if ( info.resolveTarget ) info.resolveTarget();
+            jumpToPosition( $scrollable, info.position );
+
+            if ( info.finish ) info.finish();
+        } );
+    };
+
+    /**
+     * Pauses the scroll animation which is in progress, and holds the queued animations until
+     * lib.resumeScrollAnimation() is called. Does nothing if the queue is paused already.
+     *
+     * The animation in progress is frozen at its current position (see freezeAnimations()). It isn't stopped, so its
+     * elapsed time, its step history and its callback message containers are kept. Queued animations don't start (see
+     * QueueWrapper.pause()). The animation info in the queue is flagged with `paused: true`.
+     *
+     * The pause ends when the animation is resumed, or when it is stopped (see lib.stopScrollAnimation()).
+     *
+     * Requires the actual scrollable element, as returned by $.fn.scrollable(). The options must have been normalized.
+     * Animations which bypass the queue (queue: false) can't be paused.
+     *
+     * @param {jQuery}         $scrollable
+     * @param {Object}         options
+     * @param {string|boolean} options.queue
+     */
+    lib.pauseScrollAnimation = function ( $scrollable, options ) {
+        var queueWrapper, thawFunctions;
+
+        if ( options.queue === false ) throw new Error( "Can't pause scroll animations which bypass the queue (queue: false)" );
+
+        queueWrapper = new queue.QueueWrapper( $scrollable, options.queue );
+        if ( queueWrapper.isPaused() ) return;
+
+        thawFunctions = freezeAnimations( $scrollable, options.queue );
+
+        queueWrapper.pause( function () {
+            var info = queueWrapper.getFirstInfo();
+
+            // The position may have changed during the pause. User scroll detection must not mistake that for a user
+            // scroll when the animation moves on. See addUserScrollDetection().
+            if ( info ) info.history.isResumed = true;
+
+            $.each( thawFunctions, function ( index, thaw ) { thaw(); } );
+        } );
+    };
+
+    /**
+     * Resumes a scroll animation which has been paused with lib.pauseScrollAnimation(), and releases the queued
+     * animations. Does nothing if the queue is not paused.
+     *
+     * Requires the actual scrollable element, as returned by $.fn.scrollable(). The options must have been normalized.
+     *
+     * @param {jQuery}         $scrollable
+     * @param {Object}         options
+     * @param {string|boolean} options.queue
+     */
+    lib.resumeScrollAnimation = function ( $scrollable, options ) {
+        if ( options.queue !== false ) new queue.QueueWrapper( $scrollable, options.queue ).resume();
+    };
+
     /**
      * Transfers all properties of a message object to the message containers in the queue. Can be restricted to message
      * containers for specific types of callbacks (e.g. for `done`, `always` callbacks only).
@@ -346,6 +982,39 @@
         return lib.getLastStepHistory_QW( new queue.QueueWrapper( core.getScrollable( $container ), options.queue ) );
     };
 
+    /**
+     * Returns the velocity of a scroll animation, per axis, in px/ms, based on the last steps recorded in its step
+     * history. The velocity refers to the native scroll values (scrollLeft, scrollTop), as do the step positions.
+     *
+     * The velocity is 0 on an axis if there are not enough steps to go by, or if the last step is too old to reflect
+     * an ongoing movement (more than 100ms). If the history is undefined, the velocity is 0 on both axes.
+     *
+     * @param   {StepHistory|undefined} history
+     * @returns {Coordinates}
+     */
+    lib.getScrollVelocity = function ( history ) {
+        var velocity = {},
+            now = $.now();
+
+        $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+            var i, previous,
+                samples = history && history.motion ? history.motion[axis] : [],
+                last = samples[samples.length - 1];
+
+            velocity[axis] = 0;
+            if ( !last || now - last.time > velocitySampleMaxAge ) return;
+
+            // Find the most recent step which has been taken at an earlier point in time than the last one.
+            for ( i = samples.length - 2; i >= 0 && !previous; i-- ) {
+                if ( samples[i].time < last.time ) previous = samples[i];
+            }
+
+            if ( previous ) velocity[axis] = ( last.position - previous.position ) / ( last.time - previous.time );
+        } );
+
+        return velocity;
+    };
+
     /**
      * Does the actual work of getLastStepHistory(). See there for more.
      *
@@ -382,7 +1051,8 @@
      * restricted to a single axis.
      *
      * Values are absolute, fully resolved target positions and numeric. If there is no info for an axis (because the
-     * queue is empty or animations target the other axis only), norm.IGNORE_AXIS is returned for it.
+     * queue is empty or animations target the other axis only), norm.IGNORE_AXIS is returned for it. Targets which are
+     * not resolved yet (see norm.normalizePosition()) don't provide any info.
      *
      * @param   {queue.QueueWrapper} queueWrapper
      * @param   {string}             [axis="both"]  "horizontal", "vertical", "both"
@@ -410,10 +1080,29 @@
         return returnBothAxes ? last : last[axis];
     };
 
+    /**
+     * Returns whether the queue contains a scroll animation with an unresolved target position, ie a position which is
+     * resolved only when the animation starts. See norm.normalizePosition().
+     *
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @returns {boolean}
+     */
+    lib.hasUnresolvedTarget_QW = function ( queueWrapper ) {
+        var hasUnresolved = false;
+
+        $.each( queueWrapper.getInfo(), function ( index, info ) {
+            hasUnresolved = hasUnresolved || !!( info.position && info.position.isUnresolved );
+        } );
+
+        return hasUnresolved;
+    };
+
     /**
      * Checks if a target position is redundant when compared to an existing position.
      *
-     * If an axis in the target is ignored, it is considered to match any position.
+     * If an axis in the target is ignored, it is considered to match any position. An unresolved target (see
+     * norm.normalizePosition()) is never redundant, and neither is a target which is reached by way of intermediate
+     * waypoints.
      *
      * @param   {Coordinates} target     must be normalized
      * @param   {Coordinates} compareTo  must be normalized
@@ -427,13 +1116,16 @@
             matchesX = newX === norm.IGNORE_AXIS || newX === lastX,
             matchesY = newY === norm.IGNORE_AXIS || newY === lastY;
 
-        return matchesX && matchesY;
+        return !target.isUnresolved && !( target.waypoints && target.waypoints.length ) && matchesX && matchesY;
     };
 
     /**
      * Returns the current scroll position for a container on both axes, or on a specific axis if requested. The
      * container element is expected to be normalized.
      *
+     * The position is logical, ie measured from the start of the axis, even if the axis is reversed (e.g. in a
+     * right-to-left container). See lib.isReversedAxis().
+     *
      * For both axes, a coordinates hash is returned, otherwise a number.
      *
      * @param   {jQuery} $container
@@ -444,32 +1136,406 @@
         var coords = {};
 
         if ( !axis || axis === norm.BOTH_AXES ) {
-            coords[norm.HORIZONTAL] = $container.scrollLeft();
-            coords[norm.VERTICAL] = $container.scrollTop();
+            coords[norm.HORIZONTAL] = lib.getCurrentScrollPosition( $container, norm.HORIZONTAL );
+            coords[norm.VERTICAL] = lib.getCurrentScrollPosition( $container, norm.VERTICAL );
+            return coords;
         }
 
-        return axis === norm.HORIZONTAL ? $container.scrollLeft() : axis === norm.VERTICAL ? $container.scrollTop() : coords;
-    };
-
-    lib.isString = function ( value ) {
-        return typeof value === 'string' || value instanceof String;
-    };
-
-    lib.isNumber = function ( value ) {
-        return ( typeof value === 'number' || value instanceof Number ) && ! isNaN( value );
-    };
-
-    lib.isInArray = function ( value, arr ) {
-        return $.inArray( value, arr ) !== -1;
+        return axis === norm.HORIZONTAL ?
+               lib.toLogicalScrollPosition( $container, axis, $container.scrollLeft() ) :
+               lib.toLogicalScrollPosition( $container, axis, $container.scrollTop() );
     };
 
     /**
-     * Adds user scroll detection to the animation options, and returns the updated options hash.
+     * Returns whether the user prefers reduced motion, as reported by the prefers-reduced-motion media query.
      *
-     * User scrolling is detected in the `step` callback. If the user has provided a step callback, it is called from
-     * the wrapper `step` function which is added here.
+     * The media query is set up on first use. From then on, a change listener keeps track of it, so a change of the
+     * system setting applies to every scroll animation which starts afterwards. If matchMedia is not supported, false
+     * is returned.
      *
-     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     * The internal setting $.scrollable._prefersReducedMotion overrides the media query if it is set to a boolean.
+     *
+     * @returns {boolean}
+     */
+    lib.prefersReducedMotion = function () {
+        var onChange = function ( event ) {
+            isReducedMotionPreferred = event.matches;
+        };
+
+        if ( typeof $.scrollable._prefersReducedMotion === "boolean" ) return $.scrollable._prefersReducedMotion;
+
+        if ( reducedMotionQuery === undefined ) {
+            reducedMotionQuery = window.matchMedia ? window.matchMedia( "(prefers-reduced-motion: reduce)" ) : null;
+
+            if ( reducedMotionQuery ) {
+                isReducedMotionPreferred = reducedMotionQuery.matches;
+
+                // Older versions of Safari only support the deprecated addListener() method.
+                if ( reducedMotionQuery.addEventListener ) {
+                    reducedMotionQuery.addEventListener( "change", onChange );
+                } else if ( reducedMotionQuery.addListener ) {
+                    reducedMotionQuery.addListener( onChange );
+                }
+            }
+        }
+
+        return isReducedMotionPreferred;
+    };
+
+    lib.isElement = function ( value ) {
+        return !!value && value.nodeType === 1;
+    };
+
+    lib.isString = function ( value ) {
+        return typeof value === 'string' || value instanceof String;
+    };
+
+    lib.isNumber = function ( value ) {
+        return ( typeof value === 'number' || value instanceof Number ) && ! isNaN( value );
+    };
+
+    lib.isInArray = function ( value, arr ) {
+        return $.inArray( value, arr ) !== -1;
+    };
+
+    /**
+     * Makes sure that a user-provided step callback receives the logical scroll position, ie the position measured from
+     * the start of the axis, even if the axis is reversed (see lib.isReversedAxis()). Returns the updated options hash.
+     *
+     * Internally, the tweens animate the native scrollLeft and scrollTop values. On a reversed axis, these are
+     * different from the logical position. The `now` argument passed to the step callback is converted here. The tween
+     * itself is passed on unchanged.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged. If there is no
+     * step callback, the options are returned as they are.
+     *
+     * @param   {Object} animationOptions  must be normalized
+     * @returns {Object}
+     */
+    function addLogicalStepPosition ( animationOptions ) {
+        var modifiedOptions,
+            userStepCb = animationOptions.step;
+
+        if ( !userStepCb ) return animationOptions;
+
+        modifiedOptions = $.extend( {}, animationOptions );
+        modifiedOptions.step = function ( now, tween ) {
+            var args = $.makeArray( arguments ),
+                axis = tween.prop === "scrollTop" ? norm.VERTICAL : tween.prop === "scrollLeft" ? norm.HORIZONTAL : undefined;
+
+            if ( axis ) args[0] = lib.toLogicalScrollPosition( norm.normalizeContainer( $( tween.elem ) ), axis, now );
+            return userStepCb.apply( this, args );
+        };
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Adds motion tracking to the animation options, and returns the updated options hash. The position and time of
+     * each animation step are recorded in the `motion` property of the step history, so the velocity of the animation
+     * can be determined when it is interrupted (see lib.getScrollVelocity()). Only the last few steps per axis are
+     * kept.
+     *
+     * The position is recorded after user scroll detection has run, so it is the position which is actually set.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object}      animationOptions
+     * @param   {StepHistory} history
+     * @returns {Object}
+     */
+    function addMotionTracking ( animationOptions, history ) {
+        var userStepCb = animationOptions.step,
+            modifiedOptions = $.extend( {}, animationOptions );
+
+        history.motion || ( history.motion = { horizontal: [], vertical: [] } );
+
+        modifiedOptions.step = function ( now, tween ) {
+            var samples,
+                axis = tween.prop === "scrollTop" ? norm.VERTICAL : tween.prop === "scrollLeft" ? norm.HORIZONTAL : undefined;
+
+            if ( axis ) {
+                samples = history.motion[axis];
+                samples.push( { time: $.now(), position: tween.now } );
+                if ( samples.length > motionSampleCount ) samples.shift();
+            }
+
+            return userStepCb && userStepCb.apply( this, $.makeArray( arguments ) );
+        };
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Makes an animation inherit the velocity of the animation it replaces, and returns the updated options hash. See
+     * addMotionTracking() and lib.getScrollVelocity().
+     *
+     * The velocity is read from the step history when the animation starts. In each step, a correction is added to the
+     * eased position. It is shaped by a cubic Hermite basis function, h(t) = t - 2t² + t³, which is zero at the start
+     * and at the end of the animation (t being the elapsed fraction of the duration). Its slope is 1 at the start and 0
+     * at the end. The correction is scaled such that the initial velocity of the movement matches the inherited one,
+     * and the movement still arrives at the target, at the speed the easing dictates.
+     *
+     * The inherited velocity is capped, so the movement doesn't overshoot the target by much. On an axis which doesn't
+     * have a distance to travel, the velocity is not inherited.
+     *
+     * The correction is applied before user scroll detection, so the corrected position is the expected one.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object}      animationOptions
+     * @param   {StepHistory} history           the history of the animation which is replaced
+     * @returns {Object}
+     */
+    function addVelocityInheritance ( animationOptions, history ) {
+        var velocity, startTime, duration,
+            userStartCb = animationOptions.start,
+            userStepCb = animationOptions.step,
+            modifiedOptions = $.extend( {}, animationOptions );
+
+        modifiedOptions.start = function ( animation ) {
+            velocity = lib.getScrollVelocity( history );
+            startTime = animation.startTime || $.now();
+            duration = animation.duration;
+
+            return userStartCb && userStartCb.apply( this, $.makeArray( arguments ) );
+        };
+
+        modifiedOptions.step = function ( now, tween ) {
+            var t, distance, inherited, cap,
+                args = $.makeArray( arguments ),
+                axis = tween.prop === "scrollTop" ? norm.VERTICAL : tween.prop === "scrollLeft" ? norm.HORIZONTAL : undefined;
+
+            // The final step (tween.pos === 1) must hit the target exactly, so it is left alone.
+            if ( axis && velocity && velocity[axis] && duration && tween.pos < 1 ) {
+                t = Math.min( ( $.now() - startTime ) / duration, 1 );
+                distance = tween.end - tween.start;
+                cap = 3 * Math.abs( distance );
+                inherited = Math.max( -cap, Math.min( cap, velocity[axis] * duration ) );
+
+                tween.now += ( inherited - distance * getInitialEasingSlope( tween.easing, duration ) ) * ( t - 2 * t * t + t * t * t );
+                args[0] = tween.now;
+            }
+
+            return userStepCb && userStepCb.apply( this, args );
+        };
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Returns the slope of an easing function at the start, ie its derivative at 0. Approximated numerically. Returns 0
+     * if the easing is not found.
+     *
+     * @param   {string} easingName
+     * @param   {number} duration
+     * @returns {number}
+     */
+    function getInitialEasingSlope ( easingName, duration ) {
+        var p = 0.001,
+            easing = ( $.easing && $.easing[easingName] ) || builtInEasings[easingName];
+
+        return easing ? easing( p, duration * p, 0, 1, duration ) / p : 0;
+    }
+
+    /**
+     * Sets up an easing and a duration per axis, and returns the updated options hash. The easing and duration options
+     * are expected to be normalized, ie to be either a hash of values per axis, or a single value for both axes.
+     *
+     * Both axes are animated in a single animation, so the callbacks are called just once, and the animation is
+     * stopped as a whole. If only the easing differs between the axes, the jQuery specialEasing option takes care of
+     * it. If the durations differ, the animation lasts as long as the slowest axis needs. The timing of each axis is
+     * stored in the private _axisTiming property then, and the course of each axis is set up as the animation starts
+     * (see getTweenCurve()).
+     *
+     * Throws an error if an easing is not found.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object} animationOptions
+     * @returns {Object}
+     */
+    function addAxisTiming ( animationOptions ) {
+        var modifiedOptions = $.extend( {}, animationOptions ),
+            easing = animationOptions.easing,
+            duration = animationOptions.duration,
+            timing = {};
+
+        delete modifiedOptions.easing;
+
+        $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+            timing[axis] = {
+                easing: $.isPlainObject( easing ) ? easing[axis] : easing || "swing",
+                duration: getDuration( $.isPlainObject( duration ) ? duration[axis] : duration )
+            };
+
+            getEasing( timing[axis].easing );
+        } );
+
+        if ( $.isPlainObject( duration ) ) {
+            // The actual duration is set when the animation starts, see prepareScrollAnimation()
+            modifiedOptions._axisTiming = timing;
+            modifiedOptions.duration = Math.max( timing[norm.HORIZONTAL].duration, timing[norm.VERTICAL].duration );
+        } else {
+            modifiedOptions.specialEasing = {
+                scrollLeft: timing[norm.HORIZONTAL].easing,
+                scrollTop: timing[norm.VERTICAL].easing
+            };
+        }
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Makes the animation follow a custom course on each axis, rather than a single easing, and returns the updated
+     * options hash. The course is either the result of a physics simulation, a spring or an inertial deceleration, or
+     * an easing with a duration of its own on each axis (see addAxisTiming()).
+     *
+     * The course of each axis is set up as the animation starts, and the duration of the animation is derived from it
+     * (see prepareScrollAnimation() and getTweenCurve()). The tweens run with linear easing, so tween.pos is the
+     * elapsed fraction of the duration. The step wrapper replaces the position of each step with the position the
+     * course has reached by then. The final step is left alone, so the animation ends exactly at the target.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object} animationOptions
+     * @returns {Object}
+     */
+    function addTweenCurves ( animationOptions ) {
+        var userStepCb = animationOptions.step,
+            modifiedOptions = $.extend( {}, animationOptions, { easing: "linear" } );
+
+        delete modifiedOptions.specialEasing;
+
+        modifiedOptions.step = function ( now, tween ) {
+            var args = $.makeArray( arguments ),
+                progress = getTweenProgress( tween );
+
+            if ( progress !== tween.pos && tween.pos < 1 ) {
+                tween.now = tween.start + ( tween.end - tween.start ) * progress;
+                args[0] = tween.now;
+            }
+
+            return userStepCb && userStepCb.apply( this, args );
+        };
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Returns the progress of a tween, as a fraction of the distance between start and end. Usually, that is the eased
+     * position, tween.pos. If the animation follows a custom course on each axis (see addTweenCurves()), the progress
+     * is taken from it. A spring may overshoot, so the progress can be larger than 1 then.
+     *
+     * @param   {Object} tween
+     * @returns {number}
+     */
+    function getTweenProgress ( tween ) {
+        var options = tween.options,
+            curve = options && options._tweenCurves && options._tweenCurves[tween.prop],
+            pos = tween.pos || 0;
+
+        return curve ? curve.progress( pos * options.duration ) : pos;
+    }
+
+    /**
+     * Makes the animation run through a list of waypoints, in a single movement, and returns the updated options hash.
+     * See norm.normalizePosition() for the waypoints, and getWaypointPath() for the shape of the path.
+     *
+     * The path is set up as the animation starts. It leads from the current position through the waypoints to the
+     * target, and its length determines the duration (see prepareScrollAnimation()). The prefilter calls the
+     * `_tracePath` function created here. The easing applies to the path as a whole: the step wrapper replaces the
+     * position on each axis with the point the movement has reached, at the eased fraction of the path length. The
+     * final step is left alone, so the animation ends exactly at the target.
+     *
+     * The progress callback receives a fourth argument, describing the segment of the path the movement is in, as a
+     * hash `{ segment: index, segments: count, waypoint: Coordinates }`. The segments are numbered from 0, and each one
+     * ends at the waypoint it is named after, ie the last segment ends at the target. The waypoint is a logical
+     * position.
+     *
+     * The path is computed before user scroll detection runs, so the position on the path is the expected one.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object}        animationOptions  must be normalized
+     * @param   {AnimationInfo} animationInfo
+     * @returns {Object}
+     */
+    function addWaypointPath ( animationOptions, animationInfo ) {
+        var path, $pathContainer, current,
+            userStepCb = animationOptions.step,
+            userProgressCb = animationOptions.progress,
+            modifiedOptions = $.extend( {}, animationOptions );
+
+        modifiedOptions._tracePath = function ( properties, $container ) {
+            var target = {},
+                points = [ lib.getCurrentScrollPosition( $container ) ],
+                axes = [];
+
+            target[norm.HORIZONTAL] = "scrollLeft" in properties ? properties.scrollLeft : norm.IGNORE_AXIS;
+            target[norm.VERTICAL] = "scrollTop" in properties ? properties.scrollTop : norm.IGNORE_AXIS;
+
+            // A waypoint may leave out an axis which is animated nonetheless (e.g. in merge mode). It stays where the
+            // preceding point has left it.
+            $.each( ( animationInfo.position.waypoints || [] ).concat( target ), function ( index, waypoint ) {
+                var point = $.extend( {}, points[points.length - 1] );
+
+                $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+                    if ( waypoint[axis] !== norm.IGNORE_AXIS ) point[axis] = waypoint[axis];
+                } );
+
+                points.push( point );
+            } );
+
+            $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+                if ( target[axis] !== norm.IGNORE_AXIS ) axes.push( axis );
+            } );
+
+            $pathContainer = $container;
+            path = getWaypointPath( points, animationOptions.path, axes );
+
+            return path.length;
+        };
+
+        modifiedOptions.step = function ( now, tween ) {
+            var args = $.makeArray( arguments ),
+                axis = tween.prop === "scrollTop" ? norm.VERTICAL : tween.prop === "scrollLeft" ? norm.HORIZONTAL : undefined;
+
+            if ( axis && path ) {
+                current = path.at( tween.pos );
+
+                if ( tween.pos < 1 ) {
+                    tween.now = lib.toNativeScrollPosition( $pathContainer, axis, norm.limitToScrollRange( current.position[axis], $pathContainer, axis ) );
+                    args[0] = tween.now;
+                }
+            }
+
+            return userStepCb && userStepCb.apply( this, args );
+        };
+
+        if ( userProgressCb ) {
+            modifiedOptions.progress = function ( animation, progress, remainingMs ) {
+                var segment = current ? current.segment : 0,
+                    pathInfo = path && {
+                        segment: segment,
+                        segments: path.points.length - 1,
+                        waypoint: $.extend( {}, path.points[segment + 1] )
+                    };
+
+                return userProgressCb.call( this, animation, progress, remainingMs, pathInfo );
+            };
+        }
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Adds user scroll detection to the animation options, and returns the updated options hash.
+     *
+     * User scrolling is detected in the `step` callback. If the user has provided a step callback, it is called from
+     * the wrapper `step` function which is added here.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
      *
      * NB Step wrapper vs propHooks:
      *
@@ -522,6 +1588,16 @@
                         scrollLeft: false
                     };
 
+                // After a pause, the real position may be anywhere. The user may have scrolled in the meantime, or the
+                // retargeting may have moved the animation on. None of it counts as a user scroll which cancels the
+                // animation, so detection starts afresh. See lib.pauseScrollAnimation().
+                if ( history.isResumed ) {
+                    lastExpected = {};
+                    cumulativeDelta.scrollTop = cumulativeDelta.scrollLeft = 0;
+                    history.real.length = history.expected.length = 0;
+                    delete history.isResumed;
+                }
+
                 // Get the actual last position.
                 //
                 // The step callback executes _before_ the step executes. So the scroll state information gathered here
@@ -640,63 +1716,1184 @@
                 return userStartCb && userStartCb.apply( this, $.makeArray( arguments ) );
             };
 
-            modifiedOptions.always = function () {
-                // Remove the event handlers
-                $clickable.off( events, handler );
+            modifiedOptions.always = function () {
+                // Remove the event handlers
+                $clickable.off( events, handler );
+
+                // Call the user-provided `always` callback
+                return userAlwaysCb && userAlwaysCb.apply( this, $.makeArray( arguments ) );
+            };
+
+        }
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Replaces each animation exit callback (complete, done, fail, always) in the animation options with a wrapper
+     * function which calls the original callback, adding a message container to the callback arguments.
+     *
+     * Expects the animation options and the (outer) message container as arguments. Returns the modified animation
+     * options. Leaves the original options untouched.
+     *
+     * For callbacks which receive two arguments (done, fail, always), the message container is added as the third one.
+     * The complete callback, which is called without arguments out of the box, receives the message container as the
+     * only argument.
+     *
+     * @param   {Object} animationOptions
+     * @param   {Object} outerMessageContainer
+     * @returns {Object}
+     */
+    function addMessagingToCallbacks ( animationOptions, outerMessageContainer ) {
+        var callbacks = lib.getExitCallbacks( animationOptions ),
+            modifiedOptions = animationOptions ? $.extend( {}, animationOptions ) : {};
+
+        $.each( callbacks, function ( callbackName, callback ) {
+            var messageContainer = outerMessageContainer[callbackName];
+
+            modifiedOptions[callbackName] = function () {
+                var args = $.makeArray( arguments );
+
+                // Callbacks with arguments (done, fail, always) are supposed to receive two arguments, but jQuery omits
+                // the second argument, jumpedToEnd, if the jumpedToEnd flag has not been used. Add it with value
+                // undefined if necessary.
+                if ( args.length === 1 ) args.push( undefined );
+
+                // Add the message container as the third argument (or, in the case of the `complete` callback, as the
+                // first and only argument).
+                //
+                // We ensure the argument position explicitly, rather than just append the argument at the end, in case
+                // undocumented arguments get passed to the callbacks in some versions of jQuery.
+                args.splice( 2, 0, messageContainer );
+
+                // Call the original callback
+                callback.apply( this, args );
+            };
+
+        } );
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Returns a jQuery promise which is resolved when all thenables are resolved, and rejected as soon as one of them is
+     * rejected.
+     *
+     * The promise is always settled asynchronously, even if the thenables have been settled already. jQuery deferreds
+     * (before jQuery 3) run their callbacks synchronously, and the queue gate waiting for the promise must not be
+     * released before the gated animation has made it into the queue.
+     *
+     * @param   {Object[]} thenables
+     * @returns {Object}
+     */
+    function createGatePromise ( thenables ) {
+        var gate = $.Deferred(),
+            pending = thenables.length;
+
+        $.each( thenables, function ( index, thenable ) {
+            thenable.then( function () {
+                pending--;
+                if ( !pending ) setTimeout( gate.resolve, 0 );
+            }, function () {
+                setTimeout( gate.reject, 0 );
+            } );
+        } );
+
+        return gate.promise();
+    }
+
+    /**
+     * Sets up a deferred target position to be resolved when the animation starts, and returns the updated options
+     * hash. The resolved position replaces the unresolved one in the animation info, and the animated properties are
+     * set accordingly. If an axis turns out to be ignored, its property is removed from the animation.
+     *
+     * The work is done by the $.Animation prefilter (see below), which calls the `_adjustTarget` function created
+     * here.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object}        animationOptions  must be normalized
+     * @param   {AnimationInfo} animationInfo     its position must be an unresolved position, see
+     *                                            norm.normalizePosition()
+     * @returns {Object}
+     */
+    function addDeferredPosition ( animationOptions, animationInfo ) {
+        var modifiedOptions = $.extend( {}, animationOptions );
+
+        modifiedOptions._adjustTarget = function ( properties ) {
+            var position = animationInfo.position = animationInfo.position.resolve(),
+                posX = position[norm.HORIZONTAL],
+                posY = position[norm.VERTICAL];
+
+            if ( posX === norm.IGNORE_AXIS ) {
+                delete properties.scrollLeft;
+            } else {
+                properties.scrollLeft = posX;
+            }
+
+            if ( posY === norm.IGNORE_AXIS ) {
+                delete properties.scrollTop;
+            } else {
+                properties.scrollTop = posY;
+            }
+        };
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Sets up an offset function, passed in with the `offset` option, to be evaluated when the animation starts, and
+     * returns the updated options hash.
+     *
+     * The function is called with the container as context (the window, for window scroll animations) and as the only
+     * argument. It can return a number, or a hash of numbers per axis, just like a static offset option. The result is
+     * subtracted from the target position, which is then limited to the scroll range again. The target position in the
+     * animation info is updated as well, and so are the waypoints leading up to it, if any.
+     *
+     * The work is done by the $.Animation prefilter (see below), which calls the `_adjustTarget` function created
+     * here.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object}        animationOptions  must be normalized
+     * @param   {AnimationInfo} animationInfo
+     * @returns {Object}
+     */
+    function addDeferredOffset ( animationOptions, animationInfo ) {
+        var offsetFunc = animationOptions.offset,
+            previousAdjustment = animationOptions._adjustTarget,
+            modifiedOptions = $.extend( {}, animationOptions );
+
+        modifiedOptions._adjustTarget = function ( properties, $container ) {
+            var target = {};
+
+            // Resolve the target first if it is deferred, too
+            if ( previousAdjustment ) previousAdjustment( properties, $container );
+
+            target[norm.HORIZONTAL] = "scrollLeft" in properties ? properties.scrollLeft : norm.IGNORE_AXIS;
+            target[norm.VERTICAL] = "scrollTop" in properties ? properties.scrollTop : norm.IGNORE_AXIS;
+
+            target.offsetExempt = animationInfo.position.offsetExempt;
+            target = applyOffsetFunction( offsetFunc, target, $container );
+
+            if ( "scrollLeft" in properties ) properties.scrollLeft = animationInfo.position[norm.HORIZONTAL] = target[norm.HORIZONTAL];
+            if ( "scrollTop" in properties ) properties.scrollTop = animationInfo.position[norm.VERTICAL] = target[norm.VERTICAL];
+
+            if ( animationInfo.position.waypoints ) {
+                animationInfo.position.waypoints = $.map( animationInfo.position.waypoints, function ( waypoint ) {
+                    return applyOffsetFunction( offsetFunc, waypoint, $container );
+                } );
+            }
+        };
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Calls an offset function and subtracts the result from a target position. Returns the offset target position,
+     * limited to the scroll range. Ignored axes are left alone, and so are axes which are exempt from the offset, e.g.
+     * relative ones ("+=", "-="), as flagged in the `offsetExempt` property of the target (see norm.normalizePosition()).
+     * See addDeferredOffset().
+     *
+     * @param   {Function}    offsetFunc
+     * @param   {Coordinates} target
+     * @param   {jQuery}      $container
+     * @returns {Coordinates}
+     */
+    function applyOffsetFunction ( offsetFunc, target, $container ) {
+        var offset = norm.normalizeOffset( offsetFunc.call( $container[0], $container ), "offset", $container ),
+            offsetTarget = {};
+
+        $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+            offsetTarget[axis] = target[axis] === norm.IGNORE_AXIS || ( target.offsetExempt && target.offsetExempt[axis] ) ?
+                                 target[axis] :
+                                 norm.limitToScrollRange( Math.round( target[axis] - offset[axis] ), $container, axis );
+        } );
+
+        return offsetTarget;
+    }
+
+    /**
+     * Sets up the retargeting of a scroll animation in flight, and returns the updated options hash.
+     *
+     * If the target position has been specified in symbolic terms (keywords like "bottom", percentages, elements), its
+     * px value depends on the layout. When the size of the container or its content changes while the animation is
+     * running, the target is recomputed (see the `recompute()` method of the position in norm.normalizePosition()). The
+     * running tweens are bent towards the new target, rather than restarted. The animation continues from where it is,
+     * and arrives at the new target when the original duration is up. A native scroll (see animateNatively()) is simply
+     * sent to the new target.
+     *
+     * Changes are detected with a ResizeObserver where available. Otherwise, the resize and orientationchange events of
+     * the window are used.
+     *
+     * The work is set up by the $.Animation prefilter (see below), which calls the `_watchTarget` function created here.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {Object}        animationOptions  must be normalized
+     * @param   {AnimationInfo} animationInfo
+     * @returns {Object}
+     */
+    function addRetargeting ( animationOptions, animationInfo ) {
+        var offsetFunc = $.isFunction( animationOptions.offset ) ? animationOptions.offset : undefined,
+            modifiedOptions = $.extend( {}, animationOptions );
+
+        modifiedOptions._watchTarget = function ( animation, $container ) {
+            var stopObserving;
+
+            // The target may only turn out to be symbolic when it is resolved, at the start of the animation. So we
+            // check here.
+            if ( !animationInfo.position.recompute ) return;
+
+            stopObserving = observeLayoutChanges( $container, function () {
+                var target = animationInfo.position.recompute();
+                if ( offsetFunc ) target = applyOffsetFunction( offsetFunc, target, $container );
+
+                if ( animation.redirect ) {
+                    $.each( animation.redirect( target ), function ( axis, position ) {
+                        if ( position !== norm.IGNORE_AXIS ) animationInfo.position[axis] = position;
+                    } );
+                } else {
+                    bendTweens( animation, target, $container, animationInfo );
+                }
+            } );
+
+            animation.always( stopObserving );
+        };
+
+        return modifiedOptions;
+    }
+
+    /**
+     * Adjusts the tweens of a running animation to arrive at a new target. The current position is preserved, so the
+     * movement changes course without a jump. The new target is recorded in the animation info.
+     *
+     * Each tween is interpolated from its start to its end value, according to its eased progress. We modify the start
+     * value such that the interpolation for the current progress still yields the current position. Over the rest of
+     * the animation, the movement then eases from the current position to the new end.
+     *
+     * The tweens animate the native scrollLeft and scrollTop values, so the (logical) target is converted first. See
+     * lib.toNativeScrollPosition().
+     *
+     * @param {Object}        animation      jQuery animation object, as passed to the $.Animation prefilter
+     * @param {Coordinates}   target
+     * @param {jQuery}        $container     must be normalized
+     * @param {AnimationInfo} animationInfo
+     */
+    function bendTweens ( animation, target, $container, animationInfo ) {
+        $.each( animation.tweens || [], function ( index, tween ) {
+            var axis = tween.prop === "scrollTop" ? norm.VERTICAL : norm.HORIZONTAL,
+                end = lib.toNativeScrollPosition( $container, axis, target[axis] ),
+                progress = getTweenProgress( tween ),
+                now = tween.now !== undefined ? tween.now : tween.start;
+
+            if ( end === norm.IGNORE_AXIS || end === tween.end || progress >= 1 ) return;
+
+            tween.start = Math.round( ( now - end * progress ) / ( 1 - progress ) );
+            tween.end = end;
+
+            animationInfo.position[axis] = target[axis];
+        } );
+    }
+
+    /**
+     * Observes changes in the size of a scroll container, or of its content, and calls the handler when they occur.
+     * Returns a function which stops the observation.
+     *
+     * Uses a ResizeObserver if the browser supports it. Otherwise, the handler is called on the resize and
+     * orientationchange events of the window. Content changes are not detected then.
+     *
+     * @param   {jQuery}   $container  must be normalized
+     * @param   {Function} handler
+     * @returns {Function}
+     */
+    function observeLayoutChanges ( $container, handler ) {
+        var observer, observed,
+            container = $container[0],
+            isWindow = $.isWindow( container ),
+            _document = isWindow ? container.document : container.ownerDocument,
+            _window = isWindow ? container : _document.defaultView,
+            $window = $( _window ),
+            events = "resize orientationchange";
+
+        if ( _window.ResizeObserver ) {
+
+            observed = isWindow ? [ _document.documentElement, _document.body ] : [ container ].concat( $container.children().get() );
+
+            observer = new _window.ResizeObserver( function () { handler(); } );
+            $.each( observed, function ( index, elem ) {
+                if ( elem ) observer.observe( elem );
+            } );
+
+            return function () { observer.disconnect(); };
+
+        } else {
+
+            $window.on( events, handler );
+            return function () { $window.off( events, handler ); };
+
+        }
+    }
+
+    /**
+     * Resolves the "auto" engine option and returns the engine to use: "native" if the animation can be handed over to
+     * the browser (see canUseNativeEngine()), "jquery" otherwise, or "raf" if $.fn.animate is not available (jQuery
+     * slim).
+     *
+     * @param   {jQuery} $elem    the scrollable element
+     * @param   {Object} options  must be normalized
+     * @returns {string}
+     */
+    function selectEngine ( $elem, options ) {
+        return canUseNativeEngine( $elem, options ) ? norm.ENGINE_NATIVE : $.fn.animate ? norm.ENGINE_JQUERY : norm.ENGINE_RAF;
+    }
+
+    /**
+     * Returns whether a scroll animation can be handed over to the browser, with the "auto" engine option. See
+     * animateNatively().
+     *
+     * That is the case if the browser supports smooth native scrolling, and if the animation doesn't need anything the
+     * browser can't provide: a custom easing, a physics simulation or a path through waypoints, step or progress
+     * callbacks, the detection of user scroll being turned off (a native scroll is always cut short by user scroll),
+     * or running outside of a queue.
+     *
+     * @param   {jQuery}  $elem    the scrollable element
+     * @param   {Object}  options  must be normalized
+     * @returns {boolean}
+     */
+    function canUseNativeEngine ( $elem, options ) {
+        var elem = $elem[0],
+            _document = elem.ownerDocument || elem.document,
+            container = norm.normalizeContainer( $elem )[0],
+            ignoresUserScroll = options.ignoreUser === true || options.ignoreUser === norm.IGNORE_USER_SCROLL_ONLY;
+
+        return "scrollBehavior" in _document.documentElement.style && $.isFunction( container.scrollTo ) &&
+               !options.easing && !options.physics && !options.path && !options.step && !options.progress &&
+               !ignoresUserScroll && options.queue !== false;
+    }
+
+    /**
+     * Scroll engine which delegates the animation to the browser, with a smooth native scroll (`scrollTo()` with
+     * `behavior: "smooth"`). Used instead of $.fn.animate with the engine option "native".
+     *
+     * Takes the scrollable element, followed by the arguments of $.fn.animate. Like $.fn.animate, it adds itself to the
+     * queue given by options.queue, and is flagged as a custom effect for the queue wrapper (see
+     * QueueWrapper.addToQueue()). The actual work is done by runNativeScroll() when the animation is dequeued.
+     *
+     * @param   {jQuery} $elem
+     * @param   {Object} properties  the animated properties (scrollLeft, scrollTop) and their logical target values
+     * @param   {Object} options     animation options, prepared by lib.addScrollAnimation()
+     * @returns {jQuery}
+     */
+    function animateNatively ( $elem, properties, options ) {
+        $elem.queue( options.queue, function ( next, hooks ) {
+            runNativeScroll( $elem, properties, options, next, hooks );
+        } );
+
+        return $elem;
+    }
+
+    animateNatively.isCustomEffect = true;
+
+    /**
+     * Runs a native scroll animation. See animateNatively().
+     *
+     * The animation is represented by a promise which mimics a jQuery animation object, so the callbacks receive the
+     * same arguments as they do for $.fn.animate. The target is adjusted and watched as it would be by the $.Animation
+     * prefilter. The animation can be stopped with $.fn.stop(), which invokes the stop hook of the queue, or with
+     * stopAnimations().
+     *
+     * The end of the scroll movement is detected with the scrollend event, or by polling the scroll position if the
+     * browser doesn't support the event. (Polling also serves as a safety net in case the event never fires.) If the
+     * movement ends before the target is reached, the user has interfered. The animation is then stopped with a
+     * `cancelled: "scroll"` message - unless user scroll is ignored, in which case the scroll movement is restarted.
+     *
+     * @param {jQuery}   $elem       the scrollable element
+     * @param {Object}   properties
+     * @param {Object}   options
+     * @param {Function} next        dequeues the next queue item
+     * @param {Object}   hooks       the queue hooks, as passed to the queued function by jQuery
+     */
+    function runNativeScroll ( $elem, properties, options, next, hooks ) {
+        var pollTimer, startPosition, lastPosition, lastChange, behavior,
+            isFinished = false,
+            isPaused = false,
+
+            elem = $elem[0],
+            $container = norm.normalizeContainer( $elem ),
+            container = $container[0],
+            _window = $.isWindow( container ) ? container : lib.ownerWindow( container ),
+            supportsScrollEnd = "onscrollend" in _window,
+            settleTime = supportsScrollEnd ? nativeScrollTimeout : nativeScrollSettleTime,
+            ignoresUserScroll = options.ignoreUser === true || options.ignoreUser === norm.IGNORE_USER_SCROLL_ONLY,
+
+            target = {},
+            deferred = $.Deferred(),
+
+            animation = deferred.promise( {
+                elem: elem,
+                props: properties,
+                opts: options,
+                tweens: [],
+                redirect: function ( newTarget ) {
+                    $.each( target, function ( axis, position ) {
+                        if ( position !== norm.IGNORE_AXIS ) target[axis] = newTarget[axis];
+                    } );
+
+                    if ( !isFinished && !isPaused ) scrollNatively( $container, target, behavior );
+                    return $.extend( {}, target );
+                }
+            } ),
+
+            getPosition = function () {
+                var current = lib.getCurrentScrollPosition( $container );
+
+                $.each( target, function ( axis, position ) {
+                    if ( position === norm.IGNORE_AXIS ) current[axis] = norm.IGNORE_AXIS;
+                } );
+
+                return current;
+            },
+
+            isAtTarget = function () {
+                return isNear( getPosition(), target, function ( axis, position ) {
+                    return norm.limitToScrollRange( position, $container, axis );
+                } );
+            },
+
+            finish = function ( isComplete, jumpedToEnd ) {
+                if ( isFinished ) return;
+                isFinished = true;
+
+                // Jump to the target, or halt the smooth scroll at the current position.
+                if ( jumpedToEnd ) {
+                    scrollNatively( $container, target, "instant" );
+                } else if ( !isComplete ) {
+                    scrollNatively( $container, getPosition(), "instant" );
+                }
+
+                if ( isComplete ) {
+                    deferred.resolveWith( elem, [ animation ] );
+                    next();
+                } else if ( jumpedToEnd ) {
+                    deferred.resolveWith( elem, [ animation, true ] );
+                } else {
+                    deferred.rejectWith( elem, [ animation, false ] );
+                }
+            },
+
+            onMovementEnd = function () {
+                if ( isFinished ) return;
+
+                if ( isAtTarget() ) {
+                    finish( true );
+                } else if ( ignoresUserScroll ) {
+                    startPosition = getPosition();
+                    scrollNatively( $container, target, behavior );
+                } else {
+                    lib.stopScrollAnimation( $elem, { queue: options.queue }, { cancelled: "scroll" } );
+                }
+            },
+
+            onScrollEnd = function () {
+                // A scrollend event may be left over from a movement which has ended just before this one started. It
+                // doesn't count unless the position has changed since.
+                if ( isAtTarget() || !isNear( getPosition(), startPosition ) ) onMovementEnd();
+            },
+
+            poll = function () {
+                var position = getPosition();
+
+                if ( isAtTarget() ) return finish( true );
+
+                if ( !isNear( position, lastPosition ) ) {
+                    lastPosition = position;
+                    lastChange = $.now();
+                } else if ( $.now() - lastChange >= settleTime ) {
+                    onMovementEnd();
+                    lastChange = $.now();
+                }
+
+                if ( !isFinished ) pollTimer = setTimeout( poll, nativeScrollPollInterval );
+            },
+
+            // The browser can't pause a smooth scroll. It is halted at the current position, and set off towards the
+            // target again when the animation is resumed.
+            pause = function () {
+                if ( isFinished || isPaused ) return;
+
+                isPaused = true;
+                clearTimeout( pollTimer );
+                $container.off( "scrollend", onScrollEnd );
+                scrollNatively( $container, getPosition(), "instant" );
+            },
+
+            resume = function () {
+                if ( isFinished || !isPaused ) return;
+
+                isPaused = false;
+                startPosition = lastPosition = getPosition();
+                lastChange = $.now();
+
+                if ( supportsScrollEnd ) $container.on( "scrollend", onScrollEnd );
+                scrollNatively( $container, target, behavior );
+                pollTimer = setTimeout( poll, nativeScrollPollInterval );
+            };
+
+        if ( options._adjustTarget ) options._adjustTarget( properties, $container );
+
+        target[norm.HORIZONTAL] = "scrollLeft" in properties ? properties.scrollLeft : norm.IGNORE_AXIS;
+        target[norm.VERTICAL] = "scrollTop" in properties ? properties.scrollTop : norm.IGNORE_AXIS;
+
+        // The browser can't shorten a smooth scroll. If the motion is to be reduced, the scroll jumps to the target.
+        behavior = getReducedMotionMode( options, $container, properties ) ? "instant" : "smooth";
+
+        hooks.stop = function ( gotoEnd ) {
+            finish( false, gotoEnd );
+        };
+
+        animation.always( registerCustomEffect( $elem, options.queue, hooks.stop, pause, resume ) );
+        animation.always( function () {
+            clearTimeout( pollTimer );
+            $container.off( "scrollend", onScrollEnd );
+        } );
+
+        animation.done( options.done, callComplete( options ) ).fail( options.fail ).always( options.always );
+
+        if ( ( "scrollLeft" in properties || "scrollTop" in properties ) && options._watchTarget ) options._watchTarget( animation, $container );
+        if ( options.start ) options.start.call( elem, animation );
+
+        // The start callback may have stopped the animation already.
+        if ( isFinished ) return;
+
+        startPosition = lastPosition = getPosition();
+        lastChange = $.now();
+
+        if ( !isAtTarget() ) {
+            if ( supportsScrollEnd ) $container.on( "scrollend", onScrollEnd );
+            scrollNatively( $container, target, behavior );
+        }
+
+        // Polling also completes the animation if there is nothing to do. We do it asynchronously even then, just like
+        // $.fn.animate.
+        pollTimer = setTimeout( poll, isAtTarget() ? 0 : nativeScrollPollInterval );
+    }
+
+    /**
+     * Returns a `done` handler which calls the `complete` callback in the animation options, if any, the way
+     * $.fn.animate does: in the context of the element, and without arguments. Used by the scroll engines other than
+     * $.fn.animate.
+     *
+     * @param   {Object}   options  animation options
+     * @returns {Function}
+     */
+    function callComplete ( options ) {
+        return function () {
+            if ( options.complete ) options.complete.call( this );
+        };
+    }
+
+    /**
+     * Scrolls a container natively, with the `scrollTo()` method of the element or window. The position is logical
+     * and converted to native values (see lib.toNativeScrollPosition()). Ignored axes are left alone.
+     *
+     * @param {jQuery}      $container  must be normalized
+     * @param {Coordinates} position
+     * @param {string}      behavior    "smooth" or "instant"
+     */
+    function scrollNatively ( $container, position, behavior ) {
+        var scrollOptions = { behavior: behavior };
+
+        if ( position[norm.HORIZONTAL] !== norm.IGNORE_AXIS ) scrollOptions.left = lib.toNativeScrollPosition( $container, norm.HORIZONTAL, position[norm.HORIZONTAL] );
+        if ( position[norm.VERTICAL] !== norm.IGNORE_AXIS ) scrollOptions.top = lib.toNativeScrollPosition( $container, norm.VERTICAL, position[norm.VERTICAL] );
+
+        $container[0].scrollTo( scrollOptions );
+    }
+
+    /**
+     * Returns whether two positions are within 1px of each other on every axis which is not ignored in the first one.
+     * Optionally, the values of the second position are transformed before the comparison.
+     *
+     * @param   {Coordinates} position
+     * @param   {Coordinates} compareTo
+     * @param   {Function}    [transform]  called with ( axis, value ), returns the transformed value
+     * @returns {boolean}
+     */
+    function isNear ( position, compareTo, transform ) {
+        var near = true;
+
+        $.each( [ norm.HORIZONTAL, norm.VERTICAL ], function ( index, axis ) {
+            var compareValue;
+
+            if ( position[axis] !== norm.IGNORE_AXIS ) {
+                compareValue = transform ? transform( axis, compareTo[axis] ) : compareTo[axis];
+                if ( Math.abs( position[axis] - compareValue ) > 1 ) near = false;
+            }
+        } );
+
+        return near;
+    }
+
+    /**
+     * Scroll engine which runs the animation on requestAnimationFrame, independently of jQuery.fx. Used instead of
+     * $.fn.animate with the engine option "raf", and by default if $.fn.animate is not available (jQuery slim).
+     *
+     * Takes the scrollable element, followed by the arguments of $.fn.animate. Like $.fn.animate, it adds itself to the
+     * queue given by options.queue, or runs immediately with queue: false. It is flagged as a custom effect for the
+     * queue wrapper (see QueueWrapper.addToQueue()). The actual work is done by runFrameAnimation().
+     *
+     * @param   {jQuery} $elem
+     * @param   {Object} properties  the animated properties (scrollLeft, scrollTop) and their logical target values
+     * @param   {Object} options     animation options, prepared by lib.addScrollAnimation()
+     * @returns {jQuery}
+     */
+    function animateWithFrames ( $elem, properties, options ) {
+        // Fail early if an easing is unknown, rather than when the animation is dequeued.
+        getEasing( options.easing || "swing" );
+        $.each( options.specialEasing || {}, function ( prop, easingName ) { getEasing( easingName ); } );
+
+        if ( options.queue === false ) {
+            runFrameAnimation( $elem, properties, options, $.noop, {} );
+        } else {
+            $elem.queue( options.queue, function ( next, hooks ) {
+                runFrameAnimation( $elem, properties, options, next, hooks );
+            } );
+        }
+
+        return $elem;
+    }
+
+    animateWithFrames.isCustomEffect = true;
+
+    /**
+     * Runs an animation on requestAnimationFrame. See animateWithFrames().
+     *
+     * Replicates the behaviour of a jQuery animation as closely as possible. The animation is represented by a promise
+     * which mimics a jQuery animation object, and its tweens mimic jQuery tweens. The animation is prepared as it would
+     * be by the $.Animation prefilter (see prepareScrollAnimation()). The callbacks are called with the same arguments,
+     * at the same points in time, as they are for $.fn.animate. Durations and easings are looked up in jQuery.fx.speeds
+     * and jQuery.easing, if available.
+     *
+     * The animation can be stopped with $.fn.stop(), which invokes the stop hook of the queue, or with
+     * stopAnimations(). It is unaffected by jQuery.fx.off.
+     *
+     * @param {jQuery}   $elem       the scrollable element
+     * @param {Object}   properties
+     * @param {Object}   options
+     * @param {Function} next        dequeues the next queue item
+     * @param {Object}   hooks       the queue hooks, as passed to the queued function by jQuery
+     */
+    function runFrameAnimation ( $elem, properties, options, next, hooks ) {
+        var frameTimer, elapsed,
+            isFinished = false,
+            isPaused = false,
+
+            elem = $elem[0],
+            _window = lib.ownerWindow( elem ),
+            opts = $.extend( {}, options, { duration: getDuration( options.duration ) } ),
+            deferred = $.Deferred(),
+
+            animation = deferred.promise( {
+                elem: elem,
+                props: properties,
+                opts: opts,
+                startTime: $.now(),
+                duration: opts.duration,
+                tweens: []
+            } ),
+
+            requestFrame = function ( callback ) {
+                frameTimer = _window.requestAnimationFrame ? _window.requestAnimationFrame( callback ) : setTimeout( callback, 13 );
+            },
+
+            cancelFrame = function () {
+                if ( _window.cancelAnimationFrame ) {
+                    _window.cancelAnimationFrame( frameTimer );
+                } else {
+                    clearTimeout( frameTimer );
+                }
+            },
+
+            finish = function ( isComplete, jumpedToEnd ) {
+                if ( isFinished ) return;
+                isFinished = true;
+
+                cancelFrame();
+
+                if ( isComplete ) {
+                    deferred.resolveWith( elem, [ animation ] );
+                    next();
+                } else if ( jumpedToEnd ) {
+                    $.each( animation.tweens, function ( index, tween ) { tween.run( 1 ); } );
+                    deferred.notifyWith( elem, [ animation, 1, 0 ] );
+                    deferred.resolveWith( elem, [ animation, true ] );
+                } else {
+                    deferred.rejectWith( elem, [ animation, false ] );
+                }
+            },
+
+            tick = function () {
+                var remaining = Math.max( 0, animation.startTime + animation.duration - $.now() ),
+                    percent = animation.duration ? 1 - remaining / animation.duration : 1;
+
+                if ( isFinished ) return;
+
+                $.each( animation.tweens, function ( index, tween ) { tween.run( percent ); } );
+
+                // A step callback may have stopped the animation.
+                if ( isFinished ) return;
+
+                deferred.notifyWith( elem, [ animation, percent, remaining ] );
+
+                // A callback may have paused the animation. See pause().
+                if ( percent < 1 ) {
+                    if ( !isPaused ) requestFrame( tick );
+                } else {
+                    finish( true );
+                }
+            },
+
+            pause = function () {
+                if ( isFinished || isPaused ) return;
+
+                isPaused = true;
+                elapsed = $.now() - animation.startTime;
+                cancelFrame();
+            },
+
+            resume = function () {
+                if ( isFinished || !isPaused ) return;
+
+                // The elapsed time is restored, so the animation picks up where it left off.
+                isPaused = false;
+                animation.startTime = $.now() - elapsed;
+                requestFrame( tick );
+            };
+
+        prepareScrollAnimation( animation, elem, properties, opts );
+
+        $.each( [ "scrollLeft", "scrollTop" ], function ( index, prop ) {
+            if ( prop in properties ) animation.tweens.push( createTween( animation, prop, properties[prop] ) );
+        } );
+
+        hooks.stop = function ( gotoEnd ) {
+            finish( false, gotoEnd );
+        };
+
+        animation.always( registerCustomEffect( $elem, opts.queue, hooks.stop, pause, resume ) );
+
+        if ( opts.start ) opts.start.call( elem, animation );
+
+        animation.progress( opts.progress ).done( opts.done, callComplete( opts ) ).fail( opts.fail ).always( opts.always );
+
+        requestFrame( tick );
+    }
+
+    /**
+     * Drops an animation which has not started: calls its `fail` and `always` callbacks, in the context of the element,
+     * with a message (if the animation info is available). The `animation` argument of the callbacks is undefined.
+     *
+     * @param {jQuery}        $elem
+     * @param {Object}        options          animation options
+     * @param {AnimationInfo} [animationInfo]
+     * @param {Object}        message
+     */
+    function dropAnimation ( $elem, options, animationInfo, message ) {
+        var elem = $elem[0];
+
+        if ( animationInfo ) {
+            $.extend( animationInfo.callbackMessages.fail, message );
+            $.extend( animationInfo.callbackMessages.always, message );
+        }
+
+        if ( options.fail ) options.fail.call( elem, undefined, false );
+        if ( options.always ) options.always.call( elem, undefined, false );
+    }
+
+    /**
+     * Sets up a scroll animation to be aborted when the signal in the animation options fires, and returns the updated
+     * options hash. See lib.addAnimation().
+     *
+     * The `fail` and `always` callbacks of the animation receive a `cancelled: "abort"` message, and the reason of the
+     * signal in a `reason` property. The other animations in the queue are not affected.
+     *
+     * If the animation is in progress, it is stopped where it is, and the queue moves on. A pause of the queue is over
+     * then, as it is with lib.stopScrollAnimation(). If the animation is still waiting in the queue, it is removed (see
+     * QueueWrapper.remove()) and dropped (see dropAnimation()).
+     *
+     * The event listener is removed from the signal when the animation is over, one way or another: in the `always`
+     * callback, which also runs if the animation is dropped or finished before it has started, and in the `onRemove`
+     * hook of the animation info, which runs if the animation is removed from the queue by lib.stopScrollAnimation().
+     * The signal doesn't keep the animation around once it is over, and doesn't have an effect on it any more.
+     *
+     * An independent, modified options hash is returned. The original options hash remains unchanged.
+     *
+     * @param   {jQuery}        $elem
+     * @param   {Object}        animationOptions  animation options
+     * @param   {AnimationInfo} animationInfo
+     * @returns {Object}
+     */
+    function addAbortSignal ( $elem, animationOptions, animationInfo ) {
+        var signal = animationOptions.signal,
+            userAlwaysCb = animationOptions.always,
+            infoRemoveCb = animationInfo.onRemove,
+            options = $.extend( {}, animationOptions ),
+
+            onAbort = function () {
+                var message = createAbortMessage( signal ),
+                    queueWrapper = new queue.QueueWrapper( $elem, options.queue ),
+                    isInProgress = isFirstAnimationInProgress( queueWrapper ) && queueWrapper.getFirstInfo() === animationInfo;
+
+                if ( signal.removeEventListener ) signal.removeEventListener( "abort", onAbort );
+
+                if ( isInProgress ) {
+                    // Queued animations which observe the same signal are dropped first. Otherwise, they would start
+                    // when the queue moves on, only to be aborted right away.
+                    $.each( queueWrapper.getInfo(), function ( index, info ) {
+                        if ( info !== animationInfo && info.signal === signal ) info.abort();
+                    } );
+
+                    $.extend( animationInfo.callbackMessages.fail, message );
+                    $.extend( animationInfo.callbackMessages.always, message );
+
+                    queueWrapper.clearPause();
+                    stopCurrentAnimation( $elem, options.queue );
+                } else {
+                    queueWrapper.remove( animationInfo, function () {
+                        dropAnimation( $elem, options, animationInfo, message );
+                    } );
+                }
+            },
+
+            stopObserving = function () {
+                if ( signal.removeEventListener ) signal.removeEventListener( "abort", onAbort );
+            };
+
+        options.always = function () {
+            stopObserving();
+            return userAlwaysCb && userAlwaysCb.apply( this, $.makeArray( arguments ) );
+        };
+
+        animationInfo.onRemove = function () {
+            stopObserving();
+            return infoRemoveCb && infoRemoveCb.apply( this, $.makeArray( arguments ) );
+        };
+
+        animationInfo.signal = signal;
+        animationInfo.abort = onAbort;
+
+        signal.addEventListener( "abort", onAbort );
+
+        return options;
+    }
+
+    /**
+     * Creates the message for the callbacks of an animation which is aborted by a signal.
+     *
+     * @param   {Object} signal  an AbortSignal, or an equivalent
+     * @returns {Object}
+     */
+    function createAbortMessage ( signal ) {
+        return { cancelled: "abort", reason: signal.reason };
+    }
+
+    /**
+     * Creates a tween for an animation run by runFrameAnimation(). The tween mimics a jQuery tween, as far as the step
+     * callback and the retargeting of the animation are concerned (see bendTweens()).
+     *
+     * The start value is the current value of the property. The easing is taken from the specialEasing option for the
+     * property, or from the easing option. It defaults to "swing".
+     *
+     * @param   {Object} animation
+     * @param   {string} prop       "scrollLeft" or "scrollTop"
+     * @param   {number} end        the native target value
+     * @returns {Object}
+     */
+    function createTween ( animation, prop, end ) {
+        var elem = animation.elem,
+            options = animation.opts,
+            easingName = ( options.specialEasing && options.specialEasing[prop] ) || options.easing || "swing",
+            easing = getEasing( easingName );
+
+        return {
+            elem: elem,
+            prop: prop,
+            easing: easingName,
+            options: options,
+            start: elem[prop],
+            now: elem[prop],
+            end: end,
+            unit: "px",
+
+            cur: function () {
+                return this.elem[this.prop];
+            },
+
+            run: function ( percent ) {
+                var duration = animation.duration;
+
+                this.pos = duration ? easing( percent, duration * percent, 0, 1, duration ) : percent;
+                this.now = ( this.end - this.start ) * this.pos + this.start;
+
+                // The step callback may change the current value (see addUserScrollDetection()), so it is applied
+                // afterwards.
+                if ( options.step ) options.step.call( this.elem, this.now, this );
+                this.elem[this.prop] = this.now;
+            }
+        };
+    }
+
+    /**
+     * Returns the duration of an animation in ms. Accepts a number, or the name of a duration ("slow", "fast"). Names
+     * are looked up in jQuery.fx.speeds if available (not in jQuery slim). Unknown names and other values return the
+     * default duration.
+     *
+     * Unlike jQuery, the method ignores jQuery.fx.off.
+     *
+     * @param   {number|string} [duration]
+     * @returns {number}
+     */
+    function getDuration ( duration ) {
+        var speeds = $.fx && $.fx.speeds || defaultSpeeds;
+
+        if ( lib.isNumber( duration ) ) return duration;
+        return lib.isString( duration ) && speeds[duration] !== undefined ? speeds[duration] : speeds._default;
+    }
+
+    /**
+     * Returns the easing function for a given name. Looks up jQuery.easing if available (not in jQuery slim), and
+     * falls back to the built-in easings "linear" and "swing". Throws an error if the easing is not found.
+     *
+     * @param   {string} name
+     * @returns {Function}
+     */
+    function getEasing ( name ) {
+        var easing = ( $.easing && $.easing[name] ) || builtInEasings[name];
+        if ( !$.isFunction( easing ) ) throw new Error( 'Unknown easing "' + name + '"' );
+        return easing;
+    }
+
+    /**
+     * Returns an easing function for a cubic Bézier curve from (0, 0) to (1, 1), with the control points (x1, y1) and
+     * (x2, y2). It works like the CSS `cubic-bezier()` timing function: the time fraction is the x coordinate of the
+     * curve, and the eased progress the y coordinate.
+     *
+     * The curve parameter for a given time fraction is found with Newton's method, which converges in a few
+     * iterations for most curves. If it doesn't, the parameter is found by bisection.
+     *
+     * @param   {number} x1
+     * @param   {number} y1
+     * @param   {number} x2
+     * @param   {number} y2
+     * @returns {Function}
+     */
+    function getCubicBezierEasing ( x1, y1, x2, y2 ) {
+        var coordinate = function ( t, p1, p2 ) {
+                return 3 * p1 * t * ( 1 - t ) * ( 1 - t ) + 3 * p2 * t * t * ( 1 - t ) + t * t * t;
+            },
+            slope = function ( t, p1, p2 ) {
+                return 3 * p1 * ( 1 - t ) * ( 1 - t ) + 6 * ( p2 - p1 ) * t * ( 1 - t ) + 3 * ( 1 - p2 ) * t * t;
+            };
+
+        return function ( p ) {
+            var i, error, derivative,
+                t = p,
+                lower = 0,
+                upper = 1;
+
+            if ( p <= 0 || p >= 1 ) return p <= 0 ? 0 : 1;
+
+            for ( i = 0; i < 8; i++ ) {
+                error = coordinate( t, x1, x2 ) - p;
+                if ( Math.abs( error ) < bezierPrecision ) return coordinate( t, y1, y2 );
+
+                derivative = slope( t, x1, x2 );
+                if ( Math.abs( derivative ) < bezierPrecision ) break;
+
+                t -= error / derivative;
+                if ( t < 0 || t > 1 ) break;
+            }
+
+            t = p;
+            while ( upper - lower > bezierPrecision ) {
+                if ( coordinate( t, x1, x2 ) < p ) {
+                    lower = t;
+                } else {
+                    upper = t;
+                }
+                t = ( lower + upper ) / 2;
+            }
+
+            return coordinate( t, y1, y2 );
+        };
+    }
+
+    /**
+     * Registers a custom effect, ie an animation which is not run by jQuery, as being in progress on an element. Returns
+     * a function which removes the entry again.
+     *
+     * The registry allows stopAnimations() to stop custom effects without relying on $.fn.stop, which is not available
+     * in jQuery slim, and to stop effects which don't run in a queue. It also allows freezeAnimations() to pause them.
+     *
+     * @param   {jQuery}         $elem
+     * @param   {string|boolean} queueName  the queue of the effect, or false
+     * @param   {Function}       stop       stops the effect, takes a jumpToEnd flag as argument
+     * @param   {Function}       pause      pauses the effect
+     * @param   {Function}       resume     resumes the paused effect
+     * @returns {Function}
+     */
+    function registerCustomEffect ( $elem, queueName, stop, pause, resume ) {
+        var elem = $elem[0],
+            entry = { queue: queueName, stop: stop, pause: pause, resume: resume },
+            effects = $.data( elem, customEffectsDataKey ) || $.data( elem, customEffectsDataKey, [] );
+
+        effects.push( entry );
 
-                // Call the user-provided `always` callback
-                return userAlwaysCb && userAlwaysCb.apply( this, $.makeArray( arguments ) );
-            };
+        return function () {
+            var index = $.inArray( entry, effects );
+            if ( index !== -1 ) effects.splice( index, 1 );
+        };
+    }
+
+    /**
+     * Stops the animations of an element in a given queue, and clears the queue. If the queue name is undefined, the
+     * animations in all queues are stopped, as well as animations running outside of a queue. Optionally jumps to the
+     * end of the animations.
+     *
+     * Works like $.fn.stop( queueName, true, jumpToEnd ), and delegates to it if available. Custom effects (see
+     * registerCustomEffect()) are stopped directly. In jQuery slim, where $.fn.stop is missing, the queue is cleared
+     * and dequeued here, too.
+     *
+     * @param {jQuery}           $elem
+     * @param {string|undefined} queueName
+     * @param {boolean}          jumpToEnd
+     */
+    function stopAnimations ( $elem, queueName, jumpToEnd ) {
+        var effects = ( $.data( $elem[0], customEffectsDataKey ) || [] ).slice();
 
+        if ( $.fn.stop ) {
+            if ( queueName === undefined ) {
+                $elem.stop( true, jumpToEnd );
+            } else {
+                $elem.stop( queueName, true, jumpToEnd );
+            }
+        } else if ( queueName !== undefined ) {
+            $elem.clearQueue( queueName );
         }
 
-        return modifiedOptions;
+        // Effects which have been stopped by $.fn.stop already are ignored here, their stop function is a no-op then.
+        $.each( effects, function ( index, effect ) {
+            if ( queueName === undefined || effect.queue === queueName ) effect.stop( jumpToEnd );
+        } );
+
+        if ( !$.fn.stop && queueName !== undefined ) $elem.dequeue( queueName );
     }
 
     /**
-     * Replaces each animation exit callback (complete, done, fail, always) in the animation options with a wrapper
-     * function which calls the original callback, adding a message container to the callback arguments.
+     * Sets the scroll position of an element at once, without an animation. The position is logical and converted to
+     * native values (see lib.toNativeScrollPosition()). Ignored axes are left alone.
      *
-     * Expects the animation options and the (outer) message container as arguments. Returns the modified animation
-     * options. Leaves the original options untouched.
+     * @param {jQuery}      $scrollable  the scrollable element
+     * @param {Coordinates} position
+     */
+    function jumpToPosition ( $scrollable, position ) {
+        var $container = norm.normalizeContainer( $scrollable );
+
+        if ( position[norm.HORIZONTAL] !== norm.IGNORE_AXIS ) $scrollable.scrollLeft( lib.toNativeScrollPosition( $container, norm.HORIZONTAL, position[norm.HORIZONTAL] ) );
+        if ( position[norm.VERTICAL] !== norm.IGNORE_AXIS ) $scrollable.scrollTop( lib.toNativeScrollPosition( $container, norm.VERTICAL, position[norm.VERTICAL] ) );
+    }
+
+    /**
+     * Returns the info objects of the scroll animations in the queue which have not started yet, in ascending order.
+     * The animation in progress, if any, is left out.
      *
-     * For callbacks which receive two arguments (done, fail, always), the message container is added as the third one.
-     * The complete callback, which is called without arguments out of the box, receives the message container as the
-     * only argument.
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @returns {AnimationInfo[]}
+     */
+    function getQueuedInfo ( queueWrapper ) {
+        var infoEntries = queueWrapper.getInfo();
+        return isFirstAnimationInProgress( queueWrapper ) ? infoEntries.slice( 1 ) : infoEntries;
+    }
+
+    /**
+     * Returns whether the first scroll animation in the queue is in progress. If so, it has been dequeued already, and
+     * its sentinel is at the head of the queue (or follows the "inprogress" marker of the "fx" queue). Returns false if
+     * there aren't any scroll animations in the queue.
      *
-     * @param   {Object} animationOptions
-     * @param   {Object} outerMessageContainer
-     * @returns {Object}
+     * @param   {queue.QueueWrapper} queueWrapper
+     * @returns {boolean}
      */
-    function addMessagingToCallbacks ( animationOptions, outerMessageContainer ) {
-        var callbacks = lib.getExitCallbacks( animationOptions ),
-            modifiedOptions = animationOptions ? $.extend( {}, animationOptions ) : {};
+    function isFirstAnimationInProgress ( queueWrapper ) {
+        var content = queueWrapper.getContent(),
+            head = content[0] === "inprogress" ? content[1] : content[0];
 
-        $.each( callbacks, function ( callbackName, callback ) {
-            var messageContainer = outerMessageContainer[callbackName];
+        return !!( head && head.isSentinel && head.info );
+    }
 
-            modifiedOptions[callbackName] = function () {
-                var args = $.makeArray( arguments );
+    /**
+     * Stops the animation of an element which is in progress in a given queue, without clearing the queue. The queue
+     * moves on to the next item. Works like $.fn.stop( queueName ), and delegates to it if available. See
+     * stopAnimations() for the handling of custom effects.
+     *
+     * @param {jQuery} $elem
+     * @param {string} queueName
+     */
+    function stopCurrentAnimation ( $elem, queueName ) {
+        var effects = ( $.data( $elem[0], customEffectsDataKey ) || [] ).slice();
 
-                // Callbacks with arguments (done, fail, always) are supposed to receive two arguments, but jQuery omits
-                // the second argument, jumpedToEnd, if the jumpedToEnd flag has not been used. Add it with value
-                // undefined if necessary.
-                if ( args.length === 1 ) args.push( undefined );
+        if ( $.fn.stop ) $elem.stop( queueName );
 
-                // Add the message container as the third argument (or, in the case of the `complete` callback, as the
-                // first and only argument).
-                //
-                // We ensure the argument position explicitly, rather than just append the argument at the end, in case
-                // undocumented arguments get passed to the callbacks in some versions of jQuery.
-                args.splice( 2, 0, messageContainer );
+        // Effects which have been stopped by $.fn.stop already are ignored here, their stop function is a no-op then.
+        $.each( effects, function ( index, effect ) {
+            if ( effect.queue === queueName ) effect.stop( false );
+        } );
 
-                // Call the original callback
-                callback.apply( this, args );
+        if ( !$.fn.stop ) $elem.dequeue( queueName );
+    }
+
+    /**
+     * Freezes the animations of an element in a given queue, and returns an array of functions which get them going
+     * again. See lib.pauseScrollAnimation().
+     *
+     * A jQuery animation is taken out of the jQuery.timers loop, so it doesn't move on. When it is thawed, its start
+     * time is shifted by the duration of the pause, and it is handed back to jQuery.fx.timer(). Custom effects (see
+     * registerCustomEffect()) are paused and resumed by their own functions.
+     *
+     * @param   {jQuery}     $elem
+     * @param   {string}     queueName
+     * @returns {Function[]}
+     */
+    function freezeAnimations ( $elem, queueName ) {
+        var i, timer,
+            elem = $elem[0],
+            timers = $.timers || [],
+            effects = ( $.data( elem, customEffectsDataKey ) || [] ).slice(),
+            thawFunctions = [],
+
+            createThaw = function ( timer, elapsed ) {
+                return function () {
+                    timer.anim.startTime = $.now() - elapsed;
+                    $.fx.timer( timer );
+                };
             };
 
+        for ( i = timers.length - 1; i >= 0; i-- ) {
+            timer = timers[i];
+
+            if ( timer.elem === elem && timer.queue === queueName && timer.anim && timer.anim.state() === "pending" ) {
+                timers.splice( i, 1 );
+                thawFunctions.push( createThaw( timer, $.now() - timer.anim.startTime ) );
+            }
+        }
+
+        $.each( effects, function ( index, effect ) {
+            if ( effect.queue === queueName && effect.pause ) {
+                effect.pause();
+                thawFunctions.push( effect.resume );
+            }
         } );
 
-        return modifiedOptions;
+        return thawFunctions;
     }
 
     /**
@@ -851,6 +3048,351 @@
         return Math.sqrt( Math.pow( deltaX, 2 ) + Math.pow( deltaY, 2 ) );
     }
 
+    /**
+     * Returns the course of a scroll movement on one axis, from the current position to the target, if the animation
+     * follows a custom course on each axis (see addTweenCurves()). The course consists of the duration, in ms, and a
+     * function returning the progress at a given time (in ms since the start), as a fraction of the distance.
+     *
+     * The course is the result of a physics simulation (see getPhysicsCurve()), or it is defined by the easing and
+     * duration of the axis (see addAxisTiming()). The duration of the axis is adjusted to the distance, as it is for an
+     * animation as a whole (see getScrollDuration()).
+     *
+     * @param   {Object} options     animation options
+     * @param   {jQuery} $container  must be normalized
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @param   {number} target      logical target position
+     * @returns {{duration: number, progress: Function}}
+     */
+    function getTweenCurve ( options, $container, axis, target ) {
+        var timing, distance, duration, easing;
+
+        if ( options.physics ) return getPhysicsCurve( options.physics, $container, axis, target );
+
+        timing = options._axisTiming[axis];
+        distance = Math.abs( target - lib.getCurrentScrollPosition( $container, axis ) );
+        duration = getScrollDuration( distance, $.extend( {}, options, { duration: timing.duration } ), $container );
+        easing = getEasing( timing.easing );
+
+        return {
+            duration: duration,
+            progress: function ( time ) {
+                return time >= duration ? 1 : easing( time / duration, time, 0, 1, duration );
+            }
+        };
+    }
+
+    /**
+     * Returns the course of a physics-based scroll movement on one axis, from the current position to the target. See
+     * getTweenCurve().
+     *
+     * A spring may overshoot the target, but not the edge of the scroll range. The movement stops at the edge then.
+     *
+     * @param   {Object} physics     the normalized physics option
+     * @param   {jQuery} $container  must be normalized
+     * @param   {string} axis        "vertical" or "horizontal"
+     * @param   {number} target      logical target position
+     * @returns {{duration: number, progress: Function}}
+     */
+    function getPhysicsCurve ( physics, $container, axis, target ) {
+        var start = lib.getCurrentScrollPosition( $container, axis ),
+            distance = Math.abs( target - start ),
+            direction = target < start ? -1 : 1,
+            room = direction > 0 ? lib.getScrollMaximum( $container, axis ) - start : start,
+            maxProgress = distance ? room / distance : 1,
+            curve = physics.type === norm.PHYSICS_SPRING ? getSpringCurve( physics, distance ) : getDecayCurve( physics, distance, physics.velocity[axis] * direction );
+
+        return {
+            duration: curve.duration,
+            progress: function ( time ) {
+                return Math.min( curve.progress( time ), maxProgress );
+            }
+        };
+    }
+
+    /**
+     * Returns the course of a spring movement over a distance, starting at rest. See getPhysicsCurve().
+     *
+     * The spring is a damped harmonic oscillator. Stiffness, damping and mass are in the units used by most animation
+     * libraries, with time measured in seconds. The movement is over when the remaining oscillation no longer takes it
+     * further away from the target than the rest distance.
+     *
+     * @param   {Object} physics   the normalized physics option
+     * @param   {number} distance  absolute distance in px
+     * @returns {{duration: number, progress: Function}}
+     */
+    function getSpringCurve ( physics, distance ) {
+        var displacement, envelope, time,
+            duration = 0,
+            omega0 = Math.sqrt( physics.stiffness / physics.mass ),
+            zeta = physics.damping / ( 2 * Math.sqrt( physics.stiffness * physics.mass ) ),
+            decay = zeta * omega0,
+            omegaD = omega0 * Math.sqrt( Math.abs( 1 - zeta * zeta ) ),
+            r1 = -decay + omegaD,
+            r2 = -decay - omegaD;
+
+        // The displacement from the target at a given time (in s), as a fraction of the distance. The envelope is an
+        // upper limit of the displacement, from that time onwards.
+        if ( zeta < 1 ) {
+            displacement = function ( t ) { return Math.exp( -decay * t ) * ( Math.cos( omegaD * t ) + decay / omegaD * Math.sin( omegaD * t ) ); };
+            envelope = function ( t ) { return Math.exp( -decay * t ) * ( 1 + decay * t ); };
+        } else if ( zeta === 1 ) {
+            displacement = envelope = function ( t ) { return Math.exp( -omega0 * t ) * ( 1 + omega0 * t ); };
+        } else {
+            displacement = envelope = function ( t ) { return ( r2 * Math.exp( r1 * t ) - r1 * Math.exp( r2 * t ) ) / ( r2 - r1 ); };
+        }
+
+        for ( time = 0; distance && time < maxPhysicsDuration; time++ ) {
+            if ( Math.abs( displacement( time / 1000 ) ) * distance >= physicsRestDistance ) {
+                duration = time + 1;
+            } else if ( envelope( time / 1000 ) * distance < physicsRestDistance ) {
+                break;
+            }
+        }
+
+        return {
+            duration: duration,
+            progress: function ( time ) {
+                return time >= duration ? 1 : 1 - displacement( time / 1000 );
+            }
+        };
+    }
+
+    /**
+     * Returns the course of an inertial deceleration over a distance. See getPhysicsCurve().
+     *
+     * The velocity decays exponentially, at the rate set by the friction (per second). If an initial velocity (in
+     * px/s) is provided, the movement starts at that speed, and the friction is adjusted so it comes to rest at the
+     * target. The movement is over when it is closer to the target than the rest distance. It then ends at the target
+     * exactly.
+     *
+     * @param   {Object} physics     the normalized physics option
+     * @param   {number} distance    absolute distance in px
+     * @param   {number} [velocity]  initial velocity in the direction of the target, in px/s. Ignored unless positive
+     * @returns {{duration: number, progress: Function}}
+     */
+    function getDecayCurve ( physics, distance, velocity ) {
+        var friction = velocity > 0 && distance ? velocity / distance : physics.friction,
+            duration = distance > physicsRestDistance ? Math.min( Math.log( distance / physicsRestDistance ) / friction * 1000, maxPhysicsDuration ) : 0,
+            total = 1 - Math.exp( -friction * duration / 1000 );
+
+        return {
+            duration: duration,
+            progress: function ( time ) {
+                return time >= duration ? 1 : ( 1 - Math.exp( -friction * time / 1000 ) ) / total;
+            }
+        };
+    }
+
+    /**
+     * Returns the path of a scroll movement through a list of points: the start position, the waypoints, and the
+     * target (see addWaypointPath()). The path consists of the points, its length in px, and a function returning the
+     * position and the segment at a given fraction of the length. Each segment leads from one point to the next. The
+     * fraction is limited to the range from 0 to 1, so the movement doesn't leave the path if the easing overshoots.
+     *
+     * With path type "linear", the segments are straight lines. With "curve", they form a Catmull-Rom spline, which
+     * passes through all points without a corner. The spline is measured by sampling each segment, and positions in
+     * between are interpolated, so the movement proceeds evenly along the path.
+     *
+     * Only the axes which are passed in are taken into account.
+     *
+     * @param   {Coordinates[]} points  logical positions, at least two
+     * @param   {string}        type    "linear" or "curve"
+     * @param   {string[]}      axes
+     * @returns {{points: Coordinates[], length: number, at: Function}}
+     */
+    function getWaypointPath ( points, type, axes ) {
+        var segment, sampleIndex, point,
+            sampleCount = type === norm.PATH_CURVE ? curveSamplesPerSegment : 1,
+            samples = [ { segment: 0, t: 0, length: 0, point: points[0] } ],
+            length = 0,
+
+            getPoint = function ( segment, t ) {
+                var p0 = points[segment - 1] || points[segment],
+                    p1 = points[segment],
+                    p2 = points[segment + 1],
+                    p3 = points[segment + 2] || p2,
+                    result = $.extend( {}, p1 );
+
+                $.each( axes, function ( index, axis ) {
+                    result[axis] = type === norm.PATH_CURVE ?
+                                   0.5 * ( 2 * p1[axis] + ( p2[axis] - p0[axis] ) * t + ( 2 * p0[axis] - 5 * p1[axis] + 4 * p2[axis] - p3[axis] ) * t * t + ( 3 * p1[axis] - p0[axis] - 3 * p2[axis] + p3[axis] ) * t * t * t ) :
+                                   p1[axis] + ( p2[axis] - p1[axis] ) * t;
+                } );
+
+                return result;
+            };
+
+        for ( segment = 0; segment < points.length - 1; segment++ ) {
+            for ( sampleIndex = 1; sampleIndex <= sampleCount; sampleIndex++ ) {
+                point = getPoint( segment, sampleIndex / sampleCount );
+                length += getDistance( samples[samples.length - 1].point, point, axes );
+                samples.push( { segment: segment, t: sampleIndex / sampleCount, length: length, point: point } );
+            }
+        }
+
+        return {
+            points: points,
+            length: length,
+            at: function ( fraction ) {
+                var from, to, ratio, fromT,
+                    distance = Math.min( Math.max( fraction, 0 ), 1 ) * length,
+                    index = 1;
+
+                if ( !length ) return { position: points[points.length - 1], segment: points.length - 2 };
+
+                while ( index < samples.length - 1 && samples[index].length < distance ) index++;
+
+                from = samples[index - 1];
+                to = samples[index];
+                fromT = from.segment === to.segment ? from.t : 0;
+                ratio = to.length > from.length ? ( distance - from.length ) / ( to.length - from.length ) : 1;
+
+                return { position: getPoint( to.segment, fromT + ( to.t - fromT ) * ratio ), segment: to.segment };
+            }
+        };
+    }
+
+    /**
+     * Returns the distance between two points, taking into account the axes which are passed in.
+     *
+     * @param   {Coordinates} from
+     * @param   {Coordinates} to
+     * @param   {string[]}    axes
+     * @returns {number}
+     */
+    function getDistance ( from, to, axes ) {
+        var sum = 0;
+
+        $.each( axes, function ( index, axis ) {
+            sum += Math.pow( to[axis] - from[axis], 2 );
+        } );
+
+        return Math.sqrt( sum );
+    }
+
+    /**
+     * Checks if an element is a scroll container. See lib.getScrollContainers() for the criteria.
+     *
+     * @param   {HTMLElement} elem
+     * @param   {Window}      _window  the window of the element
+     * @returns {boolean}
+     */
+    function isScrollContainer ( elem, _window ) {
+        var $elem = $( elem ),
+            computedStyle = _window.getComputedStyle ? _window.getComputedStyle( elem, null ) : elem.currentStyle,
+            isScrollableX = computedStyle.overflowX !== "visible" && computedStyle.overflowX !== "clip",
+            isScrollableY = computedStyle.overflowY !== "visible" && computedStyle.overflowY !== "clip";
+
+        return ( isScrollableX && lib.getScrollMaximum( $elem, norm.HORIZONTAL ) > 0 ) || ( isScrollableY && lib.getScrollMaximum( $elem, norm.VERTICAL ) > 0 );
+    }
+
+    /**
+     * Returns the writing mode and the direction of a container, as computed by the browser. For a window, the styles
+     * of the documentElement are returned. If the browser doesn't support writing modes, the writing mode is reported
+     * as "horizontal-tb".
+     *
+     * @param   {jQuery} $container
+     * @returns {{writingMode: string, direction: string}}
+     */
+    function getFlowStyle ( $container ) {
+        var container = $container[0],
+            elem = $.isWindow( container ) ? container.document.documentElement : container,
+            _window = lib.ownerWindow( elem ),
+            computedStyle = _window.getComputedStyle && _window.getComputedStyle( elem, null ),
+            writingMode = computedStyle && ( computedStyle.getPropertyValue( "writing-mode" ) || computedStyle.getPropertyValue( "-webkit-writing-mode" ) ),
+            direction = computedStyle && computedStyle.getPropertyValue( "direction" );
+
+        // Legacy values from the SVG spec, still reported by some browsers
+        if ( writingMode === "tb-rl" || writingMode === "tb" ) writingMode = "vertical-rl";
+        if ( writingMode === "tb-lr" ) writingMode = "vertical-lr";
+
+        return {
+            writingMode: writingMode || "horizontal-tb",
+            direction: direction || "ltr"
+        };
+    }
+
+    /**
+     * Returns whether the writing mode, as returned by getFlowStyle(), is vertical.
+     *
+     * @param   {{writingMode: string, direction: string}} flow
+     * @returns {boolean}
+     */
+    function isVerticalFlow ( flow ) {
+        return flow.writingMode.indexOf( "vertical" ) === 0 || flow.writingMode.indexOf( "sideways" ) === 0;
+    }
+
+    /**
+     * Detects how the browser reports the scroll position on a reversed axis, and returns the result: "negative",
+     * "reverse", or "default". See lib.toNativeScrollPosition() for what they mean.
+     *
+     * The detection runs once, with a temporary right-to-left element. The result is cached.
+     *
+     * @param   {jQuery} $container  used for access to the document
+     * @returns {string}
+     */
+    function getReversedScrollModel ( $container ) {
+        var outer, inner,
+            container = $container[0],
+            _document = $.isWindow( container ) ? container.document : container.ownerDocument;
+
+        if ( !reversedScrollModel ) {
+
+            outer = _document.createElement( "div" );
+            inner = _document.createElement( "div" );
+
+            outer.dir = "rtl";
+            outer.style.cssText = "position: absolute; top: -1000px; width: 4px; height: 1px; overflow: scroll; visibility: hidden;";
+            inner.style.cssText = "width: 8px; height: 1px;";
+
+            outer.appendChild( inner );
+            _document.body.appendChild( outer );
+
+            if ( outer.scrollLeft > 0 ) {
+                reversedScrollModel = "default";
+            } else {
+                outer.scrollLeft = 1;
+                reversedScrollModel = outer.scrollLeft === 0 ? "negative" : "reverse";
+            }
+
+            _document.body.removeChild( outer );
+
+        }
+
+        return reversedScrollModel;
+    }
+
+    /**
+     * Reads the computed value of a box property with edges (e.g. "scroll-padding", "scroll-margin") for a given axis,
+     * and returns the values at the start and end of the axis in px. Helper for lib.getScrollPadding() and
+     * lib.getScrollMargin().
+     *
+     * Percentages are resolved against the reference size which is passed in. Unsupported, empty and non-numeric
+     * values (e.g. "auto") are returned as 0.
+     *
+     * @param   {HTMLElement} elem
+     * @param   {string}      propertyName   property name without the edge suffix, e.g. "scroll-padding"
+     * @param   {string}      axis           "vertical" or "horizontal"
+     * @param   {number}      referenceSize  the size which percentages are relative to
+     * @returns {{start: number, end: number}}
+     */
+    function getComputedBoxEdges ( elem, propertyName, axis, referenceSize ) {
+        var _window = lib.ownerWindow( elem ),
+            computedStyle = _window.getComputedStyle && _window.getComputedStyle( elem, null ),
+            edges = axis === norm.HORIZONTAL ? [ "left", "right" ] : [ "top", "bottom" ],
+
+            toPx = function ( value ) {
+                var px = parseFloat( value );
+                if ( isNaN( px ) ) return 0;
+                return lib.isString( value ) && value.slice( -1 ) === "%" ? px * referenceSize / 100 : px;
+            };
+
+        return {
+            start: computedStyle ? toPx( computedStyle.getPropertyValue( propertyName + "-" + edges[0] ) ) : 0,
+            end: computedStyle ? toPx( computedStyle.getPropertyValue( propertyName + "-" + edges[1] ) ) : 0
+        };
+    }
+
     /**
      * Expects a hash and returns a copy of it, filtered to only have values for the whitelisted keys. Also omits
      * existing, matching properties if their value is undefined. Does not modify the input object.
@@ -879,38 +3421,203 @@
     }
 
     /**
-     * Adds a jQuery.animate prefilter which applies the lockSpeedBelow setting, and adjusts the duration of a scroll
-     * animation when necessary.
-     *
-     * For more about prefilters, see https://gist.github.com/gnarf/54829d408993526fe475#prefilters
+     * Prepares a scroll animation as it starts: adjusts the target position (if required, e.g. for an offset function),
+     * and sets the duration of the animation according to the distance (see getScrollDuration()). If the animation
+     * follows a custom course on each axis (a physics simulation, or an easing and duration per axis), the course is
+     * set up, and the duration is derived from it instead. For a path through waypoints, the duration is based on the
+     * length of the path (see addWaypointPath()). Finally, the target is converted to native scroll values if an axis
+     * is reversed.
+     *
+     * Runs as a $.Animation prefilter for $.fn.animate (see below), and is called by runFrameAnimation() for the "raf"
+     * engine. Ignores animations which are not scroll animations of jQuery.scrollable.
+     *
+     * @param {Object}      animation   jQuery animation object, or the equivalent created by runFrameAnimation()
+     * @param {HTMLElement} elem
+     * @param {Object}      properties
+     * @param {Object}      options
      */
-    $.Animation.prefilter( function ( elem, properties, options ) {
-        var $container, distance, thresholdDistance, minSpeed, maxDuration,
+    function prepareScrollAnimation ( animation, elem, properties, options ) {
+        var distance,
             targetPosition = {},
 
             hasX = properties && "scrollLeft" in properties,
             hasY = properties && "scrollTop" in properties,
-            isScrollAnimation = properties && ( hasX || hasY ) && options && options._jqScrollable;
+            isScrollAnimation = properties && ( hasX || hasY ) && options && options._jqScrollable,
+            $container = isScrollAnimation && norm.normalizeContainer( $( elem ) );
+
+        if ( isScrollAnimation && options._adjustTarget ) {
+            options._adjustTarget( properties, $container );
+
+            // The adjustment may have removed an axis, or both of them. If nothing is left to animate, there is no
+            // point in waiting for the duration to pass.
+            hasX = "scrollLeft" in properties;
+            hasY = "scrollTop" in properties;
+            if ( !hasX && !hasY ) animation.duration = options.duration = 0;
+        }
+
+        if ( isScrollAnimation && ( hasX || hasY ) && options._watchTarget ) options._watchTarget( animation, $container );
+
+        if ( isScrollAnimation && ( hasX || hasY ) && ( options.physics || options._axisTiming ) ) {
+
+            // The animation lasts until the slowest axis arrives. The curves are picked up by the step wrapper, see
+            // addTweenCurves().
+            options._tweenCurves = {};
+            if ( hasX ) options._tweenCurves.scrollLeft = getTweenCurve( options, $container, norm.HORIZONTAL, properties.scrollLeft );
+            if ( hasY ) options._tweenCurves.scrollTop = getTweenCurve( options, $container, norm.VERTICAL, properties.scrollTop );
 
-        if ( isScrollAnimation && options.lockSpeedBelow ) {
+            animation.duration = options.duration = Math.max(
+                hasX ? options._tweenCurves.scrollLeft.duration : 0,
+                hasY ? options._tweenCurves.scrollTop.duration : 0
+            );
 
-            $container = norm.normalizeContainer( $( elem ) );
+        } else if ( isScrollAnimation && ( hasX || hasY ) && options._tracePath ) {
+
+            distance = options._tracePath( properties, $container );
+            animation.duration = options.duration = getScrollDuration( distance, options, $container );
+
+        } else if ( isScrollAnimation && ( hasX || hasY ) ) {
 
             targetPosition[norm.HORIZONTAL] = hasX ? properties.scrollLeft : norm.IGNORE_AXIS;
             targetPosition[norm.VERTICAL] = hasY ? properties.scrollTop : norm.IGNORE_AXIS;
 
             distance = getCurrentTravelDistance( $container, targetPosition );
+            animation.duration = options.duration = getScrollDuration( distance, options, $container );
+
+        }
+
+        // If the user prefers reduced motion, the animation is shortened, or it jumps to the target. See reduceMotion().
+        if ( isScrollAnimation && ( hasX || hasY ) ) reduceMotion( animation, properties, options, $container );
+
+        // Up to here, the target is a logical position. Convert it to the native scrollLeft and scrollTop values, which
+        // differ on a reversed axis (e.g. horizontally in a right-to-left container).
+        if ( isScrollAnimation && hasX ) properties.scrollLeft = lib.toNativeScrollPosition( $container, norm.HORIZONTAL, properties.scrollLeft );
+        if ( isScrollAnimation && hasY ) properties.scrollTop = lib.toNativeScrollPosition( $container, norm.VERTICAL, properties.scrollTop );
+    }
+
+    /**
+     * Returns the duration of a scroll animation, in ms, for a given travel distance (in px). See
+     * prepareScrollAnimation().
+     *
+     * - A duration function is called with the distance and the container, in the context of the container element.
+     *   It must return a number.
+     * - Otherwise, if a speed is set (in px/s), the duration is derived from it.
+     * - Otherwise, the nominal duration applies. Below the lockSpeedBelow threshold, the duration is shortened, so the
+     *   speed doesn't fall further than it is at the threshold distance.
+     *
+     * Finally, the duration is kept within the bounds of the minDuration and maxDuration options.
+     *
+     * @param   {number} distance
+     * @param   {Object} options     animation options
+     * @param   {jQuery} $container  must be normalized
+     * @returns {number}
+     */
+    function getScrollDuration ( distance, options, $container ) {
+        var duration = options.duration,
             thresholdDistance = options.lockSpeedBelow;
 
-            if ( distance < thresholdDistance ) {
-                minSpeed = thresholdDistance / options.duration;
-                maxDuration = distance / minSpeed;
-                this.duration = options.duration = Math.min( maxDuration, options.duration );
-            }
+        if ( options._durationFunc ) {
+            duration = options._durationFunc.call( $container[0], distance, $container );
+            if ( !lib.isNumber( duration ) || duration < 0 ) throw new Error( "A duration function must return a number (in ms) of 0 or greater, but returned " + duration );
+        } else if ( options.speed ) {
+            duration = distance / options.speed * 1000;
+        } else if ( thresholdDistance && distance < thresholdDistance ) {
+            duration = Math.min( distance * duration / thresholdDistance, duration );
+        }
+
+        if ( options.minDuration ) duration = Math.max( duration, options.minDuration );
+        if ( options.maxDuration !== undefined ) duration = Math.min( duration, options.maxDuration );
+
+        return duration;
+    }
+
+    /**
+     * Shortens a scroll animation, or reduces it to a jump, if the user prefers reduced motion. See
+     * getReducedMotionMode().
+     *
+     * A jump is an animation with a duration of 0. It runs through the usual steps, so the callbacks are called, and
+     * the messages are passed on, in the normal order. A shortened animation lasts no longer than the
+     * reducedMotionDuration. The course of each axis, in an animation with physics or timing per axis, is compressed
+     * accordingly (see addTweenCurves()).
+     *
+     * @param {Object} animation
+     * @param {Object} properties  the animated properties (scrollLeft, scrollTop), with logical target values
+     * @param {Object} options     animation options
+     * @param {jQuery} $container  must be normalized
+     */
+    function reduceMotion ( animation, properties, options, $container ) {
+        var scale, duration,
+            mode = getReducedMotionMode( options, $container, properties );
+
+        if ( !mode ) return;
 
+        duration = mode === norm.REDUCED_MOTION_SHORTEN ? Math.min( options.duration, reducedMotionDuration ) : 0;
+
+        if ( options._tweenCurves && duration ) {
+            scale = options.duration / duration;
+
+            $.each( options._tweenCurves, function ( property, curve ) {
+                options._tweenCurves[property] = {
+                    duration: curve.duration / scale,
+                    progress: function ( time ) {
+                        return curve.progress( time * scale );
+                    }
+                };
+            } );
+        }
+
+        animation.duration = options.duration = duration;
+    }
+
+    /**
+     * Returns how the motion of a scroll animation is reduced: "jump" or "shorten". Returns undefined if the animation
+     * runs as usual, because the user doesn't prefer reduced motion, or because the reducedMotion option is "ignore".
+     *
+     * With the reducedMotion option "auto", a movement which stays within the visible area of the container is
+     * shortened. Otherwise, the animation jumps to the target.
+     *
+     * @param   {Object} options     animation options
+     * @param   {jQuery} $container  must be normalized
+     * @param   {Object} properties  the animated properties (scrollLeft, scrollTop), with logical target values
+     * @returns {string|undefined}
+     */
+    function getReducedMotionMode ( options, $container, properties ) {
+        var current, isNearby;
+
+        if ( options.reducedMotion === norm.REDUCED_MOTION_IGNORE || !lib.prefersReducedMotion() ) return;
+        if ( options.reducedMotion !== norm.REDUCED_MOTION_AUTO ) return options.reducedMotion;
+
+        current = lib.getCurrentScrollPosition( $container );
+        isNearby = ( !( "scrollLeft" in properties ) || Math.abs( properties.scrollLeft - current[norm.HORIZONTAL] ) <= lib.getContainerSize( $container, norm.HORIZONTAL ) ) &&
+                   ( !( "scrollTop" in properties ) || Math.abs( properties.scrollTop - current[norm.VERTICAL] ) <= lib.getContainerSize( $container, norm.VERTICAL ) );
+
+        return isNearby ? norm.REDUCED_MOTION_SHORTEN : norm.REDUCED_MOTION_JUMP;
+    }
+
+    /**
+     * Registers the scroll easings in jQuery.easing, unless easings of the same name exist there already. jQuery UI
+     * uses the same names for the same curves. In jQuery slim, which lacks jQuery.easing, the scroll easings are added
+     * to the built-in easings of the "raf" engine.
+     */
+    $.each( scrollEasings, function ( name, easing ) {
+        if ( !$.easing ) {
+            builtInEasings[name] = easing;
+        } else if ( !$.easing[name] ) {
+            $.easing[name] = easing;
         }
     } );
 
+    /**
+     * Adds a jQuery.animate prefilter which prepares scroll animations, see prepareScrollAnimation(). jQuery slim lacks
+     * $.Animation, so the prefilter is skipped there. Only the "native" and "raf" engines are available then.
+     *
+     * For more about prefilters, see https://gist.github.com/gnarf/54829d408993526fe475#prefilters
+     */
+    if ( $.Animation ) {
+        $.Animation.prefilter( function ( elem, properties, options ) {
+            prepareScrollAnimation( this, elem, properties, options );
+        } );
+    }
+
 
     /**
      * Custom types.
@@ -938,6 +3645,14 @@
      * @property {Coordinates}           position
      * @property {OuterMessageContainer} callbackMessages
      * @property {StepHistory}           history
+     * @property {Function}              [resolveTarget]  resolves the target of an animation which is finished before
+     *                                                    it has started, see lib.finishScrollAnimation()
+     * @property {Function}              [finish]         calls the exit callbacks of an animation which is finished
+     *                                                    before it has started, see lib.finishScrollAnimation()
+     * @property {Function}              [onRemove]       called if the animation is removed from the queue before it
+     *                                                    has started, see lib.stopScrollAnimation()
+     * @property {Object}                [signal]         the abort signal of the animation, if any
+     * @property {Function}              [abort]          aborts the animation, see addAbortSignal()
      */
 
     /**
@@ -956,6 +3671,15 @@
      *
      * @property {ScrollState[]} real
      * @property {ScrollState[]} expected
+     * @property {{horizontal: MotionSample[], vertical: MotionSample[]}} [motion]
+     */
+
+    /**
+     * @name MotionSample
+     * @type {Object}
+     *
+     * @property {number} time      timestamp of the animation step, in ms
+     * @property {number} position  native scroll position (scrollLeft, scrollTop) set by the step
      */
 
     /**